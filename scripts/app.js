@@ -3,12 +3,33 @@
 class ABPlayer {
     constructor() {
         this.player = null;
+        this.store = null;
         this.controls = null;
+        this.videoPane = null;
+        this.waveform = null;
+        this.bufferedRanges = null;
+        this.loopLibrary = null;
+        this.markerTransfer = null;
+        this.loopSettings = null;
+        this.phraseSegmenter = null;
+        this.beatGrid = null;
+        this.transcript = null;
+        this.speedTrainer = null;
+        this.loopExporter = null;
+        this.pitchControls = null;
+        this.playlist = null;
+        this.session = null;
+        this.mediaSession = null;
+        this.deepLink = null;
         this.keyboard = null;
         this.fileInput = null;
+        this.folderInput = null;
         this.uploadBtn = null;
+        this.addFolderBtn = null;
         this.fileName = null;
         this.fileUploadArea = null;
+        this.urlForm = null;
+        this.urlInput = null;
         
         this.initialize();
     }
@@ -34,11 +55,28 @@ class ABPlayer {
             this.getElements();
             
             // Initialize core components
+            this.initializeStorage();
             this.initializePlayer();
             this.initializeControls();
+            this.initializeVideoPane();
+            this.initializeWaveform();
+            this.initializeBufferedRanges();
+            this.initializeLoopLibrary();
+            this.initializeMarkerTransfer();
+            this.initializeLoopSettings();
+            this.initializePhraseSegmenter();
+            this.initializeBeatGrid();
+            this.initializeTranscript();
+            this.initializeSpeedTrainer();
+            this.initializeLoopExporter();
+            this.initializePitchControls();
+            this.initializePlaylist();
+            this.initializeSession();
+            this.initializeMediaSession();
             this.initializeKeyboard();
             this.initializeFileUpload();
             this.initializeDragAndDrop();
+            this.initializeDeepLink();
             
             // Set up additional event listeners
             this.setupAppEventListeners();
@@ -59,16 +97,20 @@ class ABPlayer {
      */
     getElements() {
         this.fileInput = document.getElementById('audioFile');
+        this.folderInput = document.getElementById('folderInput');
         this.uploadBtn = document.getElementById('uploadBtn');
+        this.addFolderBtn = document.getElementById('addFolderBtn');
         this.fileName = document.getElementById('fileName');
         this.fileUploadArea = document.querySelector('.file-upload-area');
+        this.urlForm = document.getElementById('urlForm');
+        this.urlInput = document.getElementById('urlInput');
         
         // Verify required elements exist
         const requiredElements = [
             { element: this.fileInput, name: 'audioFile' },
             { element: this.uploadBtn, name: 'uploadBtn' },
             { element: this.fileName, name: 'fileName' },
-            { element: document.getElementById('audioElement'), name: 'audioElement' }
+            { element: document.getElementById('mediaElement'), name: 'mediaElement' }
         ];
         
         const missingElements = requiredElements.filter(item => !item.element);
@@ -77,12 +119,19 @@ class ABPlayer {
         }
     }
     
+    /**
+     * Initialize the IndexedDB store shared by the session and waveform cache
+     */
+    initializeStorage() {
+        this.store = new IDBStore('abplayer', 2, ['session', 'peaks']);
+    }
+    
     /**
      * Initialize audio player
      */
     initializePlayer() {
-        const audioElement = document.getElementById('audioElement');
-        this.player = new AudioPlayer(audioElement);
+        const mediaElement = document.getElementById('mediaElement');
+        this.player = new AudioPlayer(mediaElement);
         
         // Set up player event listeners
         this.player.on('error', (error) => {
@@ -102,31 +151,186 @@ class ABPlayer {
         this.controls = new Controls(this.player);
     }
     
+    /**
+     * Initialize the video pane for video files
+     */
+    initializeVideoPane() {
+        this.videoPane = new VideoPane(this.player);
+    }
+    
+    /**
+     * Initialize waveform display
+     */
+    initializeWaveform() {
+        this.waveform = new Waveform(this.player, this.store);
+    }
+    
+    /**
+     * Initialize the buffered range display for streamed sources
+     */
+    initializeBufferedRanges() {
+        this.bufferedRanges = new BufferedRanges(this.player);
+    }
+    
+    /**
+     * Initialize saved loop library
+     */
+    initializeLoopLibrary() {
+        this.loopLibrary = new LoopLibrary(this.player);
+    }
+    
+    /**
+     * Initialize marker import and export
+     */
+    initializeMarkerTransfer() {
+        this.markerTransfer = new MarkerTransfer(this.player, this.loopLibrary);
+    }
+    
+    /**
+     * Initialize loop settings panel
+     */
+    initializeLoopSettings() {
+        this.loopSettings = new LoopSettings(this.player);
+    }
+    
+    /**
+     * Initialize phrase segmentation
+     */
+    initializePhraseSegmenter() {
+        this.phraseSegmenter = new PhraseSegmenter(this.player);
+    }
+    
+    /**
+     * Initialize tempo detection and the beat grid
+     */
+    initializeBeatGrid() {
+        this.beatGrid = new BeatGrid(this.player);
+    }
+    
+    /**
+     * Initialize the subtitles and lyrics panel
+     */
+    initializeTranscript() {
+        this.transcript = new Transcript(this.player);
+    }
+    
+    /**
+     * Initialize speed trainer panel
+     */
+    initializeSpeedTrainer() {
+        this.speedTrainer = new SpeedTrainer(this.player);
+    }
+    
+    /**
+     * Initialize loop export
+     */
+    initializeLoopExporter() {
+        this.loopExporter = new LoopExporter(this.player);
+    }
+    
+    /**
+     * Initialize pitch transpose controls
+     */
+    initializePitchControls() {
+        this.pitchControls = new PitchControls(this.player);
+    }
+    
+    /**
+     * Initialize playlist
+     */
+    initializePlaylist() {
+        this.playlist = new Playlist(this.player, (file) => this.loadAudioFile(file));
+    }
+    
+    /**
+     * Initialize session saving and the resume offer
+     */
+    initializeSession() {
+        this.session = new SessionManager(this.player, this.store, (file) => this.playlist.open(file), (url) => this.loadAudioUrl(url));
+    }
+    
+    /**
+     * Initialize lock screen and media key controls
+     */
+    initializeMediaSession() {
+        this.mediaSession = new MediaSessionControls(this.player, this.playlist, this.loopLibrary);
+    }
+    
+    /**
+     * Initialize shareable links, opening the one the page was loaded with
+     */
+    initializeDeepLink() {
+        this.deepLink = new DeepLink(this.player, (url) => this.loadAudioUrl(url));
+    }
+    
     /**
      * Initialize keyboard shortcuts
      */
     initializeKeyboard() {
-        this.keyboard = new KeyboardHandler(this.player, this.controls);
+        this.keyboard = new KeyboardHandler(this.player, this.controls, {
+            loopLibrary: this.loopLibrary,
+            phraseSegmenter: this.phraseSegmenter,
+            beatGrid: this.beatGrid,
+            transcript: this.transcript,
+            speedTrainer: this.speedTrainer,
+            pitchControls: this.pitchControls,
+            playlist: this.playlist,
+            videoPane: this.videoPane
+        });
     }
     
     /**
      * Initialize file upload functionality
      */
     initializeFileUpload() {
-        // File input change event
-        this.fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.loadAudioFile(file);
-            }
+        // File and folder input change events
+        [this.fileInput, this.folderInput].forEach(input => {
+            input.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.addFiles(e.target.files);
+                }
+                e.target.value = '';
+            });
         });
         
         // Upload button click event
         this.uploadBtn.addEventListener('click', () => {
-            this.fileInput.click();
+            this.chooseFiles();
+        });
+        
+        this.addFolderBtn.addEventListener('click', () => {
+            this.folderInput.click();
+        });
+        
+        // Open URL field
+        this.urlForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.openUrl(this.urlInput.value);
+        });
+        
+        this.urlInput.addEventListener('input', () => {
+            this.urlInput.classList.remove('invalid');
         });
     }
     
+    /**
+     * Validate and open an address from the URL field
+     * @param {string} value - Typed address
+     */
+    async openUrl(value) {
+        const { url, error } = parseAudioUrl(value);
+        
+        if (error) {
+            this.urlInput.classList.add('invalid');
+            showToast(error, 'error', 3000);
+            return;
+        }
+        
+        if (await this.loadAudioUrl(url)) {
+            this.urlInput.value = '';
+        }
+    }
+    
     /**
      * Initialize drag and drop functionality
      */
@@ -152,16 +356,11 @@ class ABPlayer {
             });
         });
         
-        // Handle dropped files
-        this.fileUploadArea.addEventListener('drop', (e) => {
-            const files = e.dataTransfer.files;
+        // Handle dropped files and folders
+        this.fileUploadArea.addEventListener('drop', async (e) => {
+            const files = await getDroppedFiles(e.dataTransfer);
             if (files.length > 0) {
-                const file = files[0];
-                if (isAudioFile(file)) {
-                    this.loadAudioFile(file);
-                } else {
-                    showToast('Please drop an audio file', 'error', 3000);
-                }
+                this.addFiles(files);
             }
         });
     }
@@ -173,6 +372,8 @@ class ABPlayer {
         // Handle window resize
         window.addEventListener('resize', debounce(() => {
             this.controls.updateLoopRegion();
+            this.waveform.draw();
+            this.beatGrid.renderMarks();
         }, 250));
         
         // Handle visibility change (pause when tab is hidden)
@@ -194,15 +395,76 @@ class ABPlayer {
         });
     }
     
+    /**
+     * Choose files, through the File System Access API where available so
+     * the session can reopen them later
+     */
+    async chooseFiles() {
+        if (!window.showOpenFilePicker) {
+            this.fileInput.click();
+            return;
+        }
+        
+        try {
+            const handles = await window.showOpenFilePicker({
+                multiple: true,
+                types: [
+                    { description: 'Audio files', accept: { 'audio/*': [] } },
+                    { description: 'Video files', accept: { 'video/*': ['.mp4', '.m4v', '.mov', '.webm'] } },
+                    { description: 'Subtitles and lyrics', accept: { 'text/plain': ['.srt', '.vtt', '.lrc'] } }
+                ]
+            });
+            
+            const files = await Promise.all(handles.map(async (handle) => {
+                const file = await handle.getFile();
+                this.session.registerHandle(file, handle);
+                return file;
+            }));
+            
+            this.addFiles(files);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('File picker failed, using file input:', error);
+                this.fileInput.click();
+            }
+        }
+    }
+    
+    /**
+     * Queue files in the playlist, and load subtitle files among them
+     * @param {FileList|File[]} files - Chosen or dropped files
+     */
+    addFiles(files) {
+        const subtitles = Array.from(files).filter(isSubtitleFile);
+        const media = Array.from(files).filter(file => !isSubtitleFile(file));
+        const hadTrack = !!this.playlist.currentId;
+        const count = this.playlist.addFiles(media);
+        
+        if (subtitles.length > 0) {
+            this.transcript.loadFiles(subtitles, media);
+            if (media.length === 0) return;
+        }
+        
+        if (count === 0 && media.some(file => isHlsUrl(file.name))) {
+            // Segments are fetched by URL, which a local file cannot provide
+            showToast('HLS playlists play from a web server: open their address with Open URL', 'error', 4000);
+        } else if (count === 0) {
+            showToast('Please choose audio or video files', 'error', 3000);
+        } else if (hadTrack || count > 1) {
+            showToast(`Added ${count} track${count === 1 ? '' : 's'} to the playlist`, 'success', 2000);
+        }
+    }
+    
     /**
      * Load audio file
      * @param {File} file - Audio file to load
+     * @returns {Promise<boolean>} True if the file loaded
      */
     async loadAudioFile(file) {
         try {
             // Validate file
             if (!isAudioFile(file)) {
-                throw new Error('Unsupported file format. Please select an audio file.');
+                throw new Error('Unsupported file format. Please select an audio or video file.');
             }
             
             // Show loading state
@@ -220,15 +482,50 @@ class ABPlayer {
             
             // Show success message
             showToast('Audio file loaded successfully', 'success', 2000);
+            return true;
             
         } catch (error) {
             console.error('Error loading audio file:', error);
-            this.handleAudioError(error);
+            
+            // Load failures are already reported through the player's error event
+            if (error.name !== 'MediaLoadError') {
+                this.handleAudioError(error);
+            }
             
             // Reset UI
             this.fileName.textContent = '';
             this.fileName.style.display = 'none';
             this.fileInput.value = '';
+            return false;
+        }
+    }
+    
+    /**
+     * Load audio from a URL
+     * @param {string} url - Audio URL
+     * @returns {Promise<boolean>} True if the audio loaded
+     */
+    async loadAudioUrl(url) {
+        try {
+            this.showLoadingState();
+            this.playlist.deselect();
+            
+            this.fileName.textContent = getUrlFileName(url);
+            this.fileName.style.display = 'block';
+            
+            await this.player.loadAudio(url);
+            
+            this.hideLoadingState();
+            showToast('Audio loaded', 'success', 2000);
+            return true;
+            
+        } catch (error) {
+            // The player's error event has already reported the cause
+            console.error('Error loading audio URL:', error);
+            
+            this.fileName.textContent = '';
+            this.fileName.style.display = 'none';
+            return false;
         }
     }
     
@@ -239,7 +536,9 @@ class ABPlayer {
     handleAudioError(error) {
         let message = 'Error loading audio file';
         
-        if (error.name === 'NotSupportedError' || error.message.includes('format')) {
+        if (error.name === 'MediaLoadError') {
+            message = error.message;
+        } else if (error.name === 'NotSupportedError' || error.message.includes('format')) {
             message = 'Unsupported audio format';
         } else if (error.name === 'NotAllowedError') {
             message = 'Audio playback not allowed';
@@ -347,6 +646,10 @@ class ABPlayer {
      * Cleanup and destroy
      */
     destroy() {
+        if (this.session) {
+            this.session.destroy();
+        }
+        
         if (this.player) {
             this.player.destroy();
         }
@@ -9,11 +9,71 @@ class AudioPlayer {
         this.playbackRate = 1;
         this.volume = 1;
         
+        // Seconds moved by the arrow keys and the media keys
+        this.seekStep = 10;
+        
         // A-B Loop properties
         this.loopA = null;
         this.loopB = null;
         this.isLooping = false;
         this.loopCheckInterval = null;
+        this.previewTimeout = null;
+        
+        // Loop boundary fade ('off', 'crossfade' or 'fade')
+        this.loopFade = { mode: 'off', duration: 0.05 };
+        this.fadeLevel = 1;
+        this.isFadingIn = false;
+        
+        // Lead-in before each iteration ('off', 'preroll' or 'countin')
+        this.loopLeadIn = { mode: 'off', preroll: 2, clicks: 4, bpm: 120 };
+        this.leadInPending = false;
+        this.isHolding = false;
+        this.holdTimeout = null;
+        this.metronome = null;
+        
+        // Iteration policy (repeatCount 0 loops until switched off)
+        this.loopPolicy = { repeatCount: 0, gap: 0, endAction: 'stop' };
+        this.loopIteration = 0;
+        
+        // Snapping of loop points set at the current time, to onsets (within
+        // window seconds) or to the beat grid
+        this.loopSnap = { enabled: false, window: 0.15, target: 'onsets' };
+        this.snapDetector = new SnapDetector();
+        
+        // Tempo and downbeat of the loaded track (null when unknown)
+        this.beatGrid = null;
+        
+        // Streamed sources only wrap from B to A once A-B is buffered
+        this.loopBuffered = true;
+        this.isLoading = false;
+        
+        // HLS playlists the browser cannot play natively (null otherwise)
+        this.hls = null;
+        
+        // Progressive speed trainer (null when inactive)
+        this.trainer = null;
+        
+        // Pitch transpose, independent of speed
+        this.transpose = { semitones: 0, cents: 0 };
+        
+        // Playback engines: the media element, or a decoded buffer when available
+        this.engine = this.audio;
+        this.bufferEngine = null;
+        this.audioContext = null;
+        this.pitchShifter = null;
+        this.mediaSource = null;
+        
+        // Cross-origin media without CORS headers plays, but Web Audio only hears silence from it
+        this.isOpaqueSource = false;
+        
+        // Speeds each path plays well: the media element's own time stretching,
+        // or a decoded buffer with the pitch shifter undoing the pitch change
+        this.elementSpeedRange = { min: 0.25, max: 4 };
+        this.stretchSpeedRange = { min: 0.05, max: 4 };
+        
+        // Files above these limits are only played through the media element
+        this.maxDecodeFileSize = 100 * 1024 * 1024;
+        this.maxDecodeDuration = 15 * 60;
         
         // Event listeners storage
         this.eventListeners = new Map();
@@ -35,21 +95,50 @@ class AudioPlayer {
             'loadeddata': () => this.emit('loadeddata'),
             'canplay': () => this.emit('canplay'),
             'canplaythrough': () => this.emit('canplaythrough'),
+            'durationchange': () => this.handleDurationChange(),
+            'error': (e) => this.handleError(e),
+            'progress': () => this.handleProgress(),
+            'waiting': () => this.emit('waiting')
+        };
+        
+        Object.entries(events).forEach(([event, handler]) => {
+            this.audio.addEventListener(event, handler);
+        });
+        
+        // Playback events come from whichever engine is active
+        this.engineEvents = {
             'play': () => this.handlePlay(),
             'pause': () => this.handlePause(),
             'ended': () => this.handleEnded(),
             'timeupdate': () => this.handleTimeUpdate(),
-            'durationchange': () => this.handleDurationChange(),
             'ratechange': () => this.handleRateChange(),
             'volumechange': () => this.handleVolumeChange(),
-            'error': (e) => this.handleError(e),
-            'waiting': () => this.emit('waiting'),
             'seeking': () => this.emit('seeking'),
-            'seeked': () => this.emit('seeked')
+            'seeked': () => this.emit('seeked'),
+            'looped': () => this.handleLooped(),
+            'loopend': () => this.handleLoopEnd()
         };
         
-        Object.entries(events).forEach(([event, handler]) => {
-            this.audio.addEventListener(event, handler);
+        this.attachEngine(this.engine);
+    }
+    
+    /**
+     * Listen to playback events of an engine
+     * @param {HTMLMediaElement|BufferEngine} engine - Playback engine
+     */
+    attachEngine(engine) {
+        Object.entries(this.engineEvents).forEach(([event, handler]) => {
+            engine.addEventListener(event, handler);
+        });
+    }
+    
+    /**
+     * Stop listening to playback events of an engine
+     * @param {HTMLMediaElement|BufferEngine} engine - Playback engine
+     */
+    detachEngine(engine) {
+        Object.entries(this.engineEvents).forEach(([event, handler]) => {
+            engine.removeEventListener(event, handler);
         });
     }
     
@@ -59,63 +148,417 @@ class AudioPlayer {
      */
     async loadAudio(source) {
         try {
+            this.isLoading = true;
             this.emit('loadstart');
+            this.stopPreview();
+            this.releaseBufferEngine();
+            this.releaseHls();
+            this.isOpaqueSource = false;
+            
+            // The previous file's object URL is not needed once it is replaced
+            if (this.currentFile && this.currentUrl) {
+                URL.revokeObjectURL(this.currentUrl);
+                this.currentUrl = null;
+            }
             
             if (source instanceof File) {
                 const url = URL.createObjectURL(source);
+                this.audio.removeAttribute('crossorigin');
+                this.audio.preload = 'metadata';
                 this.audio.src = url;
                 
                 // Store file reference for cleanup
                 this.currentFile = source;
                 this.currentUrl = url;
             } else if (typeof source === 'string') {
-                this.audio.src = source;
+                // Pitch shifting routes the element through Web Audio, which
+                // only hears cross-origin media served with CORS headers; servers
+                // without them are retried below
+                this.audio.crossOrigin = 'anonymous';
+                this.audio.preload = 'auto';
                 this.currentFile = null;
                 this.currentUrl = source;
+                
+                // Safari plays HLS itself; elsewhere segments are fed through MSE
+                if (isHlsUrl(source) && !this.audio.canPlayType('application/vnd.apple.mpegurl')) {
+                    await this.attachHls(source);
+                } else {
+                    this.audio.src = source;
+                }
             } else {
                 throw new Error('Invalid audio source');
             }
             
-            // Wait for metadata to load
-            await new Promise((resolve, reject) => {
-                const onLoadedMetadata = () => {
-                    this.audio.removeEventListener('loadedmetadata', onLoadedMetadata);
-                    this.audio.removeEventListener('error', onError);
-                    resolve();
-                };
-                
-                const onError = (e) => {
-                    this.audio.removeEventListener('loadedmetadata', onLoadedMetadata);
-                    this.audio.removeEventListener('error', onError);
-                    reject(e);
-                };
+            try {
+                await this.waitForMetadata();
+            } catch (failure) {
+                if (!this.canLoadOpaque(source)) throw failure;
                 
-                this.audio.addEventListener('loadedmetadata', onLoadedMetadata);
-                this.audio.addEventListener('error', onError);
-                
-                // Load the audio
-                this.audio.load();
-            });
+                // Servers without CORS headers still let the element play the
+                // file, only not through the pitch shifter
+                this.audio.removeAttribute('crossorigin');
+                this.audio.src = source;
+                await this.waitForMetadata();
+                this.isOpaqueSource = true;
+            }
             
+            this.isLoading = false;
             this.resetLoopPoints();
             this.emit('loaded', {
                 duration: this.duration,
                 file: this.currentFile
             });
             
-        } catch (error) {
+            // Drops a transpose the source cannot take
+            if (this.isOpaqueSource) {
+                this.setTranspose(this.transpose.semitones, this.transpose.cents);
+            }
+            
+            // Decode in the background and switch engines once ready; videos
+            // stay on the media element so the picture keeps moving
+            if (source instanceof File && this.canDecode(source)) {
+                this.prepareBufferEngine(source);
+            }
+            
+        } catch (event) {
+            const error = await this.describeLoadError(source, event);
+            this.releaseHls();
+            this.isLoading = false;
             this.emit('error', error);
             throw error;
         }
     }
     
+    /**
+     * Wait for the media element to load the metadata of its source
+     * @returns {Promise<void>} Rejects with the error event, or the HLS failure
+     */
+    waitForMetadata() {
+        return new Promise((resolve, reject) => {
+            const onLoadedMetadata = () => {
+                this.audio.removeEventListener('loadedmetadata', onLoadedMetadata);
+                this.audio.removeEventListener('error', onError);
+                resolve();
+            };
+            
+            const onError = (e) => {
+                this.audio.removeEventListener('loadedmetadata', onLoadedMetadata);
+                this.audio.removeEventListener('error', onError);
+                reject(e);
+            };
+            
+            this.audio.addEventListener('loadedmetadata', onLoadedMetadata);
+            this.audio.addEventListener('error', onError);
+            
+            // Load the audio (MSE sources load as segments are appended)
+            if (this.hls) {
+                this.hls.failure.then(onError);
+            } else {
+                this.audio.load();
+            }
+        });
+    }
+    
+    /**
+     * Whether a URL that failed with CORS may be retried without it
+     * @param {string|File} source - Source that failed
+     * @returns {boolean} True for cross-origin URLs played by the element itself
+     */
+    canLoadOpaque(source) {
+        // Media already routed through Web Audio would play silently
+        if (typeof source !== 'string' || this.hls || this.mediaSource) return false;
+        
+        try {
+            return new URL(source, location.href).origin !== location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Work out why a source failed to load
+     * @param {File|string} source - Source that failed
+     * @param {Error|Event} failure - What loadAudio caught
+     * @returns {Promise<Error>} Error whose message can be shown as is
+     */
+    async describeLoadError(source, failure) {
+        // A playlist or segment of an HLS stream could not be fetched
+        if (failure && failure.name === 'HlsFetchError') {
+            const { error } = await this.checkUrl(failure.url);
+            return error || createLoadError('http', `Could not fetch part of the stream (${getUrlFileName(failure.url)})`);
+        }
+        
+        if (failure instanceof Error) return failure;
+        
+        const code = this.audio.error ? this.audio.error.code : 0;
+        const name = source instanceof File ? source.name : getUrlFileName(source);
+        const unsupported = (detail = '') => createLoadError('unsupported',
+            code === MediaError.MEDIA_ERR_DECODE ?
+                `${name} could not be decoded; the file may be damaged` :
+                `${name} is not in an audio format this browser can play${detail}`);
+        
+        if (typeof source !== 'string' || !/^https?:/i.test(source)) {
+            return unsupported();
+        }
+        
+        // A retry without CORS failed too, so missing headers are not the cause
+        const { error, type } = await this.checkUrl(source);
+        if (error && !(error.reason === 'cors' && this.canLoadOpaque(source))) {
+            return error;
+        }
+        return unsupported(type ? ` (${type})` : '');
+    }
+    
+    /**
+     * Ask the server about a URL that failed to load
+     * @param {string} url - URL to check
+     * @returns {Promise<Object>} Error explaining the failure, or the content
+     *                            type if the server answered normally
+     */
+    async checkUrl(url) {
+        const name = getUrlFileName(url);
+        
+        let response;
+        try {
+            response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+        } catch (error) {
+            // Without CORS headers the request fails as if offline, but a
+            // no-cors request still reaches the server
+            const host = new URL(url).host;
+            try {
+                await fetch(url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store' });
+                return { error: createLoadError('cors', `${host} does not allow this page to play its audio (no CORS headers)`) };
+            } catch (networkError) {
+                return { error: createLoadError('network', `Could not reach ${host}; check the address and your connection`) };
+            }
+        }
+        
+        if (response.status === 404 || response.status === 410) {
+            return { error: createLoadError('notfound', `Not found (${response.status}): ${url}`) };
+        }
+        
+        // Some servers refuse HEAD requests, which says nothing about the file
+        if (!response.ok && response.status !== 405 && response.status !== 501) {
+            return { error: createLoadError('http', `The server answered ${response.status} ${response.statusText} for ${name}`.trim()) };
+        }
+        
+        const type = response.headers.get('content-type');
+        return { error: null, type: type ? type.split(';')[0] : null };
+    }
+    
+    /**
+     * Play an HLS playlist through Media Source Extensions
+     * @param {string} url - Playlist URL
+     */
+    async attachHls(url) {
+        const hls = new HlsSource(this.audio, {
+            onProgress: () => this.handleProgress(),
+            onError: async (failure) => {
+                // Failures while loading are explained by loadAudio
+                if (this.hls !== hls || this.isLoading) return;
+                
+                const error = await this.describeLoadError(url, failure);
+                if (this.hls === hls) {
+                    this.emit('error', error);
+                }
+            }
+        });
+        
+        this.hls = hls;
+        hls.setLoopRegion(this.loopA, this.loopB);
+        await hls.attach(url);
+    }
+    
+    /**
+     * Stop fetching the current HLS stream
+     */
+    releaseHls() {
+        if (!this.hls) return;
+        
+        this.hls.destroy();
+        this.hls = null;
+    }
+    
+    /**
+     * Whether a loaded file will be decoded for the buffer engine
+     * @param {File} file - Loaded file
+     * @returns {boolean} True for audio files within the decode limits
+     */
+    canDecode(file) {
+        return typeof BufferEngine !== 'undefined' && !this.hasVideo() &&
+            file.size <= this.maxDecodeFileSize && this.duration <= this.maxDecodeDuration;
+    }
+    
+    /**
+     * Decode a file for sample-accurate playback
+     * @param {File} file - Loaded audio file
+     */
+    async prepareBufferEngine(file) {
+        let buffer = null;
+        
+        try {
+            const context = this.getAudioContext();
+            if (context) {
+                buffer = await context.decodeAudioData(await file.arrayBuffer());
+            }
+        } catch (error) {
+            console.warn('Could not decode audio, using media element playback:', error);
+        }
+        
+        // The waveform is drawn from the same samples
+        this.emit('decoded', { file, buffer });
+        if (!buffer) return;
+        
+        try {
+            const canStretch = await this.pitchShifter.load();
+            
+            // Another file was loaded while decoding
+            if (file !== this.currentFile) return;
+            
+            // Count-in clicks skip the shifter so they keep their pitch
+            this.bufferEngine = new BufferEngine(this.audioContext, buffer, this.pitchShifter.input, this.pitchShifter.destination);
+            this.bufferEngine.preservesPitch = canStretch;
+            this.emit('speedrangechange', this.getSpeedRange());
+            this.updateEngine();
+        } catch (error) {
+            console.warn('Could not start buffer playback:', error);
+        }
+    }
+    
+    /**
+     * Get the shared AudioContext, creating it on first use
+     * @returns {AudioContext|null} Audio context, null if unsupported
+     */
+    getAudioContext() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        
+        if (!this.audioContext && AudioContextClass) {
+            this.audioContext = new AudioContextClass();
+            this.pitchShifter = new PitchShifter(this.audioContext, this.audioContext.destination);
+        }
+        
+        return this.audioContext;
+    }
+    
+    /**
+     * Drop the decoded buffer and return to media element playback
+     */
+    releaseBufferEngine() {
+        const bufferEngine = this.bufferEngine;
+        if (!bufferEngine) return;
+        
+        // Bring the speed into the media element's range before handing over
+        this.bufferEngine = null;
+        const { min, max } = this.getSpeedRange();
+        const rate = clamp(this.playbackRate, min, max);
+        const rateChanged = rate !== this.playbackRate;
+        this.playbackRate = rate;
+        
+        if (this.engine === bufferEngine) {
+            this.pause();
+            this.switchEngine(this.audio);
+        }
+        
+        bufferEngine.destroy();
+        this.emit('speedrangechange', this.getSpeedRange());
+        
+        if (rateChanged) {
+            this.emit('ratechange', this.playbackRate);
+        }
+    }
+    
+    /**
+     * Speeds the current playback path supports
+     * @returns {Object} Minimum and maximum playback rate
+     */
+    getSpeedRange() {
+        const range = this.bufferEngine && this.bufferEngine.preservesPitch ?
+            this.stretchSpeedRange : this.elementSpeedRange;
+        return { ...range };
+    }
+    
+    /**
+     * Route the media element through the AudioContext.
+     * This cannot be undone, so it only happens once pitch shifting is used.
+     */
+    connectMediaElement() {
+        if (this.mediaSource) return;
+        
+        try {
+            this.mediaSource = this.audioContext.createMediaElementSource(this.audio);
+            this.mediaSource.connect(this.pitchShifter.input);
+        } catch (error) {
+            console.warn('Could not route media element through the pitch shifter:', error);
+        }
+    }
+    
+    /**
+     * Pick the engine for the current settings
+     */
+    updateEngine() {
+        // The buffer engine keeps the pitch at other speeds only through the pitch shifter
+        const useBuffer = this.bufferEngine &&
+            (this.playbackRate === 1 || this.bufferEngine.preservesPitch);
+        
+        this.switchEngine(useBuffer ? this.bufferEngine : this.audio);
+    }
+    
+    /**
+     * Hand playback over to another engine at the same position
+     * @param {HTMLMediaElement|BufferEngine} engine - Engine to switch to
+     */
+    switchEngine(engine) {
+        if (engine === this.engine) return;
+        
+        const previous = this.engine;
+        const wasPlaying = this.isPlaying;
+        const time = previous.currentTime;
+        
+        this.detachEngine(previous);
+        this.cancelHold();
+        this.stopLoopCheck();
+        previous.pause();
+        
+        this.engine = engine;
+        engine.playbackRate = this.playbackRate;
+        engine.volume = this.volume;
+        engine.currentTime = time;
+        this.attachEngine(engine);
+        this.updatePitchShift();
+        
+        if (wasPlaying) {
+            this.play();
+        }
+        
+        this.emit('enginechange', this.getEngineType());
+    }
+    
+    /**
+     * Get the active engine type
+     * @returns {string} 'buffer' or 'element'
+     */
+    getEngineType() {
+        return this.engine === this.bufferEngine ? 'buffer' : 'element';
+    }
+    
     /**
      * Play audio
      */
     async play() {
         try {
-            await this.audio.play();
+            // A routed media element is silent while the context is suspended
+            if (this.mediaSource && this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            
+            await this.engine.play();
             this.startLoopCheck();
+            
+            // First play after the loop was switched on
+            if (this.leadInPending && this.isLooping) {
+                this.leadInPending = false;
+                this.startLeadIn();
+            }
         } catch (error) {
             this.emit('error', error);
         }
@@ -125,7 +568,13 @@ class AudioPlayer {
      * Pause audio
      */
     pause() {
-        this.audio.pause();
+        // The element is already paused while it waits for a count-in
+        if (this.cancelHold()) {
+            this.handlePause();
+            return;
+        }
+        
+        this.engine.pause();
         this.stopLoopCheck();
     }
     
@@ -146,7 +595,7 @@ class AudioPlayer {
      */
     seek(time) {
         const clampedTime = clamp(time, 0, this.duration);
-        this.audio.currentTime = clampedTime;
+        this.engine.currentTime = clampedTime;
     }
     
     /**
@@ -159,31 +608,96 @@ class AudioPlayer {
     
     /**
      * Set playback rate
-     * @param {number} rate - Playback rate (0.25 to 2.0)
+     * @param {number} rate - Playback rate (0.05 to 4 for decoded files, 0.25 to 4 otherwise)
      */
     setPlaybackRate(rate) {
-        const clampedRate = clamp(rate, 0.25, 2.0);
-        this.audio.playbackRate = clampedRate;
+        const { min, max } = this.getSpeedRange();
+        const clampedRate = clamp(rate, min, max);
         this.playbackRate = clampedRate;
+        this.updateEngine();
+        this.engine.playbackRate = clampedRate;
+        this.updatePitchShift();
         this.emit('ratechange', this.playbackRate);
     }
     
+    /**
+     * Transpose the pitch without changing the speed
+     * @param {number} semitones - Semitones (-12 to 12)
+     * @param {number} cents - Additional cents, carried into semitones past ±50
+     * @returns {Promise<boolean>} True if the transpose was applied
+     */
+    async setTranspose(semitones, cents = 0) {
+        const total = Math.round(clamp(semitones * 100 + cents, -1200, 1200));
+        const wholeSemitones = Math.round(total / 100);
+        
+        this.transpose = { semitones: wholeSemitones, cents: total - wholeSemitones * 100 };
+        this.emit('transposechange', { ...this.transpose });
+        
+        if (await this.updatePitchShift()) {
+            return true;
+        }
+        
+        // Pitch shifting is unavailable, play untransposed
+        this.transpose = { semitones: 0, cents: 0 };
+        this.emit('transposechange', { ...this.transpose });
+        return false;
+    }
+    
+    /**
+     * Pitch factor for the current transpose
+     * @returns {number} Frequency ratio (1 for no change)
+     */
+    getPitchFactor() {
+        const { semitones, cents } = this.transpose;
+        return Math.pow(2, (semitones * 100 + cents) / 1200);
+    }
+    
+    /**
+     * Apply the transpose to the output stage. Buffer playback changes the
+     * pitch along with the speed, so the shifter also undoes that change.
+     * @returns {Promise<boolean>} True if the pitch factor is in effect
+     */
+    async updatePitchShift() {
+        const isBuffer = this.engine === this.bufferEngine;
+        const factor = this.getPitchFactor() / (isBuffer ? this.playbackRate : 1);
+        if (factor === 1 && !this.pitchShifter) return true;
+        
+        const context = this.getAudioContext();
+        if (!context || typeof AudioWorkletNode === 'undefined') return false;
+        
+        if (factor !== 1 && !isBuffer) {
+            if (this.isOpaqueSource) return false;
+            this.connectMediaElement();
+        }
+        
+        const applied = await this.pitchShifter.setFactor(factor);
+        
+        // Another engine may have taken over while the shifter loaded
+        if (isBuffer && this.engine === this.bufferEngine) {
+            this.bufferEngine.setOutputLatency(this.pitchShifter.latency);
+        }
+        
+        return applied;
+    }
+    
     /**
      * Set volume
      * @param {number} volume - Volume (0 to 1)
      */
     setVolume(volume) {
         const clampedVolume = clamp(volume, 0, 1);
-        this.audio.volume = clampedVolume;
+        this.engine.volume = clampedVolume;
         this.volume = clampedVolume;
     }
     
     /**
      * Set A point for loop
      * @param {number} time - Time in seconds (optional, uses current time if not provided)
+     * @returns {Object|null} Snap result when the current time was snapped
      */
     setLoopA(time = null) {
-        this.loopA = time !== null ? time : this.currentTime;
+        const snap = time === null ? this.snapTime(this.currentTime) : null;
+        this.loopA = time !== null ? time : (snap ? snap.time : this.currentTime);
         this.emit('loopaset', this.loopA);
         
         // If B is set and A > B, swap them
@@ -191,14 +705,20 @@ class AudioPlayer {
             [this.loopA, this.loopB] = [this.loopB, this.loopA];
             this.emit('loopbset', this.loopB);
         }
+        
+        this.updateLoopBuffered();
+        this.refreshLoopCheck();
+        return snap;
     }
     
     /**
      * Set B point for loop
      * @param {number} time - Time in seconds (optional, uses current time if not provided)
+     * @returns {Object|null} Snap result when the current time was snapped
      */
     setLoopB(time = null) {
-        this.loopB = time !== null ? time : this.currentTime;
+        const snap = time === null ? this.snapTime(this.currentTime) : null;
+        this.loopB = time !== null ? time : (snap ? snap.time : this.currentTime);
         this.emit('loopbset', this.loopB);
         
         // If A is set and B < A, swap them
@@ -206,6 +726,326 @@ class AudioPlayer {
             [this.loopA, this.loopB] = [this.loopB, this.loopA];
             this.emit('loopaset', this.loopA);
         }
+        
+        this.updateLoopBuffered();
+        this.refreshLoopCheck();
+        return snap;
+    }
+    
+    /**
+     * Snap a time to a nearby onset, silence or zero crossing
+     * @param {number} time - Time in seconds
+     * @returns {Object|null} Snapped time, offset and kind ('unavailable' without
+     * decoded audio), null while snapping is off
+     */
+    snapTime(time) {
+        if (!this.loopSnap.enabled) return null;
+        
+        if (this.loopSnap.target === 'beats') {
+            const beat = this.getNearestBeat(time);
+            return beat !== null ? { time: beat, offset: beat - time, kind: 'beat' } : { time, offset: 0, kind: 'none' };
+        }
+        
+        if (!this.bufferEngine) {
+            return { time, offset: 0, kind: 'unavailable' };
+        }
+        
+        const result = this.snapDetector.find(this.bufferEngine.buffer, time, this.loopSnap.window);
+        return { time: result.time, offset: result.time - time, kind: result.kind };
+    }
+    
+    /**
+     * Set the tempo and downbeat of the loaded track
+     * @param {Object|null} grid - BPM, time of a downbeat and beats per bar, null if unknown
+     */
+    setBeatGrid(grid) {
+        this.beatGrid = grid ? { ...grid } : null;
+        this.emit('beatgridchange', grid ? { ...grid } : null);
+    }
+    
+    /**
+     * Beat of the grid closest to a time
+     * @param {number} time - Time in seconds
+     * @returns {number|null} Beat time, null without a grid
+     */
+    getNearestBeat(time) {
+        if (!this.beatGrid) return null;
+        
+        const beat = 60 / this.beatGrid.bpm;
+        const nearest = this.beatGrid.offset + Math.round((time - this.beatGrid.offset) / beat) * beat;
+        return clamp(nearest, 0, this.duration);
+    }
+    
+    /**
+     * Set both loop points at once
+     * @param {number} start - Loop start in seconds
+     * @param {number} end - Loop end in seconds
+     */
+    setLoopPoints(start, end) {
+        this.loopA = Math.min(start, end);
+        this.loopB = Math.max(start, end);
+        this.emit('loopaset', this.loopA);
+        this.emit('loopbset', this.loopB);
+        
+        this.updateLoopBuffered();
+        this.refreshLoopCheck();
+    }
+    
+    /**
+     * Move a loop point by a small step without letting A and B cross
+     * @param {string} point - 'a' or 'b'
+     * @param {number} offset - Seconds to move by (negative moves earlier)
+     * @returns {number|null} New time, null if the point is not set
+     */
+    nudgeLoopPoint(point, offset) {
+        const current = point === 'a' ? this.loopA : this.loopB;
+        if (current === null) return null;
+        
+        const min = point === 'b' && this.loopA !== null ? this.loopA + 0.001 : 0;
+        const max = point === 'a' && this.loopB !== null ? this.loopB - 0.001 : this.duration;
+        const time = clamp(current + offset, min, max);
+        
+        if (point === 'a') {
+            this.setLoopA(time);
+        } else {
+            this.setLoopB(time);
+        }
+        
+        return time;
+    }
+    
+    /**
+     * Play a short stretch either side of a time, then pause. With the loop
+     * on, previewing B plays through the wrap back to A.
+     * @param {number} time - Time to centre the preview on
+     * @param {number} length - Seconds to play before and after it
+     */
+    async previewAround(time, length = 1.5) {
+        this.stopPreview();
+        this.leadInPending = false;
+        this.seek(Math.max(0, time - length));
+        await this.play();
+        
+        this.previewTimeout = setTimeout(() => {
+            this.previewTimeout = null;
+            this.pause();
+        }, (length * 2 / this.playbackRate) * 1000);
+    }
+    
+    /**
+     * Cancel the pending end of a preview
+     */
+    stopPreview() {
+        if (this.previewTimeout) {
+            clearTimeout(this.previewTimeout);
+            this.previewTimeout = null;
+        }
+    }
+    
+    /**
+     * Configure snapping of loop points set at the current time
+     * @param {Object} options - Snap options
+     * @param {boolean} options.enabled - Whether to snap
+     * @param {number} options.window - Seconds searched before the time (0.01 to 1)
+     * @param {string} options.target - 'onsets' (onsets, silences and zero crossings) or 'beats'
+     */
+    setLoopSnap(options) {
+        const snap = { ...this.loopSnap, ...options };
+        
+        this.loopSnap = {
+            enabled: !!snap.enabled,
+            window: clamp(snap.window, 0.01, 1),
+            target: snap.target === 'beats' ? 'beats' : 'onsets'
+        };
+        this.emit('loopsnapchange', { ...this.loopSnap });
+    }
+    
+    /**
+     * Configure the fade applied at each loop boundary
+     * @param {string} mode - 'off', 'crossfade' or 'fade' (fade out, then fade in)
+     * @param {number} duration - Fade length in seconds (0.005 to 0.5)
+     */
+    setLoopFade(mode, duration) {
+        this.loopFade = {
+            mode,
+            duration: clamp(duration, 0.005, 0.5)
+        };
+        this.emit('loopfadechange', this.loopFade);
+        this.refreshLoopCheck();
+    }
+    
+    /**
+     * Configure the lead-in played before each loop iteration
+     * @param {Object} options - Lead-in options
+     * @param {string} options.mode - 'off', 'preroll' or 'countin'
+     * @param {number} options.preroll - Seconds to start before A (pre-roll)
+     * @param {number} options.clicks - Number of count-in clicks
+     * @param {number} options.bpm - Count-in tempo
+     */
+    setLoopLeadIn(options) {
+        const leadIn = { ...this.loopLeadIn, ...options };
+        
+        this.loopLeadIn = {
+            mode: leadIn.mode,
+            preroll: clamp(leadIn.preroll, 0.1, 30),
+            clicks: Math.round(clamp(leadIn.clicks, 1, 16)),
+            bpm: clamp(leadIn.bpm, 30, 300)
+        };
+        this.emit('leadinchange', { ...this.loopLeadIn });
+        this.refreshLoopCheck();
+    }
+    
+    /**
+     * Configure how many times the loop plays and what happens after it
+     * @param {Object} options - Policy options
+     * @param {number} options.repeatCount - Iterations to play, 0 for no limit
+     * @param {number} options.gap - Silent seconds between iterations
+     * @param {string} options.endAction - 'stop', 'continue' past B or 'clear' the loop
+     */
+    setLoopPolicy(options) {
+        const policy = { ...this.loopPolicy, ...options };
+        
+        this.loopPolicy = {
+            repeatCount: Math.round(clamp(policy.repeatCount, 0, 999)),
+            gap: clamp(policy.gap, 0, 30),
+            endAction: policy.endAction
+        };
+        this.emit('looppolicychange', { ...this.loopPolicy });
+        this.emit('loopiteration', this.getLoopIterationState());
+        this.refreshLoopCheck();
+    }
+    
+    /**
+     * Whether the current iteration is the last one the policy allows
+     * @returns {boolean} True on the final iteration
+     */
+    isFinalIteration() {
+        const { repeatCount } = this.loopPolicy;
+        return repeatCount > 0 && this.loopIteration >= repeatCount;
+    }
+    
+    /**
+     * Restart the iteration count
+     */
+    resetLoopIterations() {
+        this.loopIteration = this.isLooping ? 1 : 0;
+        this.emit('loopiteration', this.getLoopIterationState());
+    }
+    
+    /**
+     * Get loop iteration progress
+     * @returns {Object|null} Current and total iterations, null when not looping
+     */
+    getLoopIterationState() {
+        if (!this.isLooping) return null;
+        
+        return {
+            current: this.loopIteration,
+            total: this.loopPolicy.repeatCount
+        };
+    }
+    
+    /**
+     * Start ramping the speed across loop iterations
+     * @param {Object} options - Trainer options
+     * @param {number} options.startSpeed - Speed of the first iterations
+     * @param {number} options.targetSpeed - Speed to finish at
+     * @param {number} options.step - Speed change per step
+     * @param {number} options.loopsPerStep - Iterations played at each step
+     * @param {string} options.atTarget - 'hold' to keep looping at the target, 'stop' to pause
+     * @returns {boolean} True if the trainer started
+     */
+    startTrainer(options) {
+        if (this.loopA === null || this.loopB === null) {
+            return false;
+        }
+        
+        const step = Math.abs(options.step);
+        const distance = Math.abs(options.targetSpeed - options.startSpeed);
+        
+        this.trainer = {
+            startSpeed: options.startSpeed,
+            targetSpeed: options.targetSpeed,
+            step,
+            loopsPerStep: Math.max(1, Math.round(options.loopsPerStep)),
+            atTarget: options.atTarget,
+            direction: Math.sign(options.targetSpeed - options.startSpeed),
+            totalSteps: step > 0 ? Math.ceil(distance / step - 1e-9) : 0,
+            stepIndex: 0,
+            loopCount: 0,
+            finished: false
+        };
+        
+        this.setPlaybackRate(options.startSpeed);
+        
+        if (!this.isLooping) {
+            this.toggleLoop();
+        }
+        
+        this.emit('trainerchange', this.getTrainerState());
+        return true;
+    }
+    
+    /**
+     * Stop the speed trainer, keeping the current speed
+     */
+    stopTrainer() {
+        if (!this.trainer) return;
+        
+        this.trainer = null;
+        this.emit('trainerchange', null);
+    }
+    
+    /**
+     * Count an iteration and move to the next speed step when due
+     */
+    advanceTrainer() {
+        const trainer = this.trainer;
+        if (!trainer || trainer.finished) return;
+        
+        trainer.loopCount++;
+        
+        if (trainer.loopCount >= trainer.loopsPerStep) {
+            trainer.loopCount = 0;
+            
+            if (trainer.stepIndex < trainer.totalSteps) {
+                trainer.stepIndex++;
+                
+                const speed = trainer.stepIndex === trainer.totalSteps ?
+                    trainer.targetSpeed :
+                    trainer.startSpeed + trainer.direction * trainer.step * trainer.stepIndex;
+                this.setPlaybackRate(Math.round(speed * 1000) / 1000);
+            } else {
+                // All iterations at the target speed are done
+                trainer.finished = true;
+                
+                if (trainer.atTarget === 'stop') {
+                    this.pause();
+                }
+            }
+        }
+        
+        this.emit('trainerchange', this.getTrainerState());
+    }
+    
+    /**
+     * Get speed trainer progress
+     * @returns {Object|null} Trainer state, null when inactive
+     */
+    getTrainerState() {
+        if (!this.trainer) return null;
+        
+        const { stepIndex, totalSteps, loopCount, loopsPerStep, targetSpeed, atTarget, finished } = this.trainer;
+        return {
+            speed: this.playbackRate,
+            targetSpeed,
+            step: stepIndex + 1,
+            totalSteps: totalSteps + 1,
+            loop: loopCount + 1,
+            loopsPerStep,
+            atTarget,
+            finished
+        };
     }
     
     /**
@@ -215,12 +1055,28 @@ class AudioPlayer {
         if (this.loopA !== null && this.loopB !== null) {
             this.isLooping = !this.isLooping;
             this.emit('looptoggle', this.isLooping);
+            this.resetLoopIterations();
             
             if (this.isLooping && this.isPlaying) {
                 this.startLoopCheck();
             } else {
+                this.endHold();
                 this.stopLoopCheck();
             }
+            
+            // The trainer counts iterations, so it ends with the loop
+            if (!this.isLooping) {
+                this.stopTrainer();
+            }
+            
+            // Lead in to the first iteration as well as to every wrap
+            if (this.isLooping && this.loopLeadIn.mode !== 'off') {
+                if (this.isPlaying) {
+                    this.startLeadIn();
+                } else {
+                    this.leadInPending = true;
+                }
+            }
         }
     }
     
@@ -231,7 +1087,12 @@ class AudioPlayer {
         this.loopA = null;
         this.loopB = null;
         this.isLooping = false;
+        this.leadInPending = false;
+        this.endHold();
         this.stopLoopCheck();
+        this.stopTrainer();
+        this.resetLoopIterations();
+        this.updateLoopBuffered();
         this.emit('loopclear');
     }
     
@@ -242,6 +1103,88 @@ class AudioPlayer {
         this.clearLoop();
     }
     
+    /**
+     * Apply changed loop points to running playback
+     */
+    refreshLoopCheck() {
+        if (this.isLooping && this.isPlaying) {
+            this.startLoopCheck();
+        }
+    }
+    
+    /**
+     * Whether the source streams from a URL rather than playing a local file
+     * @returns {boolean} True for URL sources
+     */
+    isStreaming() {
+        return !this.currentFile && !!this.currentUrl;
+    }
+    
+    /**
+     * Whether the loaded source has a picture
+     * @returns {boolean} True for video files and streams
+     */
+    hasVideo() {
+        return this.audio.videoWidth > 0;
+    }
+    
+    /**
+     * Parts of a streamed source that are buffered
+     * @returns {Object[]} Ranges with start and end in seconds
+     */
+    getBufferedRanges() {
+        return this.isStreaming() ? this.readTimeRanges(this.audio.buffered) : [{ start: 0, end: this.duration }];
+    }
+    
+    /**
+     * Parts of a streamed source that can be seeked to
+     * @returns {Object[]} Ranges with start and end in seconds
+     */
+    getSeekableRanges() {
+        return this.isStreaming() ? this.readTimeRanges(this.audio.seekable) : [{ start: 0, end: this.duration }];
+    }
+    
+    /**
+     * Convert TimeRanges to an array
+     * @param {TimeRanges} ranges - Media element ranges
+     * @returns {Object[]} Ranges with start and end in seconds
+     */
+    readTimeRanges(ranges) {
+        const result = [];
+        for (let i = 0; i < ranges.length; i++) {
+            result.push({ start: ranges.start(i), end: ranges.end(i) });
+        }
+        return result;
+    }
+    
+    /**
+     * Whether a stretch of the track is buffered in one piece
+     * @param {number} start - Start in seconds
+     * @param {number} end - End in seconds
+     * @returns {boolean} True if it can play without waiting for the network
+     */
+    isRangeBuffered(start, end) {
+        const tolerance = 0.1;
+        const last = Math.min(end, this.duration || end);
+        return this.getBufferedRanges().some(range =>
+            range.start <= start + tolerance && range.end >= last - tolerance);
+    }
+    
+    /**
+     * Recheck whether the A-B region is buffered and report changes
+     */
+    updateLoopBuffered() {
+        if (this.hls) {
+            this.hls.setLoopRegion(this.loopA, this.loopB);
+        }
+        
+        const buffered = this.loopA === null || this.loopB === null || this.isRangeBuffered(this.loopA, this.loopB);
+        if (buffered === this.loopBuffered) return;
+        
+        this.loopBuffered = buffered;
+        this.emit('loopbufferchange', buffered);
+    }
+    
     /**
      * Start loop checking interval
      */
@@ -249,13 +1192,203 @@ class AudioPlayer {
         if (this.isLooping && this.loopA !== null && this.loopB !== null) {
             this.stopLoopCheck(); // Clear existing interval
             
-            this.loopCheckInterval = setInterval(() => {
-                if (this.isLooping && this.currentTime >= this.loopB) {
-                    this.seek(this.loopA);
-                    this.emit('looped');
-                }
-            }, 100); // Check every 100ms for smooth looping
+            // The buffer engine schedules loop boundaries on the audio clock
+            if (this.engine === this.bufferEngine) {
+                this.bufferEngine.setLoopRegion(this.loopA, this.loopB, {
+                    fadeMode: this.loopFade.mode,
+                    fadeDuration: this.loopFade.duration,
+                    leadInMode: this.loopLeadIn.mode,
+                    preroll: this.loopLeadIn.preroll,
+                    clicks: this.loopLeadIn.clicks,
+                    bpm: this.loopLeadIn.bpm,
+                    gap: this.loopPolicy.gap,
+                    finalPass: this.isFinalIteration(),
+                    endAction: this.loopPolicy.endAction
+                });
+                return;
+            }
+            
+            // Fades need a finer check to follow the volume envelope
+            const interval = this.loopFade.mode !== 'off' ? 20 : 100;
+            this.loopCheckInterval = setInterval(() => this.checkLoop(), interval);
+        }
+    }
+    
+    /**
+     * Check the media element position against the loop points
+     */
+    checkLoop() {
+        if (!this.isLooping || this.isHolding) return;
+        
+        const time = this.audio.currentTime;
+        
+        if (time >= this.loopB) {
+            // Jumping back into a part still downloading would stall, so play on
+            if (!this.loopBuffered) return;
+            
+            if (this.isFinalIteration()) {
+                this.handleLoopEnd();
+                return;
+            }
+            this.startElementIteration(true);
+        }
+        
+        if (this.loopFade.mode !== 'off') {
+            this.setFadeLevel(this.getFadeLevel(this.audio.currentTime));
+        }
+    }
+    
+    /**
+     * Position each loop iteration starts from
+     * @returns {number} Time in seconds
+     */
+    getIterationStart() {
+        if (this.loopLeadIn.mode === 'preroll') {
+            return Math.max(0, this.loopA - this.loopLeadIn.preroll);
         }
+        return this.loopA;
+    }
+    
+    /**
+     * Restart the loop at A, preceded by the lead-in
+     */
+    startLeadIn() {
+        if (this.loopA === null || this.loopB === null) return;
+        
+        if (this.engine === this.bufferEngine) {
+            this.bufferEngine.startLeadIn();
+        } else {
+            this.startElementIteration(false);
+        }
+    }
+    
+    /**
+     * Start a loop iteration on the media element
+     * @param {boolean} isWrap - Whether this repeats the loop (emits 'looped')
+     */
+    startElementIteration(isWrap) {
+        const begin = () => {
+            this.seek(this.getIterationStart());
+            this.isFadingIn = this.loopFade.mode !== 'off';
+            
+            if (isWrap) {
+                this.handleLooped();
+            }
+        };
+        
+        // Silence between iterations, followed by the count-in
+        const gap = isWrap ? this.loopPolicy.gap : 0;
+        const countInTime = this.loopLeadIn.mode === 'countin' ? this.scheduleCountIn(gap) : 0;
+        
+        if (gap + countInTime > 0) {
+            this.seek(this.loopA);
+            this.holdElement(gap + countInTime, begin);
+            return;
+        }
+        
+        begin();
+    }
+    
+    /**
+     * Schedule count-in clicks for the media element
+     * @param {number} delay - Seconds to wait before the first click
+     * @returns {number} Count-in length in seconds, 0 if clicks are unavailable
+     */
+    scheduleCountIn(delay = 0) {
+        const context = this.getAudioContext();
+        if (!context || typeof Metronome === 'undefined') return 0;
+        
+        if (context.state === 'suspended') {
+            context.resume();
+        }
+        
+        if (!this.metronome) {
+            this.metronome = new Metronome(context, context.destination);
+        }
+        
+        const start = context.currentTime + delay + 0.05;
+        const end = this.metronome.scheduleCountIn(start, this.loopLeadIn.clicks, this.loopLeadIn.bpm);
+        return end - context.currentTime - delay;
+    }
+    
+    /**
+     * Pause the media element for a while without reporting a pause
+     * @param {number} duration - Hold length in seconds
+     * @param {Function} onResume - Called right before playback resumes
+     */
+    holdElement(duration, onResume) {
+        this.isHolding = true;
+        this.audio.pause();
+        
+        this.holdTimeout = setTimeout(() => {
+            this.holdTimeout = null;
+            this.isHolding = false;
+            onResume();
+            this.audio.play().catch(error => this.emit('error', error));
+        }, duration * 1000);
+    }
+    
+    /**
+     * Resume straight away if the loop stops during a gap or count-in
+     */
+    endHold() {
+        if (this.cancelHold()) {
+            this.audio.play().catch(error => this.emit('error', error));
+        }
+    }
+    
+    /**
+     * Cancel a pending hold
+     * @returns {boolean} True if a hold was cancelled
+     */
+    cancelHold() {
+        if (!this.isHolding) return false;
+        
+        clearTimeout(this.holdTimeout);
+        this.holdTimeout = null;
+        this.isHolding = false;
+        
+        if (this.metronome) {
+            this.metronome.stop();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Volume envelope around the loop boundary for the media element.
+     * The element cannot overlap two positions, so crossfades are played
+     * as a fade out before B and a fade in after A.
+     * @param {number} time - Current position in seconds
+     * @returns {number} Level (0 to 1)
+     */
+    getFadeLevel(time) {
+        const span = Math.min(this.loopFade.duration * this.playbackRate, (this.loopB - this.loopA) / 2);
+        if (span <= 0) return 1;
+        
+        let level = clamp((this.loopB - time) / span, 0, 1);
+        
+        if (this.isFadingIn) {
+            const fadeIn = (time - this.getIterationStart()) / span;
+            if (fadeIn >= 1) {
+                this.isFadingIn = false;
+            } else {
+                level = Math.min(level, clamp(fadeIn, 0, 1));
+            }
+        }
+        
+        return level;
+    }
+    
+    /**
+     * Scale the media element volume for a loop fade
+     * @param {number} level - Level (0 to 1)
+     */
+    setFadeLevel(level) {
+        if (level === this.fadeLevel) return;
+        
+        this.fadeLevel = level;
+        this.audio.volume = this.volume * level;
     }
     
     /**
@@ -266,6 +1399,49 @@ class AudioPlayer {
             clearInterval(this.loopCheckInterval);
             this.loopCheckInterval = null;
         }
+        
+        this.isFadingIn = false;
+        this.setFadeLevel(1);
+        
+        if (this.bufferEngine) {
+            this.bufferEngine.clearLoopRegion();
+        }
+    }
+    
+    /**
+     * Handle the start of a new loop iteration
+     */
+    handleLooped() {
+        this.loopIteration++;
+        this.advanceTrainer();
+        this.emit('looped');
+        this.emit('loopiteration', this.getLoopIterationState());
+        
+        // Let the buffer engine schedule the exit instead of another wrap
+        if (this.isFinalIteration()) {
+            this.refreshLoopCheck();
+        }
+    }
+    
+    /**
+     * Handle the end of the last iteration allowed by the loop policy
+     */
+    handleLoopEnd() {
+        const action = this.loopPolicy.endAction;
+        
+        if (action === 'clear') {
+            this.clearLoop();
+        } else if (action === 'continue') {
+            this.toggleLoop();
+        } else {
+            // Stop at A so the next play runs the full count again
+            this.pause();
+            this.seek(this.loopA);
+            this.resetLoopIterations();
+            this.leadInPending = this.loopLeadIn.mode !== 'off';
+        }
+        
+        this.emit('loopend', action);
     }
     
     /**
@@ -276,6 +1452,14 @@ class AudioPlayer {
         this.emit('loadedmetadata', this.duration);
     }
     
+    /**
+     * Handle download progress of the media element
+     */
+    handleProgress() {
+        this.updateLoopBuffered();
+        this.emit('progress', this.getBufferedRanges());
+    }
+    
     /**
      * Handle play event
      */
@@ -289,8 +1473,12 @@ class AudioPlayer {
      * Handle pause event
      */
     handlePause() {
+        // Pauses during a count-in are not real pauses
+        if (this.isHolding) return;
+        
         this.isPlaying = false;
         this.stopLoopCheck();
+        this.stopPreview();
         this.emit('pause');
     }
     
@@ -307,7 +1495,7 @@ class AudioPlayer {
      * Handle time update event
      */
     handleTimeUpdate() {
-        this.currentTime = this.audio.currentTime;
+        this.currentTime = this.engine.currentTime;
         this.emit('timeupdate', this.currentTime);
     }
     
@@ -323,7 +1511,7 @@ class AudioPlayer {
      * Handle rate change event
      */
     handleRateChange() {
-        this.playbackRate = this.audio.playbackRate;
+        this.playbackRate = this.engine.playbackRate;
         this.emit('ratechange', this.playbackRate);
     }
     
@@ -331,7 +1519,10 @@ class AudioPlayer {
      * Handle volume change event
      */
     handleVolumeChange() {
-        this.volume = this.audio.volume;
+        // Ignore changes made by a loop fade
+        if (this.fadeLevel !== 1) return;
+        
+        this.volume = this.engine.volume;
         this.emit('volumechange', this.volume);
     }
     
@@ -339,6 +1530,9 @@ class AudioPlayer {
      * Handle error event
      */
     handleError(event) {
+        // Failures while loading are explained by loadAudio
+        if (this.isLoading) return;
+        
         const error = this.audio.error || new Error('Audio playback error');
         this.emit('error', error);
     }
@@ -401,6 +1595,16 @@ class AudioPlayer {
             loopA: this.loopA,
             loopB: this.loopB,
             isLooping: this.isLooping,
+            loopFade: { ...this.loopFade },
+            loopLeadIn: { ...this.loopLeadIn },
+            loopPolicy: { ...this.loopPolicy },
+            loopSnap: { ...this.loopSnap },
+            beatGrid: this.beatGrid ? { ...this.beatGrid } : null,
+            loopIteration: this.getLoopIterationState(),
+            trainer: this.getTrainerState(),
+            transpose: { ...this.transpose },
+            speedRange: this.getSpeedRange(),
+            engine: this.getEngineType(),
             hasFile: !!this.currentFile || !!this.currentUrl
         };
     }
@@ -411,8 +1615,21 @@ class AudioPlayer {
     destroy() {
         this.pause();
         this.stopLoopCheck();
+        this.stopPreview();
+        this.releaseBufferEngine();
+        this.releaseHls();
         this.eventListeners.clear();
         
+        if (this.pitchShifter) {
+            this.pitchShifter.destroy();
+            this.pitchShifter = null;
+        }
+        
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+        
         // Cleanup object URL if it was created
         if (this.currentUrl && this.currentFile) {
             URL.revokeObjectURL(this.currentUrl);
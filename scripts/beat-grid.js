@@ -0,0 +1,385 @@
+// Beat grid - Tempo detection, tap tempo, beat lines and bar-aligned loops
+
+class BeatGrid {
+    constructor(player) {
+        this.player = player;
+        this.detector = new TempoDetector();
+        this.storageKey = 'abplayer:beatGrids';
+        this.trackKey = null;
+        this.grid = null;
+        this.source = null; // 'detected', 'tapped' or 'manual'
+        this.peaks = null;
+        this.view = null;
+        this.isVisible = true;
+        this.taps = [];
+        this.tapTimeout = 2000; // A longer pause starts a new tap sequence
+        this.minLineSpacing = 6; // Pixels between drawn lines
+
+        // Get DOM elements
+        this.elements = {
+            bpm: document.getElementById('trackBpm'),
+            visible: document.getElementById('beatGridVisible'),
+            bpmInput: document.getElementById('beatBpm'),
+            halveBtn: document.getElementById('halveBpmBtn'),
+            doubleBtn: document.getElementById('doubleBpmBtn'),
+            beatsPerBar: document.getElementById('beatsPerBar'),
+            barCount: document.getElementById('barCount'),
+            status: document.getElementById('beatStatus'),
+            tapBtn: document.getElementById('tapTempoBtn'),
+            loopBarsBtn: document.getElementById('loopBarsBtn'),
+            detectBtn: document.getElementById('detectBpmBtn'),
+            marks: document.getElementById('beatMarks'),
+            progressBar: document.getElementById('progressBar')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.setGrid(null, null);
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.visible.addEventListener('change', () => {
+            this.isVisible = this.elements.visible.checked;
+            this.renderMarks();
+        });
+
+        this.elements.bpmInput.addEventListener('change', () => {
+            const bpm = parseFloat(this.elements.bpmInput.value);
+            if (this.grid && bpm > 0) {
+                this.setTempo(bpm, 'manual');
+            } else {
+                this.updateControls();
+            }
+        });
+
+        this.elements.halveBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.halveBtn);
+            this.setTempo(this.grid.bpm / 2, 'manual');
+        });
+
+        this.elements.doubleBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.doubleBtn);
+            this.setTempo(this.grid.bpm * 2, 'manual');
+        });
+
+        this.elements.beatsPerBar.addEventListener('change', () => {
+            const beatsPerBar = this.readBeatsPerBar();
+            if (this.grid) {
+                this.setGrid({ ...this.grid, beatsPerBar }, this.source);
+                this.persist();
+            } else {
+                this.elements.beatsPerBar.value = beatsPerBar;
+            }
+        });
+
+        this.elements.tapBtn.addEventListener('click', () => this.tap());
+
+        this.elements.loopBarsBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.loopBarsBtn);
+            this.loopBars(parseInt(this.elements.barCount.value, 10) || 1);
+        });
+
+        this.elements.detectBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.detectBtn);
+            this.forget();
+            this.detect();
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => {
+            this.trackKey = null;
+            this.peaks = null;
+            this.taps = [];
+            this.setGrid(null, null);
+            this.updateStatus('Detecting tempo...');
+        });
+
+        this.player.on('loaded', (data) => {
+            this.trackKey = data.file ? `file:${data.file.name}:${data.file.size}` : `url:${this.player.currentUrl}`;
+
+            // A tempo the user corrected before wins over detection
+            const saved = this.readStorage()[this.trackKey];
+            if (saved) {
+                this.setGrid(saved.grid, saved.source);
+            } else {
+                this.updateControls();
+            }
+        });
+
+        this.player.on('peaksready', (peaks) => {
+            this.peaks = peaks;
+            if (!this.grid) {
+                this.detect();
+            }
+        });
+
+        this.player.on('durationchange', () => this.renderMarks());
+        this.player.on('viewchange', (view) => {
+            this.view = view;
+            this.renderMarks();
+        });
+    }
+
+    /**
+     * Estimate the beat grid from the waveform peaks
+     */
+    detect() {
+        if (!this.peaks) {
+            this.updateStatus('No waveform to detect the tempo from; tap it with T');
+            return;
+        }
+
+        const beatsPerBar = this.readBeatsPerBar();
+        const result = this.detector.detect(this.peaks, beatsPerBar);
+
+        if (result) {
+            this.setGrid({ ...result, beatsPerBar }, 'detected');
+        } else {
+            this.setGrid(null, null);
+            this.updateStatus('No steady beat found; tap the tempo with T');
+        }
+    }
+
+    /**
+     * Register a tap; two or more taps in a row set the tempo, the first one
+     * marking a downbeat
+     */
+    tap() {
+        if (!this.player.getState().hasFile) {
+            showToast('No audio file loaded', 'error', 2000);
+            return;
+        }
+
+        const now = performance.now();
+        const last = this.taps[this.taps.length - 1];
+        if (last && now - last.at > this.tapTimeout) {
+            this.taps = [];
+        }
+
+        this.taps.push({ at: now, time: this.player.currentTime });
+        if (this.taps.length < 2) {
+            showToast('Keep tapping on the beat, starting on the one', 'info', 1500);
+            return;
+        }
+
+        // Average the most recent intervals; playback speed turns them into track time
+        const recent = this.taps.slice(-8);
+        const interval = (recent[recent.length - 1].at - recent[0].at) / (recent.length - 1) / 1000;
+        const bpm = Math.round(60 / (interval * this.player.playbackRate) * 10) / 10;
+        const beatsPerBar = this.grid ? this.grid.beatsPerBar : this.readBeatsPerBar();
+
+        // While playing, the first tap marks a downbeat; otherwise keep the old phase
+        const offset = this.player.isPlaying ? this.taps[0].time : (this.grid ? this.grid.offset : 0);
+        const barLength = 60 / bpm * beatsPerBar;
+
+        this.setGrid({ bpm: clamp(bpm, 20, 400), offset: ((offset % barLength) + barLength) % barLength, beatsPerBar }, 'tapped');
+        this.persist();
+        showToast(`Tempo ${this.formatBpm(this.grid.bpm)} BPM (${this.taps.length} taps)`, 'info', 1000);
+    }
+
+    /**
+     * Change the tempo, keeping the downbeat in place
+     * @param {number} bpm - Beats per minute
+     * @param {string} source - Where the tempo came from
+     */
+    setTempo(bpm, source) {
+        if (!this.grid) return;
+
+        this.setGrid({ ...this.grid, bpm: Math.round(clamp(bpm, 20, 400) * 10) / 10 }, source);
+        this.persist();
+    }
+
+    /**
+     * Loop a number of bars from the bar at the playhead
+     * @param {number} count - Number of bars
+     */
+    loopBars(count) {
+        if (!this.grid) {
+            showToast(this.player.getState().hasFile ? 'No tempo yet; tap it with T' : 'No audio file loaded', 'error', 2000);
+            return;
+        }
+
+        const { bpm, offset, beatsPerBar } = this.grid;
+        const beat = 60 / bpm;
+        const bar = beat * beatsPerBar;
+        const time = this.player.currentTime;
+        const duration = this.player.duration;
+
+        // A key pressed just after the one still counts as that bar
+        let index = Math.floor((time + beat / 4 - offset) / bar);
+        if (offset + index * bar < 0) {
+            index++;
+        }
+
+        const start = offset + index * bar;
+        const end = Math.min(start + count * bar, duration);
+        if (end - start < beat / 2) {
+            showToast('Not enough of the track left', 'error', 1500);
+            return;
+        }
+
+        this.player.setLoopPoints(start, end);
+        if (time < start || time >= end) {
+            this.player.seek(start);
+        }
+
+        // Switching the loop on last lets a lead-in start from A
+        if (!this.player.isLooping) {
+            this.player.toggleLoop();
+        }
+
+        showToast(`Looping ${count === 1 ? '1 bar' : `${count} bars`} from bar ${index + 1}`, 'info', 1500);
+    }
+
+    /**
+     * Replace the grid and update everything showing it
+     * @param {Object|null} grid - BPM, downbeat time and beats per bar
+     * @param {string|null} source - Where the grid came from
+     */
+    setGrid(grid, source) {
+        this.grid = grid;
+        this.source = source;
+        this.player.setBeatGrid(grid);
+
+        if (grid) {
+            const labels = { detected: 'Detected', tapped: 'Tapped', manual: 'Set by hand' };
+            this.elements.bpm.textContent = `${source === 'detected' ? '≈ ' : ''}${this.formatBpm(grid.bpm)} BPM`;
+            this.elements.bpm.hidden = false;
+            this.updateStatus(labels[source]);
+        } else {
+            this.elements.bpm.hidden = true;
+            this.updateStatus(this.player.getState().hasFile ? '' : 'Open a file to detect its tempo');
+        }
+
+        this.updateControls();
+        this.renderMarks();
+    }
+
+    /**
+     * Draw beat and bar lines in the visible part of the timeline, leaving
+     * out beats (then bars) when they would be too close together
+     */
+    renderMarks() {
+        const duration = this.player.duration;
+        this.elements.marks.innerHTML = '';
+
+        if (!this.grid || !this.isVisible || !duration) return;
+
+        const view = this.view || { start: 0, end: duration };
+        const width = this.elements.progressBar.clientWidth;
+        const beat = 60 / this.grid.bpm;
+        const pixelsPerSecond = width / (view.end - view.start);
+        const showBeats = beat * pixelsPerSecond >= this.minLineSpacing;
+        if (!showBeats && beat * this.grid.beatsPerBar * pixelsPerSecond < this.minLineSpacing) return;
+
+        const first = Math.ceil((Math.max(0, view.start) - this.grid.offset) / beat);
+        const last = Math.floor((Math.min(duration, view.end) - this.grid.offset) / beat);
+
+        for (let i = first; i <= last; i++) {
+            const isBar = ((i % this.grid.beatsPerBar) + this.grid.beatsPerBar) % this.grid.beatsPerBar === 0;
+            if (!isBar && !showBeats) continue;
+
+            const line = document.createElement('div');
+            line.className = isBar ? 'beat-line bar-line' : 'beat-line';
+            line.style.left = `${getViewPercentage(this.grid.offset + i * beat, view)}%`;
+            this.elements.marks.appendChild(line);
+        }
+    }
+
+    /**
+     * Reflect the grid in the panel controls
+     */
+    updateControls() {
+        const hasFile = this.player.getState().hasFile;
+        const hasGrid = !!this.grid;
+
+        if (hasGrid) {
+            this.elements.bpmInput.value = this.grid.bpm;
+            this.elements.beatsPerBar.value = this.grid.beatsPerBar;
+        }
+
+        this.elements.bpmInput.disabled = !hasGrid;
+        this.elements.halveBtn.disabled = !hasGrid;
+        this.elements.doubleBtn.disabled = !hasGrid;
+        this.elements.loopBarsBtn.disabled = !hasGrid;
+        this.elements.tapBtn.disabled = !hasFile;
+        this.elements.detectBtn.disabled = !this.peaks;
+    }
+
+    /**
+     * Show where the tempo came from
+     * @param {string} text - Status text
+     */
+    updateStatus(text) {
+        this.elements.status.textContent = text;
+    }
+
+    /**
+     * Read the beats per bar field
+     * @returns {number} Beats per bar (1 to 12)
+     */
+    readBeatsPerBar() {
+        return Math.round(clamp(parseInt(this.elements.beatsPerBar.value, 10) || 4, 1, 12));
+    }
+
+    /**
+     * Format a tempo for display
+     * @param {number} bpm - Beats per minute
+     * @returns {string} Tempo without a trailing .0
+     */
+    formatBpm(bpm) {
+        return Number.isInteger(bpm) ? `${bpm}` : bpm.toFixed(1);
+    }
+
+    /**
+     * Read all corrected grids from storage
+     * @returns {Object} Grids keyed by track
+     */
+    readStorage() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Could not read saved tempos:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Remember the current track's grid once the user has corrected it
+     */
+    persist() {
+        if (!this.trackKey || !this.grid) return;
+
+        const data = this.readStorage();
+        data[this.trackKey] = { grid: this.grid, source: this.source };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save tempo:', error);
+        }
+    }
+
+    /**
+     * Drop the current track's corrected grid
+     */
+    forget() {
+        if (!this.trackKey) return;
+
+        const data = this.readStorage();
+        delete data[this.trackKey];
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save tempo:', error);
+        }
+    }
+}
@@ -0,0 +1,625 @@
+// BufferEngine - Sample-accurate playback of a decoded AudioBuffer
+
+/**
+ * Plays a decoded AudioBuffer through the Web Audio API.
+ *
+ * The engine mirrors the parts of the HTMLMediaElement interface that
+ * AudioPlayer relies on (play/pause, currentTime, playbackRate, volume and
+ * the matching DOM events), so the player can switch between it and the
+ * <audio> element. Loop iterations are scheduled on the AudioContext clock,
+ * which keeps the A-B boundaries exact to the sample instead of depending
+ * on a polling timer.
+ */
+class BufferEngine extends EventTarget {
+    constructor(context, buffer, destination = context.destination, clickDestination = destination) {
+        super();
+        this.context = context;
+        this.buffer = buffer;
+        this.duration = buffer.duration;
+        this.paused = true;
+        // Set by the player when its output stage undoes the pitch change of other speeds
+        this.preservesPitch = false;
+        // Set by the player to the delay of its output stage, see setOutputLatency
+        this.outputLatency = 0;
+
+        this.position = 0;
+        this.rate = 1;
+        this.gain = 1;
+        this.loop = null;
+        this.loopEnd = null;
+
+        // Playback segments scheduled on the context clock, in order
+        this.segments = [];
+        this.fadeCurves = {};
+        this.schedulerInterval = null;
+        this.lastTimeUpdate = 0;
+
+        // Scheduler settings
+        this.tickInterval = 25; // ms between scheduler runs
+        this.scheduleAhead = 0.3; // seconds of audio scheduled in advance
+        this.timeUpdateInterval = 0.1; // seconds between timeupdate events
+
+        this.output = context.createGain();
+        this.output.connect(destination);
+
+        // Count-in clicks bypass the output stage, so they are not
+        // transposed; the delay keeps them in time with the audio through it
+        this.clickOutput = context.createGain();
+        this.clickDelay = context.createDelay(4);
+        this.clickOutput.connect(this.clickDelay);
+        this.clickDelay.connect(clickDestination);
+        this.metronome = new Metronome(context, this.clickOutput);
+    }
+
+    /**
+     * Current playback position in seconds, as heard after the output stage
+     */
+    get currentTime() {
+        if (this.paused) {
+            return this.position;
+        }
+
+        return this.getPositionAt(this.getHeardTime());
+    }
+
+    set currentTime(time) {
+        this.dispatch('seeking');
+        this.position = clamp(time, 0, this.duration);
+
+        if (!this.paused) {
+            this.startFrom(this.position);
+        }
+
+        this.dispatch('seeked');
+        this.dispatch('timeupdate');
+    }
+
+    /**
+     * Playback rate (changes pitch along with speed, see preservesPitch)
+     */
+    get playbackRate() {
+        return this.rate;
+    }
+
+    set playbackRate(rate) {
+        if (rate === this.rate) return;
+
+        const now = this.context.currentTime;
+        const position = this.paused ? this.position : this.getPositionAt(now);
+        this.rate = rate;
+
+        if (!this.paused) {
+            const segment = this.getSegmentAt(now);
+
+            if (segment && this.isOpenSegment(segment)) {
+                // Re-anchor the running segment at the new rate
+                segment.source.playbackRate.setValueAtTime(rate, now);
+                segment.offset = position;
+                segment.startTime = now;
+                segment.rate = rate;
+            } else {
+                this.startFrom(position);
+            }
+        }
+
+        this.dispatch('ratechange');
+    }
+
+    /**
+     * Output volume (0 to 1)
+     */
+    get volume() {
+        return this.gain;
+    }
+
+    set volume(volume) {
+        this.gain = volume;
+        this.output.gain.setValueAtTime(volume, this.context.currentTime);
+        this.clickOutput.gain.setValueAtTime(volume, this.context.currentTime);
+        this.dispatch('volumechange');
+    }
+
+    /**
+     * Start playback from the current position
+     */
+    async play() {
+        if (this.context.state === 'suspended') {
+            await this.context.resume();
+        }
+
+        if (!this.paused) return;
+
+        if (this.position >= this.duration) {
+            this.position = 0;
+        }
+
+        this.paused = false;
+        this.startFrom(this.position);
+        this.startScheduler();
+        this.dispatch('play');
+    }
+
+    /**
+     * Pause playback and remember the position
+     */
+    pause() {
+        if (this.paused) return;
+
+        // Audio already in the output stage still plays out
+        this.position = this.getPositionAt(this.context.currentTime);
+        this.paused = true;
+        this.stopAllSegments();
+        this.stopScheduler();
+        this.dispatch('timeupdate');
+        this.dispatch('pause');
+    }
+
+    /**
+     * Loop between two buffer positions until cleared
+     * @param {number} start - Loop start in seconds
+     * @param {number} end - Loop end in seconds
+     * @param {Object} options - Boundary options
+     * @param {string} options.fadeMode - 'off', 'crossfade' or 'fade' (fade out, then fade in)
+     * @param {number} options.fadeDuration - Fade length in seconds
+     * @param {string} options.leadInMode - 'off', 'preroll' or 'countin'
+     * @param {number} options.preroll - Seconds played before the loop start
+     * @param {number} options.clicks - Count-in clicks
+     * @param {number} options.bpm - Count-in tempo
+     * @param {number} options.gap - Silent seconds between iterations
+     * @param {boolean} options.finalPass - Leave the loop at the next loop end
+     * @param {string} options.endAction - 'stop' to pause at the loop end, otherwise play on past it
+     */
+    setLoopRegion(start, end, options = {}) {
+        const loop = {
+            start,
+            end,
+            fadeMode: options.fadeMode || 'off',
+            fadeDuration: options.fadeDuration || 0,
+            leadInMode: options.leadInMode || 'off',
+            preroll: options.preroll || 0,
+            clicks: options.clicks || 0,
+            bpm: options.bpm || 120,
+            gap: options.gap || 0,
+            finalPass: !!options.finalPass,
+            endAction: options.endAction || 'stop'
+        };
+
+        if (this.loop && Object.keys(loop).every(key => this.loop[key] === loop[key])) return;
+
+        // A pending exit no longer applies once more iterations are allowed
+        if (!loop.finalPass) {
+            this.loopEnd = null;
+        }
+
+        this.loop = loop;
+        this.retarget();
+    }
+
+    /**
+     * Stop looping and let playback continue past the loop end
+     */
+    clearLoopRegion() {
+        if (!this.loop) return;
+
+        this.loop = null;
+        this.retarget();
+    }
+
+    /**
+     * Restart playback at the loop start, preceded by the lead-in
+     */
+    startLeadIn() {
+        if (this.paused || !this.loop) return;
+
+        this.stopAllSegments();
+        this.scheduleIteration(this.context.currentTime, false);
+    }
+
+    /**
+     * Restart scheduling at a buffer position
+     * @param {number} position - Position in seconds
+     */
+    startFrom(position) {
+        this.stopAllSegments();
+
+        let offset = position;
+        if (this.loop && offset >= this.loop.end) {
+            offset = this.loop.start;
+        }
+
+        this.scheduleSegment(this.context.currentTime, offset, this.loop ? this.loop.end : null, false);
+    }
+
+    /**
+     * Apply a changed loop region to the running playback
+     */
+    retarget() {
+        if (this.paused) return;
+
+        const now = this.context.currentTime;
+        const position = this.getPositionAt(now);
+        const segment = this.getSegmentAt(now);
+
+        if (!segment || !this.isOpenSegment(segment) || (this.loop && position >= this.loop.end)) {
+            this.startFrom(position);
+            return;
+        }
+
+        segment.endOffset = this.loop ? this.loop.end : null;
+    }
+
+    /**
+     * Schedule a buffer source on the context clock
+     * @param {number} when - Context time to start at
+     * @param {number} offset - Buffer position to start from
+     * @param {number|null} endOffset - Buffer position to stop at, null for the buffer end
+     * @param {boolean} isIteration - Whether this segment is a repeat of the loop region
+     * @returns {Object} Scheduled segment
+     */
+    scheduleSegment(when, offset, endOffset, isIteration) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.buffer;
+        source.playbackRate.value = this.rate;
+
+        // Each segment gets its own gain so boundaries can be faded
+        const gain = this.context.createGain();
+        source.connect(gain);
+        gain.connect(this.output);
+
+        const segment = {
+            source,
+            gain,
+            startTime: when,
+            offset,
+            endOffset,
+            rate: this.rate,
+            isIteration,
+            announced: false,
+            stopScheduled: false,
+            stopTime: null,
+            cancelled: false
+        };
+
+        source.onended = () => this.handleSegmentEnded(segment);
+        source.start(when, offset);
+        this.segments.push(segment);
+
+        return segment;
+    }
+
+    /**
+     * Schedule a segment to stop
+     * @param {Object} segment - Scheduled segment
+     * @param {number} when - Context time to stop at
+     */
+    stopSegment(segment, when) {
+        segment.source.stop(when);
+        segment.stopScheduled = true;
+        segment.stopTime = when;
+    }
+
+    /**
+     * Schedule one pass through the loop region with its lead-in
+     * @param {number} when - Context time the lead-in starts
+     * @param {boolean} isIteration - Whether this pass repeats the loop
+     * @returns {Object} Scheduled segment
+     */
+    scheduleIteration(when, isIteration) {
+        let startTime = when;
+        let offset = this.loop.start;
+
+        if (this.loop.leadInMode === 'countin' && this.loop.clicks > 0) {
+            startTime = this.metronome.scheduleCountIn(when, this.loop.clicks, this.loop.bpm);
+        } else if (this.loop.leadInMode === 'preroll') {
+            offset = Math.max(0, this.loop.start - this.loop.preroll);
+        }
+
+        return this.scheduleSegment(startTime, offset, this.loop.end, isIteration);
+    }
+
+    /**
+     * Schedule the wrap from the loop end back to the loop start
+     * @param {Object} outgoing - Segment that ends at the loop end
+     * @param {number} boundary - Context time of the loop end
+     */
+    scheduleLoopBoundary(outgoing, boundary) {
+        const fade = this.getLoopFadeTime();
+        const incoming = this.scheduleIteration(boundary + this.loop.gap, true);
+        const hasGap = incoming.startTime > boundary;
+
+        if (fade === 0) {
+            this.stopSegment(outgoing, boundary);
+        } else if (this.canCrossfade(fade) && !hasGap) {
+            // The outgoing iteration plays on past B while A fades in
+            this.rampGain(outgoing, boundary, fade, false);
+            this.rampGain(incoming, boundary, fade, true);
+            this.stopSegment(outgoing, boundary + fade);
+        } else {
+            const fadeStart = Math.max(boundary - fade, this.context.currentTime);
+            this.rampGain(outgoing, fadeStart, boundary - fadeStart, false);
+            this.rampGain(incoming, incoming.startTime, fade, true);
+            this.stopSegment(outgoing, boundary);
+        }
+    }
+
+    /**
+     * Schedule the end of the final pass through the loop
+     * @param {Object} outgoing - Segment that ends at the loop end
+     * @param {number} boundary - Context time of the loop end
+     */
+    scheduleLoopEnd(outgoing, boundary) {
+        const action = this.loop.endAction;
+
+        if (action === 'stop') {
+            const fade = this.getLoopFadeTime();
+            const fadeStart = Math.max(boundary - fade, this.context.currentTime);
+            this.rampGain(outgoing, fadeStart, boundary - fadeStart, false);
+            this.stopSegment(outgoing, boundary);
+        } else {
+            // Playing on past B needs no new segment
+            outgoing.endOffset = null;
+        }
+
+        this.loopEnd = { time: boundary, action };
+    }
+
+    /**
+     * Fade length to use at the loop boundary
+     * @returns {number} Fade length in context seconds
+     */
+    getLoopFadeTime() {
+        if (!this.loop || this.loop.fadeMode === 'off') return 0;
+
+        // Leave at least half of each iteration unfaded
+        const iterationTime = (this.loop.end - this.loop.start) / this.rate;
+        return Math.max(Math.min(this.loop.fadeDuration, iterationTime / 2), 0);
+    }
+
+    /**
+     * Whether the outgoing pass can play on past B for a crossfade; near the
+     * end of the file there is no audio to fade out, so B fades out instead
+     * @param {number} fade - Fade length in context seconds
+     * @returns {boolean} True if crossfading
+     */
+    canCrossfade(fade) {
+        return this.loop.fadeMode === 'crossfade' && (this.duration - this.loop.end) / this.rate >= fade;
+    }
+
+    /**
+     * Apply an equal-power fade to a segment
+     * @param {Object} segment - Scheduled segment
+     * @param {number} when - Context time the fade starts
+     * @param {number} duration - Fade length in seconds
+     * @param {boolean} fadeIn - True to fade in, false to fade out
+     */
+    rampGain(segment, when, duration, fadeIn) {
+        if (duration <= 0) return;
+
+        const key = fadeIn ? 'in' : 'out';
+        if (!this.fadeCurves[key]) {
+            const steps = 64;
+            const curve = new Float32Array(steps);
+            for (let i = 0; i < steps; i++) {
+                const angle = (i / (steps - 1)) * Math.PI / 2;
+                curve[i] = fadeIn ? Math.sin(angle) : Math.cos(angle);
+            }
+            this.fadeCurves[key] = curve;
+        }
+
+        try {
+            segment.gain.gain.setValueCurveAtTime(this.fadeCurves[key], when, duration);
+        } catch (error) {
+            // Overlapping automation, play this boundary without a fade
+            console.warn('Could not schedule loop fade:', error);
+        }
+    }
+
+    /**
+     * Context time at which a segment reaches its end offset
+     * @param {Object} segment - Scheduled segment
+     * @returns {number} Context time, Infinity if it plays to the buffer end
+     */
+    getSegmentEndTime(segment) {
+        const endOffset = segment.endOffset !== null ? segment.endOffset : this.duration;
+        return segment.startTime + (endOffset - segment.offset) / segment.rate;
+    }
+
+    /**
+     * Buffer position scheduled for a context time
+     * @param {number} time - Context time
+     * @returns {number} Position in seconds
+     */
+    getPositionAt(time) {
+        const segment = this.getSegmentAt(time);
+
+        if (segment) {
+            return clamp(segment.offset + (time - segment.startTime) * segment.rate, 0, this.duration);
+        }
+
+        // Between segments (during a count-in) report where playback resumes
+        const next = this.segments.find(item => item.startTime > time);
+        if (next) {
+            return next.offset;
+        }
+
+        const last = this.segments[this.segments.length - 1];
+        return last && last.endOffset !== null ? last.endOffset : this.position;
+    }
+
+    /**
+     * Context time of the audio leaving the output stage now
+     * @returns {number} Context time
+     */
+    getHeardTime() {
+        return this.context.currentTime - this.outputLatency;
+    }
+
+    /**
+     * Set the delay of the output stage, such as the pitch shifter's frame,
+     * so positions and events match what is heard
+     * @param {number} latency - Delay in seconds
+     */
+    setOutputLatency(latency) {
+        this.outputLatency = Math.min(latency, this.clickDelay.delayTime.maxValue);
+        this.clickDelay.delayTime.setValueAtTime(this.outputLatency, this.context.currentTime);
+    }
+
+    /**
+     * Find the segment audible at a context time
+     * @param {number} time - Context time
+     * @returns {Object|null} Segment or null
+     */
+    getSegmentAt(time) {
+        for (let i = this.segments.length - 1; i >= 0; i--) {
+            const segment = this.segments[i];
+            if (segment.startTime <= time && time < this.getSegmentEndTime(segment)) {
+                return segment;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether a segment can still be changed without restarting playback
+     * @param {Object} segment - Scheduled segment
+     * @returns {boolean} True if nothing is scheduled after it yet
+     */
+    isOpenSegment(segment) {
+        return !segment.stopScheduled && segment === this.segments[this.segments.length - 1];
+    }
+
+    /**
+     * Stop and forget every scheduled segment
+     */
+    stopAllSegments() {
+        this.segments.forEach(segment => {
+            segment.cancelled = true;
+            try {
+                segment.source.stop();
+            } catch (error) {
+                // Source was never started or already stopped
+            }
+            segment.source.disconnect();
+            segment.gain.disconnect();
+        });
+        this.segments = [];
+        this.loopEnd = null;
+        this.metronome.stop();
+    }
+
+    /**
+     * Handle a buffer source finishing
+     * @param {Object} segment - Segment whose source ended
+     */
+    handleSegmentEnded(segment) {
+        if (segment.cancelled || this.paused) return;
+
+        const isLast = segment === this.segments[this.segments.length - 1];
+        if (isLast && segment.endOffset === null) {
+            // Reached the end of the buffer
+            this.position = this.duration;
+            this.paused = true;
+            this.segments = [];
+            this.stopScheduler();
+            this.dispatch('timeupdate');
+            this.dispatch('pause');
+            this.dispatch('ended');
+        }
+    }
+
+    /**
+     * Start the scheduler timer
+     */
+    startScheduler() {
+        this.stopScheduler();
+        this.schedulerInterval = setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    /**
+     * Stop the scheduler timer
+     */
+    stopScheduler() {
+        if (this.schedulerInterval) {
+            clearInterval(this.schedulerInterval);
+            this.schedulerInterval = null;
+        }
+    }
+
+    /**
+     * Scheduler run: queue upcoming loop iterations and report progress
+     */
+    tick() {
+        if (this.paused) return;
+
+        const now = this.context.currentTime;
+        const last = this.segments[this.segments.length - 1];
+
+        // Queue the next iteration shortly before the current one ends
+        if (last && last.endOffset !== null && !last.stopScheduled) {
+            const endTime = this.getSegmentEndTime(last);
+
+            if (endTime - now < this.scheduleAhead + this.getLoopFadeTime()) {
+                const boundary = Math.max(endTime, now);
+
+                if (this.loop && this.loop.finalPass) {
+                    this.scheduleLoopEnd(last, boundary);
+                } else if (this.loop) {
+                    this.scheduleLoopBoundary(last, boundary);
+                } else {
+                    this.stopSegment(last, boundary);
+                    this.scheduleSegment(boundary, last.endOffset, null, false);
+                }
+            }
+        }
+
+        // Announce iterations once they are heard
+        const heard = this.getHeardTime();
+        this.segments.forEach(segment => {
+            if (segment.isIteration && !segment.announced && segment.startTime <= heard) {
+                segment.announced = true;
+                this.dispatch('looped');
+            }
+        });
+
+        // Report the end of the final pass once it is reached
+        if (this.loopEnd && this.loopEnd.time <= heard) {
+            const { action } = this.loopEnd;
+            this.loopEnd = null;
+
+            if (action === 'stop') {
+                this.pause();
+            }
+            this.dispatch('loopend');
+            if (this.paused) return;
+        }
+
+        // Forget segments that have finished playing
+        this.segments = this.segments.filter(segment => !segment.stopScheduled || segment.stopTime > heard);
+
+        if (now - this.lastTimeUpdate >= this.timeUpdateInterval) {
+            this.lastTimeUpdate = now;
+            this.dispatch('timeupdate');
+        }
+    }
+
+    /**
+     * Dispatch a media-style event
+     * @param {string} type - Event type
+     */
+    dispatch(type) {
+        this.dispatchEvent(new Event(type));
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.pause();
+        this.stopAllSegments();
+        this.stopScheduler();
+        this.output.disconnect();
+        this.clickOutput.disconnect();
+        this.clickDelay.disconnect();
+        this.buffer = null;
+    }
+}
@@ -0,0 +1,64 @@
+// BufferedRanges - Shows which parts of a streamed source are buffered and seekable
+
+class BufferedRanges {
+    constructor(player) {
+        this.player = player;
+        this.view = null;
+
+        // Get DOM elements
+        this.elements = {
+            container: document.getElementById('bufferedRanges')
+        };
+
+        this.renderThrottled = throttle(() => this.render(), 250);
+
+        this.setupPlayerEventListeners();
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => {
+            this.view = null;
+            this.render();
+        });
+
+        this.player.on('loaded', () => this.render());
+        this.player.on('durationchange', () => this.render());
+        this.player.on('progress', () => this.renderThrottled());
+        this.player.on('viewchange', (view) => {
+            this.view = view;
+            this.render();
+        });
+    }
+
+    /**
+     * Draw the buffered and seekable ranges; local files are always fully available
+     */
+    render() {
+        const container = this.elements.container;
+        const duration = this.player.duration;
+        container.innerHTML = '';
+
+        if (!duration || !isFinite(duration) || !this.player.isStreaming()) return;
+
+        const view = this.view || { start: 0, end: duration };
+        const draw = (ranges, className) => {
+            ranges.forEach(range => {
+                const left = clamp(getViewPercentage(range.start, view), 0, 100);
+                const right = clamp(getViewPercentage(range.end, view), 0, 100);
+                if (right <= left) return;
+
+                const element = document.createElement('div');
+                element.className = className;
+                element.style.left = `${left}%`;
+                element.style.width = `${right - left}%`;
+                container.appendChild(element);
+            });
+        };
+
+        draw(this.player.getSeekableRanges(), 'seekable-range');
+        draw(this.player.getBufferedRanges(), 'buffered-range');
+    }
+}
@@ -4,8 +4,21 @@ class Controls {
     constructor(player) {
         this.player = player;
         this.isDragging = false;
+        this.dragTime = 0;
+        this.dragStartX = 0;
         this.updateInterval = null;
         
+        // Visible window of the timeline in seconds (end 0 shows the whole track)
+        this.view = { start: 0, end: 0 };
+        this.minViewDuration = 0.25;
+        this.isFollowing = true;
+        this.pinchDistance = null;
+        
+        // Marker, region and shift-drag gestures on the progress bar
+        this.loopDrag = null;
+        this.longPressTimer = null;
+        this.suppressClick = false;
+        
         // Get DOM elements
         this.elements = {
             playPauseBtn: document.getElementById('playPauseBtn'),
@@ -20,10 +33,14 @@ class Controls {
             setABtn: document.getElementById('setABtn'),
             setBBtn: document.getElementById('setBBtn'),
             toggleLoopBtn: document.getElementById('toggleLoopBtn'),
+            loopCounter: document.getElementById('loopCounter'),
             clearLoopBtn: document.getElementById('clearLoopBtn'),
             aMarker: document.getElementById('aMarker'),
             bMarker: document.getElementById('bMarker'),
-            loopRegion: document.getElementById('loopRegion')
+            loopRegion: document.getElementById('loopRegion'),
+            timelineScroll: document.getElementById('timelineScroll'),
+            zoomLevel: document.getElementById('zoomLevel'),
+            dragReadout: document.getElementById('dragReadout')
         };
         
         this.setupEventListeners();
@@ -49,18 +66,19 @@ class Controls {
         
         // Progress bar interactions
         this.setupProgressBarListeners();
+        this.setupLoopDragListeners();
         
         // Loop control buttons
         this.elements.setABtn.addEventListener('click', (e) => {
             createRipple(e, this.elements.setABtn);
-            this.player.setLoopA();
-            showToast('A point set', 'success', 1500);
+            const snap = this.player.setLoopA();
+            showToast(`A point set${describeSnap(snap)}`, 'success', snap ? 2000 : 1500);
         });
         
         this.elements.setBBtn.addEventListener('click', (e) => {
             createRipple(e, this.elements.setBBtn);
-            this.player.setLoopB();
-            showToast('B point set', 'success', 1500);
+            const snap = this.player.setLoopB();
+            showToast(`B point set${describeSnap(snap)}`, 'success', snap ? 2000 : 1500);
         });
         
         this.elements.toggleLoopBtn.addEventListener('click', (e) => {
@@ -91,6 +109,14 @@ class Controls {
         // Mouse events
         this.elements.progressBar.addEventListener('mousedown', (e) => {
             if (e.button === 0) { // Left mouse button
+                this.suppressClick = false;
+                
+                // Shift-drag defines a new loop region
+                if (e.shiftKey) {
+                    this.startLoopDrag('create', e);
+                    return;
+                }
+                
                 isMouseDown = true;
                 this.startDragging(e);
             }
@@ -109,39 +135,290 @@ class Controls {
             }
         });
         
-        // Touch events for mobile
+        // Touch events for mobile, with two fingers pinching to zoom
         this.elements.progressBar.addEventListener('touchstart', (e) => {
             e.preventDefault();
+            
+            if (e.touches.length === 2) {
+                this.clearLongPress();
+                this.cancelDragging();
+                this.pinchDistance = this.getTouchDistance(e.touches);
+                return;
+            }
+            
             const touch = e.touches[0];
             this.startDragging(touch);
+            
+            // Touch and hold, then drag, to define a new loop region
+            const point = { clientX: touch.clientX };
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                this.cancelDragging();
+                this.startLoopDrag('create', point);
+            }, 500);
         });
         
         document.addEventListener('touchmove', (e) => {
-            if (this.isDragging) {
+            if (this.longPressTimer && Math.abs(e.touches[0].clientX - this.dragStartX) > 8) {
+                this.clearLongPress();
+            }
+            
+            if (this.pinchDistance && e.touches.length === 2) {
+                e.preventDefault();
+                this.handlePinch(e.touches);
+            } else if (this.isDragging) {
                 e.preventDefault();
                 const touch = e.touches[0];
                 this.handleDrag(touch);
             }
         });
         
-        document.addEventListener('touchend', () => {
+        document.addEventListener('touchend', (e) => {
+            this.clearLongPress();
+            
+            if (this.pinchDistance) {
+                if (e.touches.length < 2) {
+                    this.pinchDistance = null;
+                }
+                return;
+            }
+            
             this.stopDragging();
         });
         
+        // Wheel zooms around the pointer; horizontal or Shift+wheel scrolls
+        this.elements.progressBar.addEventListener('wheel', (e) => {
+            if (this.player.duration === 0) return;
+            e.preventDefault();
+            this.handleWheel(e);
+        }, { passive: false });
+        
+        this.elements.timelineScroll.addEventListener('input', (e) => {
+            const { start, end } = this.getView();
+            const length = end - start;
+            const fraction = parseFloat(e.target.value) / parseFloat(e.target.max);
+            
+            this.isFollowing = false;
+            this.setView(fraction * (this.player.duration - length), fraction * (this.player.duration - length) + length);
+        });
+        
         // Click to seek
         this.elements.progressBar.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            
             if (!this.isDragging) {
                 this.seekToPosition(e);
             }
         });
     }
     
+    /**
+     * Set up dragging of the A/B markers and the loop region
+     */
+    setupLoopDragListeners() {
+        const targets = [
+            [this.elements.aMarker, 'a'],
+            [this.elements.bMarker, 'b'],
+            [this.elements.loopRegion, 'move']
+        ];
+        
+        targets.forEach(([element, mode]) => {
+            // Keep the progress bar from starting a seek
+            element.addEventListener('mousedown', (e) => {
+                if (e.button !== 0 || e.shiftKey) return;
+                e.stopPropagation();
+                this.suppressClick = false;
+                this.startLoopDrag(mode, e);
+            });
+            
+            element.addEventListener('touchstart', (e) => {
+                if (e.touches.length !== 1) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.startLoopDrag(mode, e.touches[0]);
+            });
+        });
+        
+        document.addEventListener('mousemove', (e) => {
+            if (this.loopDrag) {
+                this.handleLoopDrag(e);
+            }
+        });
+        
+        document.addEventListener('mouseup', () => {
+            if (this.loopDrag) {
+                this.stopLoopDrag();
+            }
+        });
+        
+        document.addEventListener('touchmove', (e) => {
+            if (this.loopDrag && e.touches.length === 1) {
+                e.preventDefault();
+                this.handleLoopDrag(e.touches[0]);
+            }
+        }, { passive: false });
+        
+        document.addEventListener('touchend', () => {
+            if (this.loopDrag) {
+                this.stopLoopDrag();
+            }
+        });
+    }
+    
+    /**
+     * Start dragging a marker, the region, or out a new region
+     * @param {string} mode - 'a', 'b', 'move' or 'create'
+     * @param {MouseEvent|Touch} point - Pointer position
+     */
+    startLoopDrag(mode, point) {
+        const { loopA, loopB } = this.player;
+        if (this.player.duration === 0 ||
+            (mode === 'a' && loopA === null) || (mode === 'b' && loopB === null) ||
+            (mode === 'move' && (loopA === null || loopB === null))) {
+            return;
+        }
+        
+        this.loopDrag = {
+            mode,
+            startX: point.clientX,
+            anchor: this.getTimeFromEvent(point),
+            originA: this.player.loopA,
+            originB: this.player.loopB,
+            start: null,
+            end: null,
+            moved: false
+        };
+        
+        this.elements.progressBar.classList.add('loop-dragging');
+    }
+    
+    /**
+     * Preview the loop while dragging
+     * @param {MouseEvent|Touch} point - Pointer position
+     */
+    handleLoopDrag(point) {
+        const drag = this.loopDrag;
+        
+        // Ignore small movements so a click on the region still seeks
+        if (!drag.moved && Math.abs(point.clientX - drag.startX) < 3) return;
+        drag.moved = true;
+        
+        const time = this.getTimeFromEvent(point);
+        const [start, end] = this.getLoopDragRange(time);
+        drag.start = start;
+        drag.end = end;
+        
+        if (start !== null) {
+            this.updateLoopMarker('a', start);
+        }
+        if (end !== null) {
+            this.updateLoopMarker('b', end);
+        }
+        this.updateLoopRegion(start, end);
+        
+        const dragged = drag.mode === 'a' || drag.mode === 'b';
+        const readout = dragged ?
+            formatTimePrecise(clamp((drag.mode === 'a' ? drag.originA : drag.originB) + time - drag.anchor, 0, this.player.duration)) :
+            `${formatTimePrecise(start)} – ${formatTimePrecise(end)}`;
+        this.showDragReadout(readout, time);
+    }
+    
+    /**
+     * Loop points a drag would produce
+     * @param {number} time - Time under the pointer
+     * @returns {Array} Start and end in seconds (null where a point is unset)
+     */
+    getLoopDragRange(time) {
+        const { mode, anchor, originA, originB } = this.loopDrag;
+        const duration = this.player.duration;
+        const delta = time - anchor;
+        
+        if (mode === 'create') {
+            return [Math.min(anchor, time), Math.max(anchor, time)];
+        }
+        
+        if (mode === 'move') {
+            const length = originB - originA;
+            const start = clamp(originA + delta, 0, duration - length);
+            return [start, start + length];
+        }
+        
+        // Dragging one marker past the other swaps them, as setting A after B does
+        const moved = clamp((mode === 'a' ? originA : originB) + delta, 0, duration);
+        const other = mode === 'a' ? originB : originA;
+        
+        if (other === null) {
+            return mode === 'a' ? [moved, null] : [null, moved];
+        }
+        return [Math.min(moved, other), Math.max(moved, other)];
+    }
+    
+    /**
+     * Apply the dragged loop
+     */
+    stopLoopDrag() {
+        const drag = this.loopDrag;
+        this.loopDrag = null;
+        this.suppressClick = true;
+        this.elements.progressBar.classList.remove('loop-dragging');
+        this.elements.dragReadout.classList.remove('visible');
+        
+        // A click on the region or a shift-click seeks as usual
+        if (!drag.moved) {
+            if (drag.mode === 'move' || drag.mode === 'create') {
+                this.isFollowing = true;
+                this.player.seek(drag.anchor);
+            }
+            return;
+        }
+        
+        const { start, end } = drag;
+        
+        if (start !== null && end !== null) {
+            if (end <= start) {
+                this.updateTimeline();
+                return;
+            }
+            this.player.setLoopPoints(start, end);
+        } else if (start !== null) {
+            this.player.setLoopA(start);
+        } else {
+            this.player.setLoopB(end);
+        }
+    }
+    
+    /**
+     * Show the live time readout above the progress bar
+     * @param {string} text - Readout text
+     * @param {number} time - Time to place it at
+     */
+    showDragReadout(text, time) {
+        const readout = this.elements.dragReadout;
+        readout.textContent = text;
+        readout.style.left = `${clamp(this.timeToPercentage(time), 0, 100)}%`;
+        readout.classList.add('visible');
+    }
+    
+    /**
+     * Cancel a pending touch-and-hold
+     */
+    clearLongPress() {
+        if (this.longPressTimer) {
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+        }
+    }
+    
     /**
      * Start dragging the progress handle
      * @param {MouseEvent|Touch} event - Mouse or touch event
      */
     startDragging(event) {
         this.isDragging = true;
+        this.dragStartX = event.clientX;
         this.elements.progressHandle.classList.add('dragging');
         this.pauseUpdates();
         this.handleDrag(event);
@@ -154,12 +431,11 @@ class Controls {
     handleDrag(event) {
         if (!this.isDragging || this.player.duration === 0) return;
         
-        const percentage = getPercentageFromMouse(event, this.elements.progressBar);
-        const newTime = percentage * this.player.duration;
+        this.dragTime = this.getTimeFromEvent(event);
         
         // Update UI immediately for smooth feedback
-        this.updateProgressVisual(percentage);
-        this.elements.currentTime.textContent = formatTime(newTime);
+        this.updateProgressVisual(this.timeToPercentage(this.dragTime));
+        this.elements.currentTime.textContent = this.formatViewTime(this.dragTime);
     }
     
     /**
@@ -172,13 +448,23 @@ class Controls {
         this.elements.progressHandle.classList.remove('dragging');
         
         // Seek to the final position
-        const percentage = parseFloat(this.elements.progressFill.style.width) / 100;
-        const newTime = percentage * this.player.duration;
-        this.player.seek(newTime);
+        this.isFollowing = true;
+        this.player.seek(this.dragTime);
         
         this.resumeUpdates();
     }
     
+    /**
+     * Stop dragging without seeking
+     */
+    cancelDragging() {
+        if (!this.isDragging) return;
+        
+        this.isDragging = false;
+        this.elements.progressHandle.classList.remove('dragging');
+        this.updateProgress(this.player.currentTime);
+    }
+    
     /**
      * Seek to clicked position
      * @param {MouseEvent} event - Click event
@@ -186,16 +472,206 @@ class Controls {
     seekToPosition(event) {
         if (this.player.duration === 0) return;
         
-        const percentage = getPercentageFromMouse(event, this.elements.progressBar);
-        const newTime = percentage * this.player.duration;
-        this.player.seek(newTime);
+        this.isFollowing = true;
+        this.player.seek(this.getTimeFromEvent(event));
+    }
+    
+    /**
+     * Time under the pointer on the visible timeline
+     * @param {MouseEvent|Touch} event - Mouse event or touch point
+     * @returns {number} Time in seconds
+     */
+    getTimeFromEvent(event) {
+        return getTimeFromMouse(event, this.elements.progressBar, this.getView());
+    }
+    
+    /**
+     * Zoom or scroll the timeline with the wheel
+     * @param {WheelEvent} event - Wheel event
+     */
+    handleWheel(event) {
+        // Line-based deltas (Firefox) are much smaller than pixel deltas
+        const unit = event.deltaMode === 1 ? 33 : 1;
+        const { start, end } = this.getView();
+        
+        if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+            const delta = (Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY) * unit;
+            const width = this.elements.progressBar.getBoundingClientRect().width;
+            this.scrollView(delta / width * (end - start));
+        } else {
+            // Trackpad pinches arrive as wheel events with ctrlKey and small deltas
+            const sensitivity = event.ctrlKey ? 0.01 : 0.002;
+            this.zoomBy(Math.exp(-event.deltaY * unit * sensitivity), this.getTimeFromEvent(event));
+        }
+    }
+    
+    /**
+     * Zoom with a two-finger pinch
+     * @param {TouchList} touches - Current touches
+     */
+    handlePinch(touches) {
+        const distance = this.getTouchDistance(touches);
+        const middle = {
+            clientX: (touches[0].clientX + touches[1].clientX) / 2
+        };
+        
+        this.zoomBy(distance / this.pinchDistance, this.getTimeFromEvent(middle));
+        this.pinchDistance = distance;
+    }
+    
+    /**
+     * Horizontal distance between two touches
+     * @param {TouchList} touches - Current touches
+     * @returns {number} Distance in pixels (at least 1)
+     */
+    getTouchDistance(touches) {
+        return Math.max(1, Math.abs(touches[0].clientX - touches[1].clientX));
+    }
+    
+    /**
+     * Visible window of the timeline
+     * @returns {Object} Start and end time in seconds
+     */
+    getView() {
+        if (this.view.end > this.view.start) {
+            return { ...this.view };
+        }
+        return { start: 0, end: this.player.duration };
+    }
+    
+    /**
+     * How far the timeline is zoomed in
+     * @returns {number} Zoom factor (1 shows the whole track)
+     */
+    getZoom() {
+        const { start, end } = this.getView();
+        return end > start ? this.player.duration / (end - start) : 1;
+    }
+    
+    /**
+     * Show a window of the timeline
+     * @param {number} start - Window start in seconds
+     * @param {number} end - Window end in seconds
+     */
+    setView(start, end) {
+        const duration = this.player.duration;
+        
+        if (!duration) {
+            this.view = { start: 0, end: 0 };
+        } else {
+            const length = clamp(end - start, Math.min(this.minViewDuration, duration), duration);
+            const viewStart = clamp(start, 0, duration - length);
+            this.view = { start: viewStart, end: viewStart + length };
+        }
+        
+        this.updateTimeline();
+    }
+    
+    /**
+     * Zoom the timeline, keeping a time at the same place on screen
+     * @param {number} factor - Zoom multiplier (above 1 zooms in)
+     * @param {number} anchor - Time to keep in place
+     */
+    zoomBy(factor, anchor = this.player.currentTime) {
+        const { start, end } = this.getView();
+        if (end <= start) return;
+        
+        const length = (end - start) / factor;
+        const position = clamp((anchor - start) / (end - start), 0, 1);
+        const newStart = anchor - position * length;
+        this.setView(newStart, newStart + length);
+    }
+    
+    /**
+     * Show the whole track
+     */
+    resetZoom() {
+        this.isFollowing = true;
+        this.setView(0, this.player.duration);
+    }
+    
+    /**
+     * Scroll the timeline
+     * @param {number} seconds - Seconds to move by (negative scrolls left)
+     */
+    scrollView(seconds) {
+        const { start, end } = this.getView();
+        this.isFollowing = false;
+        this.setView(start + seconds, end + seconds);
+    }
+    
+    /**
+     * Keep the playhead visible while playing
+     * @param {number} time - Playhead time
+     */
+    followPlayhead(time) {
+        if (!this.isFollowing || !this.player.isPlaying || this.getZoom() <= 1) return;
+        
+        const { start, end } = this.getView();
+        const length = end - start;
+        
+        // Page ahead shortly before the playhead reaches the right edge
+        if (time < start || time > end - length * 0.05) {
+            const newStart = time - length * 0.1;
+            this.setView(newStart, newStart + length);
+        }
+    }
+    
+    /**
+     * Redraw everything placed on the timeline after the view changed
+     */
+    updateTimeline() {
+        const zoom = this.getZoom();
+        const { start, end } = this.getView();
+        const isZoomed = zoom > 1;
+        
+        this.updateProgressVisual(this.timeToPercentage(this.isDragging ? this.dragTime : this.player.currentTime));
+        
+        if (this.player.loopA !== null) {
+            this.updateLoopMarker('a', this.player.loopA);
+        }
+        if (this.player.loopB !== null) {
+            this.updateLoopMarker('b', this.player.loopB);
+        }
+        this.updateLoopRegion();
+        this.updateLoopControls();
+        
+        // Scrollbar and zoom readout
+        const scroll = this.elements.timelineScroll;
+        const maxStart = this.player.duration - (end - start);
+        scroll.value = maxStart > 0 ? Math.round(start / maxStart * parseFloat(scroll.max)) : 0;
+        scroll.parentElement.classList.toggle('visible', isZoomed);
+        this.elements.zoomLevel.textContent = `${zoom < 10 ? zoom.toFixed(1) : Math.round(zoom)}×`;
+        
+        this.player.emit('viewchange', { start, end });
+    }
+    
+    /**
+     * Position of a time on the visible timeline
+     * @param {number} time - Time in seconds
+     * @returns {number} Percentage (0-100, outside that range when not visible)
+     */
+    timeToPercentage(time) {
+        return getViewPercentage(time, this.getView());
+    }
+    
+    /**
+     * Format a time with milliseconds once zoomed in far enough to place them
+     * @param {number} time - Time in seconds
+     * @returns {string} Formatted time
+     */
+    formatViewTime(time) {
+        return this.getZoom() > 1 ? formatTimePrecise(time) : formatTime(time);
     }
     
     /**
      * Set up player event listeners
      */
     setupPlayerEventListeners() {
-        this.player.on('play', () => this.updatePlayPauseButton(true));
+        this.player.on('play', () => {
+            this.isFollowing = true;
+            this.updatePlayPauseButton(true);
+        });
         this.player.on('pause', () => this.updatePlayPauseButton(false));
         this.player.on('ended', () => this.updatePlayPauseButton(false));
         
@@ -207,12 +683,17 @@ class Controls {
         
         this.player.on('durationchange', (duration) => {
             this.updateDuration(duration);
+            this.setView(0, duration);
         });
         
         this.player.on('ratechange', (rate) => {
             this.updateSpeedSelect(rate);
         });
         
+        this.player.on('speedrangechange', (range) => {
+            this.updateSpeedRange(range);
+        });
+        
         this.player.on('loaded', (data) => {
             this.updateTrackInfo(data);
             this.enableControls();
@@ -230,6 +711,27 @@ class Controls {
         
         this.player.on('looptoggle', (isLooping) => {
             this.updateLoopToggleButton(isLooping);
+            
+            if (isLooping && !this.player.loopBuffered) {
+                showToast('Looping starts once A-B has buffered', 'info', 2500);
+            }
+        });
+        
+        this.player.on('loopbufferchange', () => {
+            this.updateLoopToggleButton(this.player.isLooping);
+        });
+        
+        this.player.on('loopiteration', (state) => {
+            this.updateLoopCounter(state);
+        });
+        
+        this.player.on('loopend', (action) => {
+            const messages = {
+                stop: 'Loop finished',
+                continue: 'Loop finished, playing on',
+                clear: 'Loop finished and cleared'
+            };
+            showToast(messages[action], 'info', 1500);
         });
         
         this.player.on('loopclear', () => {
@@ -267,8 +769,8 @@ class Controls {
     updateProgress(currentTime) {
         if (this.player.duration === 0) return;
         
-        const percentage = (currentTime / this.player.duration) * 100;
-        this.updateProgressVisual(percentage);
+        this.followPlayhead(currentTime);
+        this.updateProgressVisual(this.timeToPercentage(currentTime));
         this.elements.currentTime.textContent = formatTime(currentTime);
     }
     
@@ -298,12 +800,23 @@ class Controls {
         this.elements.speedSelect.value = rate.toString();
     }
     
+    /**
+     * Disable speeds the current playback path cannot reach
+     * @param {Object} range - Minimum and maximum playback rate
+     */
+    updateSpeedRange(range) {
+        Array.from(this.elements.speedSelect.options).forEach(option => {
+            const rate = parseFloat(option.value);
+            option.disabled = rate < range.min || rate > range.max;
+        });
+    }
+    
     /**
      * Update track information
      * @param {Object} data - Track data
      */
     updateTrackInfo(data) {
-        const fileName = data.file ? data.file.name : 'Audio File';
+        const fileName = data.file ? data.file.name : getUrlFileName(this.player.currentUrl);
         const name = fileName.replace(/\.[^/.]+$/, ''); // Remove extension
         this.elements.trackTitle.textContent = name;
         this.elements.trackDuration.textContent = formatTime(data.duration);
@@ -317,22 +830,26 @@ class Controls {
     updateLoopMarker(type, time) {
         if (this.player.duration === 0) return;
         
-        const percentage = (time / this.player.duration) * 100;
+        const percentage = this.timeToPercentage(time);
         const marker = type === 'a' ? this.elements.aMarker : this.elements.bMarker;
         
         marker.style.left = `${percentage}%`;
         marker.classList.add('visible');
+        marker.classList.toggle('out-of-view', percentage < 0 || percentage > 100);
         
         this.updateLoopRegion();
     }
     
     /**
      * Update loop region visualization
+     * @param {number|null} start - Region start (defaults to the A point)
+     * @param {number|null} end - Region end (defaults to the B point)
      */
-    updateLoopRegion() {
-        if (this.player.loopA !== null && this.player.loopB !== null && this.player.duration > 0) {
-            const aPercentage = (this.player.loopA / this.player.duration) * 100;
-            const bPercentage = (this.player.loopB / this.player.duration) * 100;
+    updateLoopRegion(start = this.player.loopA, end = this.player.loopB) {
+        if (start !== null && end !== null && this.player.duration > 0) {
+            // Clip the region to the visible window
+            const aPercentage = clamp(this.timeToPercentage(start), 0, 100);
+            const bPercentage = clamp(this.timeToPercentage(end), 0, 100);
             
             this.elements.loopRegion.style.left = `${aPercentage}%`;
             this.elements.loopRegion.style.width = `${bPercentage - aPercentage}%`;
@@ -358,7 +875,7 @@ class Controls {
         // Update A button
         if (this.player.loopA !== null) {
             this.elements.setABtn.classList.add('a-set');
-            this.elements.setABtn.textContent = `A: ${formatTime(this.player.loopA)}`;
+            this.elements.setABtn.textContent = `A: ${this.formatViewTime(this.player.loopA)}`;
         } else {
             this.elements.setABtn.classList.remove('a-set');
             this.elements.setABtn.textContent = 'Set A';
@@ -367,7 +884,7 @@ class Controls {
         // Update B button
         if (this.player.loopB !== null) {
             this.elements.setBBtn.classList.add('b-set');
-            this.elements.setBBtn.textContent = `B: ${formatTime(this.player.loopB)}`;
+            this.elements.setBBtn.textContent = `B: ${this.formatViewTime(this.player.loopB)}`;
         } else {
             this.elements.setBBtn.classList.remove('b-set');
             this.elements.setBBtn.textContent = 'Set B';
@@ -382,15 +899,36 @@ class Controls {
      * @param {boolean} isLooping - Whether loop is active
      */
     updateLoopToggleButton(isLooping) {
+        // A streamed loop plays on past B until A-B is buffered
+        const isWaiting = isLooping && !this.player.loopBuffered;
+        this.elements.toggleLoopBtn.classList.toggle('loop-buffering', isWaiting);
+        
         if (isLooping) {
             this.elements.toggleLoopBtn.classList.add('loop-active');
-            this.elements.toggleLoopBtn.textContent = 'Loop On';
+            this.elements.toggleLoopBtn.textContent = isWaiting ? 'Buffering…' : 'Loop On';
         } else {
             this.elements.toggleLoopBtn.classList.remove('loop-active');
             this.elements.toggleLoopBtn.textContent = 'Loop Off';
         }
     }
     
+    /**
+     * Update loop iteration counter
+     * @param {Object|null} state - Current and total iterations, null when not looping
+     */
+    updateLoopCounter(state) {
+        const counter = this.elements.loopCounter;
+        
+        if (!state) {
+            counter.textContent = '';
+            counter.classList.remove('visible');
+            return;
+        }
+        
+        counter.textContent = state.total > 0 ? `${state.current} / ${state.total}` : `${state.current} / ∞`;
+        counter.classList.add('visible');
+    }
+    
     /**
      * Enable all controls
      */
@@ -433,8 +971,8 @@ class Controls {
      * @param {Error} error - Error object
      */
     handleError(error) {
+        // The app reports the cause
         console.error('Audio error:', error);
-        showToast('Error loading audio file', 'error', 3000);
         this.elements.trackTitle.textContent = 'Error loading file';
         this.disableControls();
     }
@@ -466,6 +1004,7 @@ class Controls {
         this.updateProgress(state.currentTime);
         this.updateDuration(state.duration);
         this.updateSpeedSelect(state.playbackRate);
+        this.updateSpeedRange(state.speedRange);
         this.updateLoopControls();
         
         if (!state.hasFile) {
@@ -483,6 +1022,8 @@ class Controls {
         this.elements.totalTime.textContent = '00:00';
         this.elements.progressFill.style.width = '0%';
         this.elements.speedSelect.value = '1';
+        this.view = { start: 0, end: 0 };
+        this.elements.timelineScroll.parentElement.classList.remove('visible');
         
         this.clearLoopMarkers();
         this.updateLoopControls();
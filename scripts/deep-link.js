@@ -0,0 +1,211 @@
+// DeepLink - Shareable links that open a hosted recording with its loop and speed
+
+/**
+ * Links carry their state in the fragment, e.g.
+ * #src=https%3A%2F%2Fexample.com%2Flesson.mp3&a=83.2&b=95&rate=0.75&loop=1
+ * The same keys are accepted in the query string; the fragment wins. A link
+ * without src applies its loop and speed to the next track that is opened.
+ */
+class DeepLink {
+    constructor(player, loadUrl) {
+        this.player = player;
+        this.loadUrl = loadUrl;
+        this.pending = null; // Link state waiting for a track
+
+        // Get DOM elements
+        this.elements = {
+            copyBtn: document.getElementById('copyLinkBtn')
+        };
+
+        this.updateHashDebounced = debounce(() => this.updateHash(), 300);
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.openLink(this.parseLink(window.location.search, window.location.hash));
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.copyBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.copyBtn);
+            this.copyLink();
+        });
+
+        // A link pasted into the address bar of an open tab
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash !== this.getHash()) {
+                this.openLink(this.parseLink('', window.location.hash));
+            }
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => {
+            this.elements.copyBtn.disabled = true;
+        });
+
+        this.player.on('loaded', () => {
+            this.elements.copyBtn.disabled = false;
+
+            if (this.pending) {
+                this.applyState(this.pending);
+                this.pending = null;
+            }
+            this.updateHashDebounced();
+        });
+
+        ['ratechange', 'loopaset', 'loopbset', 'loopclear', 'looptoggle'].forEach(event => {
+            this.player.on(event, () => this.updateHashDebounced());
+        });
+    }
+
+    /**
+     * Read link state from a query string and fragment
+     * @param {string} search - Query string
+     * @param {string} hash - Fragment
+     * @returns {Object|null} Source, loop points, speed and loop switch; null if the link has none
+     */
+    parseLink(search, hash) {
+        const params = new URLSearchParams(search);
+        new URLSearchParams(hash.replace(/^#/, '')).forEach((value, key) => params.set(key, value));
+
+        const rate = parseFloat(params.get('rate'));
+        const link = {
+            src: params.has('src') ? this.readSource(params.get('src')) : null,
+            a: params.has('a') ? parseTime(params.get('a')) : null,
+            b: params.has('b') ? parseTime(params.get('b')) : null,
+            rate: rate > 0 ? rate : null,
+            loop: params.has('loop') ? params.get('loop') !== '0' : null
+        };
+
+        return Object.values(link).some(value => value !== null) ? link : null;
+    }
+
+    /**
+     * Resolve a linked source against the page, allowing only web URLs
+     * @param {string} value - src parameter
+     * @returns {string|null} Absolute URL, null if it cannot be opened
+     */
+    readSource(value) {
+        const { url, error } = parseAudioUrl(value);
+        if (error) {
+            showToast(`Could not open the link: ${error}`, 'error', 4000);
+        }
+        return url;
+    }
+
+    /**
+     * Open a link: load its source and apply its state, or keep the state for the next track
+     * @param {Object|null} link - Parsed link
+     */
+    async openLink(link) {
+        if (!link) return;
+
+        if (link.src) {
+            if (await this.loadUrl(link.src)) {
+                this.applyState(link);
+            }
+        } else if (this.player.duration) {
+            this.applyState(link);
+        } else {
+            this.pending = link;
+        }
+    }
+
+    /**
+     * Apply a link's speed and loop to the loaded track
+     * @param {Object} link - Parsed link
+     */
+    applyState(link) {
+        if (link.rate !== null) {
+            this.player.setPlaybackRate(link.rate);
+        }
+
+        if (link.a === null || link.b === null || link.a === link.b) return;
+
+        const duration = this.player.duration || Infinity;
+        this.player.setLoopPoints(clamp(link.a, 0, duration), clamp(link.b, 0, duration));
+        this.player.seek(this.player.loopA);
+
+        if (link.loop !== null && link.loop !== this.player.isLooping) {
+            this.player.toggleLoop();
+        }
+    }
+
+    /**
+     * Source URL to put in links, null for local files
+     * @returns {string|null} Shareable source
+     */
+    getSource() {
+        const url = this.player.currentUrl;
+        return !this.player.currentFile && url && /^https?:/i.test(url) ? url : null;
+    }
+
+    /**
+     * Build the fragment for the current source, loop and speed
+     * @returns {string} Fragment including '#', '' if there is nothing to share
+     */
+    getHash() {
+        const { loopA, loopB, isLooping, playbackRate } = this.player.getState();
+        const round = (time) => Math.round(time * 1000) / 1000;
+        const params = new URLSearchParams();
+        const src = this.getSource();
+
+        if (src) {
+            params.set('src', src);
+        }
+        if (loopA !== null && loopB !== null) {
+            params.set('a', round(loopA));
+            params.set('b', round(loopB));
+        }
+        if (playbackRate !== 1) {
+            params.set('rate', playbackRate);
+        }
+        if (loopA !== null && loopB !== null && isLooping) {
+            params.set('loop', 1);
+        }
+
+        const query = params.toString();
+        return query ? `#${query}` : '';
+    }
+
+    /**
+     * Keep the address bar in step with a linkable track, without adding history entries
+     */
+    updateHash() {
+        if (!this.player.duration) return;
+
+        // Local files cannot be linked, so their state is not left in the address bar
+        const hash = this.getSource() ? this.getHash() : '';
+        if (hash === window.location.hash) return;
+
+        const base = window.location.href.split('#')[0];
+        history.replaceState(history.state, '', hash || base);
+    }
+
+    /**
+     * Copy a link to the current track, loop and speed
+     */
+    async copyLink() {
+        const link = window.location.href.split(/[?#]/)[0] + this.getHash();
+
+        try {
+            await navigator.clipboard.writeText(link);
+        } catch (error) {
+            console.warn('Could not copy link:', error);
+            showToast('Could not copy to the clipboard', 'error', 2000);
+            return;
+        }
+
+        if (this.getSource()) {
+            showToast('Link copied', 'success', 1500);
+        } else {
+            showToast('Link copied with the loop and speed only; local files cannot be opened from a link', 'info', 4000);
+        }
+    }
+}
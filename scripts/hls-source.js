@@ -0,0 +1,719 @@
+// HlsSource - Plays HLS audio playlists through Media Source Extensions
+
+/**
+ * Fetches the playlist (picking an audio rendition from a master playlist)
+ * and keeps the segments around the playhead appended to one SourceBuffer.
+ * Seeking fetches from the segment holding the new position, and the
+ * segments under the A-B loop are fetched and kept as well, so a loop can
+ * span segment boundaries. Playlists without #EXT-X-ENDLIST are reloaded
+ * and the timeline grows as segments are added.
+ */
+class HlsSource {
+    constructor(audio, callbacks = {}) {
+        this.audio = audio;
+        this.onProgress = callbacks.onProgress || (() => {});
+        this.onError = callbacks.onError || (() => {});
+
+        this.bufferAhead = 30; // Seconds fetched ahead of the playhead
+        this.bufferBehind = 30; // Seconds kept behind it when space runs out
+        this.maxRetries = 2;
+
+        this.mediaSource = null;
+        this.sourceBuffer = null;
+        this.objectUrl = null;
+        this.playlistUrl = null;
+        this.codecs = null; // From the master playlist, if there is one
+        this.segments = []; // { uri, start, duration, sequence, byteRange }
+        this.initSegment = null; // fMP4 initialization segment { uri, byteRange }
+        this.isLive = false;
+        this.targetDuration = 10;
+        this.format = null; // { mimeType, generatesTimestamps }
+
+        this.loaded = new Set(); // Indices of appended segments
+        this.loadingIndex = -1;
+        this.keepRange = null; // A-B loop to keep buffered
+        this.keepFits = true; // False once the loop proved too long to keep
+        this.queue = Promise.resolve(); // Serializes SourceBuffer updates
+        this.controller = null;
+        this.wake = null;
+        this.reloadTimer = null;
+        this.destroyed = false;
+
+        // Settles with the error that stopped the stream, for callers still loading
+        this.failure = new Promise(resolve => {
+            this.reportFailure = resolve;
+        });
+
+        this.handleSeeking = () => {
+            // Drop a download the new position no longer needs
+            const time = this.audio.currentTime;
+            const segment = this.segments[this.loadingIndex];
+            if (segment && this.controller && !this.isNeeded(segment, time)) {
+                this.controller.abort();
+            }
+            this.notify();
+        };
+        this.handleTimeUpdate = () => this.notify();
+    }
+
+    /**
+     * Load the playlist and attach a MediaSource to the media element
+     * @param {string} url - Playlist URL
+     * @returns {Promise<void>} Resolves once segments are being fetched
+     */
+    async attach(url) {
+        if (typeof MediaSource === 'undefined') {
+            throw createLoadError('unsupported', 'This browser cannot play HLS streams');
+        }
+
+        await this.loadPlaylist(url);
+
+        this.format = this.getFormat();
+        if (!this.format || !MediaSource.isTypeSupported(this.format.mimeType)) {
+            const type = this.format ? this.format.mimeType : getFileExtension(this.getPath(this.segments[0].uri));
+            throw createLoadError('unsupported', `This browser cannot play the stream's segments (${type})`);
+        }
+
+        this.mediaSource = new MediaSource();
+        this.objectUrl = URL.createObjectURL(this.mediaSource);
+
+        await new Promise(resolve => {
+            this.mediaSource.addEventListener('sourceopen', resolve, { once: true });
+            this.audio.src = this.objectUrl;
+        });
+        if (this.destroyed) return;
+
+        this.sourceBuffer = this.mediaSource.addSourceBuffer(this.format.mimeType);
+        this.mediaSource.duration = this.getDuration();
+
+        this.audio.addEventListener('seeking', this.handleSeeking);
+        this.audio.addEventListener('timeupdate', this.handleTimeUpdate);
+
+        this.pump();
+        if (this.isLive) {
+            this.scheduleReload(this.targetDuration);
+        }
+    }
+
+    /**
+     * Fetch a playlist, following a master playlist to an audio rendition
+     * @param {string} url - Playlist URL
+     */
+    async loadPlaylist(url) {
+        let playlist = this.parsePlaylist(await this.fetchText(url), url);
+
+        if (playlist.variants.length > 0 || playlist.renditions.length > 0) {
+            const choice = this.chooseRendition(playlist);
+            this.codecs = choice.codecs;
+            url = choice.uri;
+            playlist = this.parsePlaylist(await this.fetchText(url), url);
+        }
+
+        if (playlist.isEncrypted) {
+            throw createLoadError('unsupported', 'Encrypted HLS streams are not supported');
+        }
+        if (playlist.segments.length === 0 && !playlist.isLive) {
+            throw createLoadError('unsupported', 'The HLS playlist has no segments');
+        }
+
+        this.playlistUrl = url;
+        this.segments = playlist.segments;
+        this.initSegment = playlist.initSegment;
+        this.isLive = playlist.isLive;
+        this.targetDuration = playlist.targetDuration;
+    }
+
+    /**
+     * Parse a master or media playlist
+     * @param {string} text - Playlist text
+     * @param {string} baseUrl - URL the playlist was fetched from, for relative URIs
+     * @returns {Object} Variants and audio renditions, or segments
+     */
+    parsePlaylist(text, baseUrl) {
+        const lines = text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trim()).filter(Boolean);
+        if (lines[0] !== '#EXTM3U') {
+            throw createLoadError('unsupported', 'The address is not an HLS playlist');
+        }
+
+        const playlist = {
+            variants: [],
+            renditions: [],
+            segments: [],
+            initSegment: null,
+            targetDuration: 10,
+            isLive: true,
+            isEncrypted: false
+        };
+        const resolve = (uri) => new URL(uri, baseUrl).href;
+        const rangeEnds = new Map(); // Byte ranges without an offset continue the previous one
+        const readRange = (value, uri) => {
+            const [length, offset] = value.split('@').map(Number);
+            const start = isNaN(offset) ? rangeEnds.get(uri) || 0 : offset;
+            rangeEnds.set(uri, start + length);
+            return { offset: start, length };
+        };
+
+        let sequence = 0;
+        let start = 0;
+        let next = {};
+
+        lines.slice(1).forEach(line => {
+            const [tag, value = ''] = line.startsWith('#') ? this.splitTag(line) : [null, line];
+
+            switch (tag) {
+                case null: {
+                    const uri = resolve(value);
+                    if (next.variant) {
+                        playlist.variants.push({ uri, ...next.variant });
+                    } else if (next.duration !== undefined) {
+                        playlist.segments.push({
+                            uri,
+                            start,
+                            duration: next.duration,
+                            sequence: sequence + playlist.segments.length,
+                            byteRange: next.byteRange ? readRange(next.byteRange, uri) : null
+                        });
+                        start += next.duration;
+                    }
+                    next = {};
+                    break;
+                }
+                case '#EXT-X-STREAM-INF': {
+                    const attributes = this.parseAttributes(value);
+                    next.variant = {
+                        bandwidth: parseInt(attributes.BANDWIDTH, 10) || 0,
+                        codecs: attributes.CODECS || '',
+                        audioGroup: attributes.AUDIO || null
+                    };
+                    break;
+                }
+                case '#EXT-X-MEDIA': {
+                    const attributes = this.parseAttributes(value);
+                    if (attributes.TYPE === 'AUDIO' && attributes.URI) {
+                        playlist.renditions.push({
+                            uri: resolve(attributes.URI),
+                            groupId: attributes['GROUP-ID'],
+                            isDefault: attributes.DEFAULT === 'YES'
+                        });
+                    }
+                    break;
+                }
+                case '#EXTINF':
+                    next.duration = parseFloat(value) || 0;
+                    break;
+                case '#EXT-X-BYTERANGE':
+                    next.byteRange = value;
+                    break;
+                case '#EXT-X-MAP': {
+                    const attributes = this.parseAttributes(value);
+                    const uri = resolve(attributes.URI);
+                    playlist.initSegment = {
+                        uri,
+                        byteRange: attributes.BYTERANGE ? readRange(attributes.BYTERANGE, uri) : null
+                    };
+                    break;
+                }
+                case '#EXT-X-TARGETDURATION':
+                    playlist.targetDuration = parseFloat(value) || 10;
+                    break;
+                case '#EXT-X-MEDIA-SEQUENCE':
+                    sequence = parseInt(value, 10) || 0;
+                    break;
+                case '#EXT-X-ENDLIST':
+                    playlist.isLive = false;
+                    break;
+                case '#EXT-X-KEY':
+                    playlist.isEncrypted = playlist.isEncrypted || this.parseAttributes(value).METHOD !== 'NONE';
+                    break;
+                default:
+                    // Other tags do not affect audio-only playback
+                    break;
+            }
+        });
+
+        // A master playlist has no segments and is never "live"
+        if (playlist.variants.length > 0 || playlist.renditions.length > 0) {
+            playlist.isLive = false;
+        }
+
+        return playlist;
+    }
+
+    /**
+     * Split a tag line into its name and value
+     * @param {string} line - Tag line
+     * @returns {string[]} Name and value
+     */
+    splitTag(line) {
+        const colon = line.indexOf(':');
+        return colon === -1 ? [line, ''] : [line.slice(0, colon), line.slice(colon + 1)];
+    }
+
+    /**
+     * Parse an attribute list such as BANDWIDTH=64000,CODECS="mp4a.40.2"
+     * @param {string} text - Attribute list
+     * @returns {Object} Attributes by name
+     */
+    parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+        let match;
+
+        while ((match = pattern.exec(text))) {
+            attributes[match[1]] = match[2].replace(/^"(.*)"$/, '$1');
+        }
+        return attributes;
+    }
+
+    /**
+     * Pick the rendition to play: an audio rendition, else an audio-only variant
+     * @param {Object} playlist - Master playlist
+     * @returns {Object} URI and audio codecs
+     */
+    chooseRendition(playlist) {
+        const rendition = playlist.renditions.find(item => item.isDefault) || playlist.renditions[0];
+        if (rendition) {
+            const variant = playlist.variants.find(item => item.audioGroup === rendition.groupId);
+            return { uri: rendition.uri, codecs: variant ? this.getAudioCodecs(variant.codecs) : null };
+        }
+
+        // Variants listing only audio codecs (or none) carry no video
+        const audioOnly = playlist.variants
+            .filter(variant => !variant.codecs || this.getAudioCodecs(variant.codecs) === variant.codecs.replace(/\s/g, ''))
+            .sort((a, b) => a.bandwidth - b.bandwidth);
+        if (audioOnly.length === 0) {
+            throw createLoadError('unsupported', 'The HLS stream has no audio-only rendition');
+        }
+
+        const variant = audioOnly[audioOnly.length - 1];
+        return { uri: variant.uri, codecs: this.getAudioCodecs(variant.codecs) || null };
+    }
+
+    /**
+     * Keep the audio codecs of a CODECS attribute
+     * @param {string} codecs - Comma-separated codecs
+     * @returns {string} Audio codecs
+     */
+    getAudioCodecs(codecs) {
+        return codecs.split(',')
+            .map(codec => codec.trim())
+            .filter(codec => /^(mp4a|opus|flac|ac-3|ec-3|mp3)/i.test(codec))
+            .join(',');
+    }
+
+    /**
+     * SourceBuffer type for the segments
+     * @returns {Object|null} MIME type, and whether MSE has to timestamp the
+     *                        segments itself; null for unknown segment types
+     */
+    getFormat() {
+        const extension = this.segments.length > 0 ? getFileExtension(this.getPath(this.segments[0].uri)) : '';
+
+        if (this.initSegment || ['m4s', 'mp4', 'm4a', 'cmfa'].includes(extension)) {
+            return { mimeType: `audio/mp4; codecs="${this.codecs || 'mp4a.40.2'}"`, generatesTimestamps: false };
+        }
+        if (extension === 'aac') {
+            return { mimeType: 'audio/aac', generatesTimestamps: true };
+        }
+        if (extension === 'mp3') {
+            return { mimeType: 'audio/mpeg', generatesTimestamps: true };
+        }
+        if (extension === 'ts') {
+            return { mimeType: 'video/mp2t; codecs="mp4a.40.2"', generatesTimestamps: false };
+        }
+        return null;
+    }
+
+    /**
+     * Path of a URL without its query string
+     * @param {string} url - URL
+     * @returns {string} Path
+     */
+    getPath(url) {
+        return url.split(/[?#]/)[0];
+    }
+
+    /**
+     * Length of the timeline the playlist describes so far
+     * @returns {number} Duration in seconds
+     */
+    getDuration() {
+        const last = this.segments[this.segments.length - 1];
+        return last ? last.start + last.duration : 0;
+    }
+
+    /**
+     * Whether a segment is wanted for playback from a time, or for the loop
+     * @param {Object} segment - Segment
+     * @param {number} time - Playback position
+     * @returns {boolean} True if it should be buffered
+     */
+    isNeeded(segment, time) {
+        const overlaps = (start, end) => segment.start < end && segment.start + segment.duration > start;
+        return overlaps(time, time + this.bufferAhead) ||
+               (!!this.keepRange && this.keepFits && overlaps(this.keepRange.start, this.keepRange.end));
+    }
+
+    /**
+     * Next segment to fetch: from the playhead onwards, then the loop
+     * @returns {number} Segment index, -1 when everything needed is buffered
+     */
+    getNextSegment() {
+        const time = this.audio.currentTime;
+        const missing = (start, end) => this.segments.findIndex((segment, index) =>
+            !this.loaded.has(index) && segment.start < end && segment.start + segment.duration > start);
+
+        let index = missing(time, time + this.bufferAhead);
+        if (index === -1 && this.keepRange && this.keepFits) {
+            index = missing(this.keepRange.start, this.keepRange.end);
+        }
+        return index;
+    }
+
+    /**
+     * Keep fetching the segments playback needs until destroyed
+     */
+    async pump() {
+        try {
+            if (this.initSegment) {
+                await this.append(await this.fetchData(this.initSegment.uri, this.initSegment.byteRange));
+            }
+
+            while (!this.destroyed) {
+                const index = this.getNextSegment();
+                if (index === -1) {
+                    await this.finishIfComplete();
+                    await this.waitForPlayback();
+                    continue;
+                }
+
+                try {
+                    await this.loadSegment(index);
+                } catch (error) {
+                    if (error.name === 'AbortError') continue;
+                    if (error.name !== 'QuotaExceededError') throw error;
+
+                    // Nothing could be freed; wait for playback to move on
+                    await this.waitForPlayback();
+                }
+            }
+        } catch (error) {
+            if (!this.destroyed) {
+                this.reportFailure(error);
+                this.onError(error);
+            }
+        }
+    }
+
+    /**
+     * Fetch and append one segment
+     * @param {number} index - Segment index
+     */
+    async loadSegment(index) {
+        const segment = this.segments[index];
+        this.loadingIndex = index;
+
+        try {
+            const data = await this.fetchData(segment.uri, segment.byteRange);
+            if (this.destroyed) return;
+
+            // Raw AAC and MP3 carry no timestamps, so place them on the timeline
+            if (this.format.generatesTimestamps) {
+                await this.update(buffer => {
+                    buffer.timestampOffset = segment.start;
+                }, false);
+            }
+
+            await this.append(data);
+            this.loaded.add(index);
+            this.onProgress();
+        } finally {
+            this.loadingIndex = -1;
+        }
+    }
+
+    /**
+     * Append data, freeing space first if the buffer is full
+     * @param {ArrayBuffer} data - Segment data
+     */
+    async append(data) {
+        try {
+            await this.update(buffer => buffer.appendBuffer(data));
+        } catch (error) {
+            if (error.name !== 'QuotaExceededError') throw error;
+
+            // Free what is far from the playhead, giving up the loop only if that is not enough
+            if (!(await this.evict(true))) {
+                if (!(await this.evict(false))) throw error;
+                this.keepFits = false;
+            }
+            await this.update(buffer => buffer.appendBuffer(data));
+        }
+    }
+
+    /**
+     * Remove whole segments away from the playhead
+     * @param {boolean} keepLoop - Whether the loop's segments are kept
+     * @returns {Promise<boolean>} Whether anything was removed
+     */
+    async evict(keepLoop) {
+        const time = this.audio.currentTime;
+        const protect = [[time - this.bufferBehind, time + this.bufferAhead]];
+        if (keepLoop && this.keepRange) {
+            protect.push([this.keepRange.start, this.keepRange.end]);
+        }
+
+        const removable = [...this.loaded].filter(index => {
+            const segment = this.segments[index];
+            return !protect.some(([start, end]) => segment.start < end && segment.start + segment.duration > start);
+        });
+
+        for (const index of removable) {
+            const segment = this.segments[index];
+            await this.update(buffer => buffer.remove(segment.start, segment.start + segment.duration));
+            this.loaded.delete(index);
+        }
+
+        if (removable.length > 0) {
+            this.onProgress();
+        }
+        return removable.length > 0;
+    }
+
+    /**
+     * Run a SourceBuffer operation once earlier ones are done
+     * @param {Function} operation - Receives the SourceBuffer
+     * @param {boolean} waitForUpdate - Whether the operation fires updateend
+     * @returns {Promise<void>} Resolves when the operation has finished
+     */
+    update(operation, waitForUpdate = true) {
+        const run = () => new Promise((resolve, reject) => {
+            const buffer = this.sourceBuffer;
+            if (this.destroyed || !buffer) {
+                resolve();
+                return;
+            }
+
+            const cleanup = () => {
+                buffer.removeEventListener('updateend', onDone);
+                buffer.removeEventListener('error', onError);
+            };
+            const onDone = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(createLoadError('unsupported', 'A segment of the stream could not be decoded'));
+            };
+
+            if (waitForUpdate) {
+                buffer.addEventListener('updateend', onDone);
+                buffer.addEventListener('error', onError);
+            }
+
+            try {
+                operation(buffer);
+            } catch (error) {
+                cleanup();
+                reject(error);
+                return;
+            }
+
+            if (!waitForUpdate) {
+                resolve();
+            }
+        });
+
+        const result = this.queue.then(run);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Signal the end of the stream once the last segment is buffered
+     */
+    async finishIfComplete() {
+        if (this.isLive || !this.loaded.has(this.segments.length - 1)) return;
+
+        await this.queue;
+        if (!this.destroyed && this.mediaSource.readyState === 'open' && !this.sourceBuffer.updating) {
+            this.mediaSource.endOfStream();
+        }
+    }
+
+    /**
+     * Wait until playback moves, seeks or the playlist changes
+     * @returns {Promise<void>} Resolves on the next change
+     */
+    waitForPlayback() {
+        return new Promise(resolve => {
+            this.wake = resolve;
+        });
+    }
+
+    /**
+     * Wake the fetch loop
+     */
+    notify() {
+        if (this.wake) {
+            const wake = this.wake;
+            this.wake = null;
+            wake();
+        }
+    }
+
+    /**
+     * Keep the segments of an A-B loop buffered
+     * @param {number|null} start - Loop start, null when no loop is set
+     * @param {number|null} end - Loop end
+     */
+    setLoopRegion(start, end) {
+        const range = this.keepRange;
+        if (range ? range.start === start && range.end === end : start === null || end === null) return;
+
+        this.keepRange = start !== null && end !== null ? { start, end } : null;
+        this.keepFits = true;
+        this.notify();
+    }
+
+    /**
+     * Reload a live playlist after a delay
+     * @param {number} delay - Seconds to wait
+     */
+    scheduleReload(delay) {
+        this.reloadTimer = setTimeout(() => this.reload(), delay * 1000);
+    }
+
+    /**
+     * Add the segments that appeared in a live playlist since the last load
+     */
+    async reload() {
+        let playlist;
+        try {
+            playlist = this.parsePlaylist(await this.fetchText(this.playlistUrl), this.playlistUrl);
+        } catch (error) {
+            console.warn('Could not reload HLS playlist:', error);
+            if (!this.destroyed) {
+                this.scheduleReload(this.targetDuration);
+            }
+            return;
+        }
+        if (this.destroyed) return;
+
+        // Segments are matched by sequence number; new ones continue the timeline
+        const last = this.segments[this.segments.length - 1];
+        const added = playlist.segments.filter(segment => !last || segment.sequence > last.sequence);
+        let start = this.getDuration();
+        added.forEach(segment => {
+            this.segments.push({ ...segment, start });
+            start += segment.duration;
+        });
+
+        this.isLive = playlist.isLive;
+        if (added.length > 0) {
+            await this.queue;
+            if (!this.destroyed && !this.sourceBuffer.updating && this.mediaSource.readyState === 'open') {
+                this.mediaSource.duration = this.getDuration();
+            }
+            this.notify();
+        }
+
+        if (this.isLive) {
+            // Check again sooner when nothing new had been published yet
+            this.scheduleReload(added.length > 0 ? this.targetDuration : this.targetDuration / 2);
+        }
+    }
+
+    /**
+     * Fetch a playlist as text
+     * @param {string} url - Playlist URL
+     * @returns {Promise<string>} Playlist text
+     */
+    async fetchText(url) {
+        const response = await this.request(url, {});
+        return response.text();
+    }
+
+    /**
+     * Fetch a segment, retrying failed requests
+     * @param {string} url - Segment URL
+     * @param {Object|null} byteRange - Part of the resource to fetch
+     * @returns {Promise<ArrayBuffer>} Segment data
+     */
+    async fetchData(url, byteRange) {
+        const headers = byteRange ?
+            { Range: `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}` } : {};
+
+        for (let attempt = 0; ; attempt++) {
+            this.controller = new AbortController();
+            try {
+                const response = await this.request(url, { headers, signal: this.controller.signal });
+                return await response.arrayBuffer();
+            } catch (error) {
+                if (error.name === 'AbortError' || error.status === 404 || attempt >= this.maxRetries) {
+                    throw error;
+                }
+                await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+            } finally {
+                this.controller = null;
+            }
+        }
+    }
+
+    /**
+     * Fetch a URL, turning failures into errors the player can explain
+     * @param {string} url - URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>} Successful response
+     */
+    async request(url, options) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw this.createFetchError(url, 0);
+        }
+
+        if (!response.ok) {
+            throw this.createFetchError(url, response.status);
+        }
+        return response;
+    }
+
+    /**
+     * Create an error for a failed request
+     * @param {string} url - URL that failed
+     * @param {number} status - HTTP status, 0 if there was no response
+     * @returns {Error} Error named HlsFetchError
+     */
+    createFetchError(url, status) {
+        const error = new Error(`Could not fetch ${url}${status ? ` (${status})` : ''}`);
+        error.name = 'HlsFetchError';
+        error.url = url;
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * Stop fetching and release the MediaSource
+     */
+    destroy() {
+        this.destroyed = true;
+        clearTimeout(this.reloadTimer);
+
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.notify();
+
+        this.audio.removeEventListener('seeking', this.handleSeeking);
+        this.audio.removeEventListener('timeupdate', this.handleTimeUpdate);
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+}
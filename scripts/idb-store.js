@@ -0,0 +1,97 @@
+// IDBStore - Promise wrapper around an IndexedDB database
+
+class IDBStore {
+    constructor(name, version, storeNames) {
+        this.name = name;
+        this.version = version;
+        this.storeNames = storeNames;
+        this.opening = null;
+    }
+
+    /**
+     * Open the database, creating missing object stores
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not supported'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.name, this.version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    this.storeNames.forEach(storeName => {
+                        if (!db.objectStoreNames.contains(storeName)) {
+                            db.createObjectStore(storeName);
+                        }
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Allow a later retry if opening failed
+            this.opening.catch(() => {
+                this.opening = null;
+            });
+        }
+
+        return this.opening;
+    }
+
+    /**
+     * Read a value
+     * @param {string} storeName - Object store
+     * @param {string} key - Key
+     * @returns {Promise<any>} Value, undefined if missing
+     */
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Write a value
+     * @param {string} storeName - Object store
+     * @param {string} key - Key
+     * @param {any} value - Structured-cloneable value
+     * @returns {Promise<void>} Resolves once written
+     */
+    put(storeName, key, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Delete a value
+     * @param {string} storeName - Object store
+     * @param {string} key - Key
+     * @returns {Promise<void>} Resolves once deleted
+     */
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Run a single request in its own transaction
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Creates the request from the store
+     * @returns {Promise<any>} Request result once the transaction completes
+     */
+    async run(storeName, mode, makeRequest) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
@@ -1,14 +1,25 @@
 // Keyboard shortcuts handler
 
 class KeyboardHandler {
-    constructor(player, controls) {
+    constructor(player, controls, features = {}) {
         this.player = player;
         this.controls = controls;
+        this.features = features;
         this.isEnabled = true;
         this.activeKeys = new Set();
         
         // Speed options for keyboard control
-        this.speedOptions = [0.25, 0.5, 0.75, 1, 1.25, 1.5, 2];
+        this.speedOptions = [0.05, 0.1, 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4];
+        
+        // Speeds on the number keys 1-6
+        this.speedPresets = [0.25, 0.5, 0.75, 1, 1.25, 1.5];
+        
+        // Loop point nudge steps in seconds: Alt for fine, Shift for coarse
+        this.nudgeSteps = { fine: 0.01, normal: 0.05, coarse: 0.25 };
+        this.lastNudged = 'b';
+        
+        // Keys that take Alt/Shift and repeat while held
+        this.modifierKeys = ['BracketLeft', 'BracketRight', 'Semicolon', 'Quote'];
         
         this.setupEventListeners();
     }
@@ -45,7 +56,7 @@ class KeyboardHandler {
         const key = event.code || event.key;
         
         // Prevent repeated events for held keys
-        if (this.activeKeys.has(key)) {
+        if (this.activeKeys.has(key) && !this.modifierKeys.includes(key)) {
             return;
         }
         
@@ -77,14 +88,22 @@ class KeyboardHandler {
                 this.handlePlayPause();
                 break;
                 
-            // Seek backward
+            // Seek backward (Shift: previous phrase)
             case 'ArrowLeft':
-                this.handleSeek(-10);
+                if (event.shiftKey) {
+                    this.handlePhraseStep(-1);
+                } else {
+                    this.handleSeek(-this.player.seekStep);
+                }
                 break;
                 
-            // Seek forward
+            // Seek forward (Shift: next phrase)
             case 'ArrowRight':
-                this.handleSeek(10);
+                if (event.shiftKey) {
+                    this.handlePhraseStep(1);
+                } else {
+                    this.handleSeek(this.player.seekStep);
+                }
                 break;
                 
             // Speed down
@@ -125,22 +144,166 @@ class KeyboardHandler {
                 this.handleClearLoop();
                 break;
                 
-            // Speed presets (1-6)
+            // Cycle lead-in mode
+            case 'KeyI':
+            case 'i':
+            case 'I':
+                this.handleCycleLeadIn();
+                break;
+                
+            // Start/stop speed trainer
+            case 'KeyR':
+            case 'r':
+            case 'R':
+                this.handleToggleTrainer();
+                break;
+                
+            // Next/previous track
+            case 'KeyN':
+            case 'n':
+            case 'N':
+                this.handleTrackChange(1);
+                break;
+            case 'KeyP':
+            case 'p':
+            case 'P':
+                this.handleTrackChange(-1);
+                break;
+                
+            // Save loop to library (Shift toggles snapping)
+            case 'KeyS':
+            case 's':
+            case 'S':
+                if (event.shiftKey) {
+                    this.handleToggleSnap();
+                } else {
+                    this.handleSaveLoop();
+                }
+                break;
+                
+            // Transpose down/up (Shift for cents)
+            case 'Comma':
+            case ',':
+            case '<':
+                this.handleTranspose(-1, event.shiftKey);
+                break;
+            case 'Period':
+            case '.':
+            case '>':
+                this.handleTranspose(1, event.shiftKey);
+                break;
+                
+            // Original pitch
+            case 'Digit0':
+            case '0':
+                this.handleResetPitch();
+                break;
+                
+            // Nudge A earlier/later
+            case 'BracketLeft':
+            case '[':
+                this.handleNudge('a', -1, event);
+                break;
+            case 'BracketRight':
+            case ']':
+                this.handleNudge('a', 1, event);
+                break;
+                
+            // Nudge B earlier/later
+            case 'Semicolon':
+            case ';':
+                this.handleNudge('b', -1, event);
+                break;
+            case 'Quote':
+            case "'":
+                this.handleNudge('b', 1, event);
+                break;
+                
+            // Preview around the last moved point
+            case 'KeyV':
+            case 'v':
+            case 'V':
+                this.handlePreview();
+                break;
+                
+            // Tap tempo
+            case 'KeyT':
+            case 't':
+            case 'T':
+                this.handleTapTempo();
+                break;
+                
+            // Loop the current subtitle line
+            case 'KeyU':
+            case 'u':
+            case 'U':
+                this.handleLoopLine();
+                break;
+                
+            // Loop the current phrase
+            case 'KeyG':
+            case 'g':
+            case 'G':
+                this.handleLoopPhrase();
+                break;
+                
+            // Mirror the video
+            case 'KeyM':
+            case 'm':
+            case 'M':
+                this.handleMirror();
+                break;
+                
+            // Timeline zoom
+            case 'Equal':
+            case 'NumpadAdd':
+            case '=':
+            case '+':
+                this.handleZoom(2);
+                break;
+            case 'Minus':
+            case 'NumpadSubtract':
+            case '-':
+                this.handleZoom(0.5);
+                break;
+            case 'KeyZ':
+            case 'z':
+            case 'Z':
+                this.handleResetZoom();
+                break;
+                
+            // Speed presets (1-6); Shift+1-4 loops that many bars
             case 'Digit1':
             case '1':
-                this.handleSpeedPreset(0);
+                if (event.shiftKey) {
+                    this.handleLoopBars(1);
+                } else {
+                    this.handleSpeedPreset(0);
+                }
                 break;
             case 'Digit2':
             case '2':
-                this.handleSpeedPreset(1);
+                if (event.shiftKey) {
+                    this.handleLoopBars(2);
+                } else {
+                    this.handleSpeedPreset(1);
+                }
                 break;
             case 'Digit3':
             case '3':
-                this.handleSpeedPreset(2);
+                if (event.shiftKey) {
+                    this.handleLoopBars(3);
+                } else {
+                    this.handleSpeedPreset(2);
+                }
                 break;
             case 'Digit4':
             case '4':
-                this.handleSpeedPreset(3);
+                if (event.shiftKey) {
+                    this.handleLoopBars(4);
+                } else {
+                    this.handleSpeedPreset(3);
+                }
                 break;
             case 'Digit5':
             case '5':
@@ -205,27 +368,28 @@ class KeyboardHandler {
             return;
         }
         
-        const currentRate = this.player.getState().playbackRate;
-        const currentIndex = this.speedOptions.indexOf(currentRate);
+        const { playbackRate: currentRate, speedRange } = this.player.getState();
+        const speedOptions = this.speedOptions.filter(speed => speed >= speedRange.min && speed <= speedRange.max);
+        const currentIndex = speedOptions.indexOf(currentRate);
         
         if (currentIndex === -1) {
             // If current rate is not in our options, find closest
             const newIndex = direction > 0 ? 
-                this.speedOptions.findIndex(speed => speed > currentRate) :
-                this.speedOptions.slice().reverse().findIndex(speed => speed < currentRate);
+                speedOptions.findIndex(speed => speed > currentRate) :
+                speedOptions.slice().reverse().findIndex(speed => speed < currentRate);
             
             if (newIndex !== -1) {
-                const targetIndex = direction > 0 ? newIndex : this.speedOptions.length - 1 - newIndex;
-                this.player.setPlaybackRate(this.speedOptions[targetIndex]);
-                showToast(`Speed: ${this.speedOptions[targetIndex]}x`, 'info', 1500);
+                const targetIndex = direction > 0 ? newIndex : speedOptions.length - 1 - newIndex;
+                this.player.setPlaybackRate(speedOptions[targetIndex]);
+                showToast(`Speed: ${speedOptions[targetIndex]}x`, 'info', 1500);
             }
         } else {
             // Current rate is in our options
             const newIndex = currentIndex + direction;
             
-            if (newIndex >= 0 && newIndex < this.speedOptions.length) {
-                this.player.setPlaybackRate(this.speedOptions[newIndex]);
-                showToast(`Speed: ${this.speedOptions[newIndex]}x`, 'info', 1500);
+            if (newIndex >= 0 && newIndex < speedOptions.length) {
+                this.player.setPlaybackRate(speedOptions[newIndex]);
+                showToast(`Speed: ${speedOptions[newIndex]}x`, 'info', 1500);
             } else {
                 // At min/max speed
                 const limit = direction > 0 ? 'maximum' : 'minimum';
@@ -236,17 +400,121 @@ class KeyboardHandler {
     
     /**
      * Handle speed preset
-     * @param {number} index - Index in speedOptions array
+     * @param {number} index - Index in speedPresets array
      */
     handleSpeedPreset(index) {
         if (!this.player.getState().hasFile) {
             return;
         }
         
-        if (index >= 0 && index < this.speedOptions.length) {
-            this.player.setPlaybackRate(this.speedOptions[index]);
-            showToast(`Speed: ${this.speedOptions[index]}x`, 'info', 1500);
+        if (index >= 0 && index < this.speedPresets.length) {
+            this.player.setPlaybackRate(this.speedPresets[index]);
+            showToast(`Speed: ${this.speedPresets[index]}x`, 'info', 1500);
+        }
+    }
+    
+    /**
+     * Handle transpose
+     * @param {number} direction - Direction of change (-1 for lower, 1 for higher)
+     * @param {boolean} fine - Change by 10 cents instead of a semitone
+     */
+    handleTranspose(direction, fine) {
+        if (!this.player.getState().hasFile || !this.features.pitchControls) {
+            return;
+        }
+        
+        if (fine) {
+            this.features.pitchControls.shift(0, direction * 10);
+        } else {
+            this.features.pitchControls.shift(direction, 0);
+        }
+    }
+    
+    /**
+     * Handle reset to the original pitch
+     */
+    handleResetPitch() {
+        if (!this.player.getState().hasFile || !this.features.pitchControls) {
+            return;
+        }
+        
+        this.features.pitchControls.reset();
+    }
+    
+    /**
+     * Handle timeline zoom around the playhead
+     * @param {number} factor - Zoom multiplier (above 1 zooms in)
+     */
+    handleZoom(factor) {
+        if (!this.player.getState().hasFile) {
+            return;
+        }
+        
+        this.controls.zoomBy(factor);
+    }
+    
+    /**
+     * Handle showing the whole track
+     */
+    handleResetZoom() {
+        if (!this.player.getState().hasFile) {
+            return;
+        }
+        
+        this.controls.resetZoom();
+        showToast('Zoom reset', 'info', 1000);
+    }
+    
+    /**
+     * Handle nudging a loop point
+     * @param {string} point - 'a' or 'b'
+     * @param {number} direction - -1 for earlier, 1 for later
+     * @param {KeyboardEvent} event - Keyboard event, whose modifiers pick the step
+     */
+    handleNudge(point, direction, event) {
+        if (!this.player.getState().hasFile) {
+            return;
+        }
+        
+        let step = this.nudgeSteps.normal;
+        if (event.altKey) {
+            step = this.nudgeSteps.fine;
+        } else if (event.shiftKey) {
+            step = this.nudgeSteps.coarse;
+        }
+        
+        const time = this.player.nudgeLoopPoint(point, direction * step);
+        const label = point.toUpperCase();
+        
+        if (time === null) {
+            showToast(`Set ${label} first`, 'error', 1500);
+            return;
+        }
+        
+        this.lastNudged = point;
+        const sign = direction > 0 ? '+' : '−';
+        showToast(`${label}: ${formatTimePrecise(time)} (${sign}${Math.round(step * 1000)} ms)`, 'info', 1000);
+    }
+    
+    /**
+     * Handle preview around the last nudged or set loop point
+     */
+    handlePreview() {
+        const state = this.player.getState();
+        if (!state.hasFile) {
+            return;
+        }
+        
+        const point = this.lastNudged === 'a' ? state.loopA : state.loopB;
+        const fallback = this.lastNudged === 'a' ? state.loopB : state.loopA;
+        const time = point !== null ? point : fallback;
+        
+        if (time === null) {
+            showToast('Set A or B first', 'error', 1500);
+            return;
         }
+        
+        this.player.previewAround(time);
     }
     
     /**
@@ -258,9 +526,10 @@ class KeyboardHandler {
             return;
         }
         
-        this.player.setLoopA();
-        const currentTime = this.player.getState().currentTime;
-        showToast(`A point set at ${formatTime(currentTime)}`, 'success', 2000);
+        const snap = this.player.setLoopA();
+        this.lastNudged = 'a';
+        const time = snap ? snap.time : this.player.getState().currentTime;
+        showToast(`A point set at ${snap ? formatTimePrecise(time) : formatTime(time)}${describeSnap(snap)}`, 'success', 2000);
     }
     
     /**
@@ -272,9 +541,19 @@ class KeyboardHandler {
             return;
         }
         
-        this.player.setLoopB();
-        const currentTime = this.player.getState().currentTime;
-        showToast(`B point set at ${formatTime(currentTime)}`, 'success', 2000);
+        const snap = this.player.setLoopB();
+        this.lastNudged = 'b';
+        const time = snap ? snap.time : this.player.getState().currentTime;
+        showToast(`B point set at ${snap ? formatTimePrecise(time) : formatTime(time)}${describeSnap(snap)}`, 'success', 2000);
+    }
+    
+    /**
+     * Handle toggle loop point snapping
+     */
+    handleToggleSnap() {
+        const { enabled, target } = this.player.loopSnap;
+        this.player.setLoopSnap({ enabled: !enabled });
+        showToast(`Snap to ${target} ${enabled ? 'off' : 'on'}`, 'info', 1500);
     }
     
     /**
@@ -309,6 +588,133 @@ class KeyboardHandler {
         showToast('Loop points cleared', 'info', 1500);
     }
     
+    /**
+     * Handle cycle lead-in mode (off, pre-roll, count-in)
+     */
+    handleCycleLeadIn() {
+        const modes = ['off', 'preroll', 'countin'];
+        const leadIn = this.player.getState().loopLeadIn;
+        const mode = modes[(modes.indexOf(leadIn.mode) + 1) % modes.length];
+        
+        this.player.setLoopLeadIn({ mode });
+        
+        const messages = {
+            off: 'Lead-in off',
+            preroll: `Lead-in: ${leadIn.preroll}s pre-roll`,
+            countin: `Lead-in: ${leadIn.clicks} clicks at ${leadIn.bpm} BPM`
+        };
+        showToast(messages[mode], 'info', 1500);
+    }
+    
+    /**
+     * Handle start/stop speed trainer
+     */
+    handleToggleTrainer() {
+        if (!this.player.getState().hasFile) {
+            showToast('No audio file loaded', 'error', 2000);
+            return;
+        }
+        
+        if (this.features.speedTrainer) {
+            this.features.speedTrainer.toggle();
+        }
+    }
+    
+    /**
+     * Handle next/previous track
+     * @param {number} direction - 1 for the next track, -1 for the previous one
+     */
+    handleTrackChange(direction) {
+        if (!this.features.playlist) {
+            return;
+        }
+        
+        if (direction > 0) {
+            this.features.playlist.next();
+        } else {
+            this.features.playlist.previous();
+        }
+    }
+    
+    /**
+     * Handle next/previous phrase
+     * @param {number} direction - 1 for the next phrase, -1 for the previous one
+     */
+    handlePhraseStep(direction) {
+        if (!this.features.phraseSegmenter) {
+            return;
+        }
+        
+        this.features.phraseSegmenter.step(direction);
+    }
+    
+    /**
+     * Handle loop current phrase
+     */
+    handleLoopPhrase() {
+        if (!this.features.phraseSegmenter) {
+            return;
+        }
+        
+        this.features.phraseSegmenter.loopCurrent();
+    }
+    
+    /**
+     * Handle tap tempo
+     */
+    handleTapTempo() {
+        if (!this.features.beatGrid) {
+            return;
+        }
+        
+        this.features.beatGrid.tap();
+    }
+    
+    /**
+     * Handle loop bars from the playhead
+     * @param {number} count - Number of bars
+     */
+    handleLoopBars(count) {
+        if (!this.features.beatGrid) {
+            return;
+        }
+        
+        this.features.beatGrid.loopBars(count);
+    }
+    
+    /**
+     * Handle mirroring the video
+     */
+    handleMirror() {
+        if (!this.features.videoPane) {
+            return;
+        }
+        
+        this.features.videoPane.toggleMirror();
+    }
+    
+    /**
+     * Handle loop current subtitle line
+     */
+    handleLoopLine() {
+        if (!this.features.transcript) {
+            return;
+        }
+        
+        this.features.transcript.loopCurrentLine();
+    }
+    
+    /**
+     * Handle save loop to library
+     */
+    handleSaveLoop() {
+        if (!this.features.loopLibrary) {
+            return;
+        }
+        
+        this.features.loopLibrary.saveCurrentLoop();
+    }
+    
     /**
      * Handle seek to start
      */
@@ -359,7 +765,11 @@ class KeyboardHandler {
         }
         
         // Ignore if modifier keys are pressed (except for specific combinations)
-        if (event.ctrlKey || event.metaKey || event.altKey) {
+        if (event.ctrlKey || event.metaKey) {
+            return true;
+        }
+        
+        if (event.altKey && !this.modifierKeys.includes(event.code)) {
             return true;
         }
         
@@ -379,12 +789,30 @@ class KeyboardHandler {
             'KeyB', 'b', 'B',
             'KeyL', 'l', 'L',
             'KeyC', 'c', 'C',
+            'KeyI', 'i', 'I',
+            'KeyR', 'r', 'R',
+            'KeyS', 's', 'S',
+            'KeyN', 'n', 'N',
+            'KeyP', 'p', 'P',
+            'KeyG', 'g', 'G',
+            'KeyT', 't', 'T',
+            'KeyU', 'u', 'U',
+            'KeyM', 'm', 'M',
             'Digit1', '1',
             'Digit2', '2',
             'Digit3', '3',
             'Digit4', '4',
             'Digit5', '5',
             'Digit6', '6',
+            'Comma', ',', '<',
+            'Period', '.', '>',
+            'Digit0', '0',
+            'BracketLeft', '[', 'BracketRight', ']',
+            'Semicolon', ';', 'Quote', "'",
+            'KeyV', 'v', 'V',
+            'Equal', 'NumpadAdd', '=', '+',
+            'Minus', 'NumpadSubtract', '-',
+            'KeyZ', 'z', 'Z',
             'Home', 'End',
             'PageUp', 'PageDown'
         ];
@@ -415,13 +843,31 @@ class KeyboardHandler {
         return `
 Keyboard Shortcuts:
 • Space: Play/Pause
-• ← →: Seek ±10 seconds
-• ↑ ↓: Change speed
+• ← →: Seek ±${this.player.seekStep} seconds
+• ↑ ↓: Change speed (0.05x - 4x for decoded files)
 • A: Set A loop point
 • B: Set B loop point
 • L: Toggle loop
 • C: Clear loop points
-• 1-6: Speed presets (0.25x - 2x)
+• I: Cycle lead-in (off, pre-roll, count-in)
+• R: Start/stop speed trainer
+• S: Save loop to library
+• Shift+S: Toggle snapping of A/B (to onsets or beats, see Loop Settings)
+• N / P: Next/previous track
+• 1-6: Speed presets (0.25x - 1.5x)
+• , .: Transpose ±1 semitone (Shift: ±10 cents)
+• 0: Original pitch
+• [ ]: Nudge A earlier/later (Alt: 10 ms, Shift: 250 ms, otherwise 50 ms)
+• ; ': Nudge B earlier/later
+• V: Preview around the last moved point
+• + / −: Zoom the timeline in/out (or use the mouse wheel)
+• Z: Show the whole track
+• Shift+← →: Previous/next phrase (moves the loop while a phrase loops)
+• G: Loop the current phrase
+• T: Tap tempo (start on the one while playing to set the downbeat)
+• Shift+1-4: Loop 1-4 bars from the current bar
+• U: Loop the current subtitle line
+• M: Mirror the video
 • Home: Seek to start
 • End: Seek to end
 • Page Up/Down: Seek ±30 seconds
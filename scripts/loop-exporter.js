@@ -0,0 +1,332 @@
+// Loop exporter - Renders the A-B region offline and downloads it
+
+class LoopExporter {
+    constructor(player) {
+        this.player = player;
+        this.isExporting = false;
+        this.maxOutputDuration = 30 * 60; // Longest render, in seconds of output
+        this.compressedType = this.getCompressedType();
+
+        // Get DOM elements
+        this.elements = {
+            exportBtn: document.getElementById('exportLoopBtn'),
+            applySpeed: document.getElementById('exportApplySpeed'),
+            applyPitch: document.getElementById('exportApplyPitch'),
+            repeats: document.getElementById('exportRepeats'),
+            format: document.getElementById('exportFormat'),
+            compressedOption: document.getElementById('exportCompressedOption'),
+            trackTitle: document.getElementById('trackTitle')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.setupFormatOptions();
+        this.updateButton();
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.exportBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.exportBtn);
+            this.exportLoop();
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        ['loaded', 'loopaset', 'loopbset', 'loopclear'].forEach(event => {
+            this.player.on(event, () => this.updateButton());
+        });
+    }
+
+    /**
+     * Offer the compressed format only where the browser can record one
+     */
+    setupFormatOptions() {
+        const option = this.elements.compressedOption;
+
+        if (this.compressedType) {
+            option.textContent = `${this.compressedType.label} (.${this.compressedType.extension}, encodes in real time)`;
+        } else {
+            option.disabled = true;
+            option.textContent = 'Compressed (not supported in this browser)';
+        }
+    }
+
+    /**
+     * Find a compressed format MediaRecorder can produce
+     * @returns {Object|null} MIME type, label and file extension, null if none
+     */
+    getCompressedType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+
+        const types = [
+            { mimeType: 'audio/webm;codecs=opus', label: 'Opus', extension: 'webm' },
+            { mimeType: 'audio/ogg;codecs=opus', label: 'Opus', extension: 'ogg' },
+            { mimeType: 'audio/mp4', label: 'AAC', extension: 'm4a' }
+        ];
+
+        return types.find(type => MediaRecorder.isTypeSupported(type.mimeType)) || null;
+    }
+
+    /**
+     * Enable the export button while a full region is set
+     */
+    updateButton() {
+        const hasRegion = this.player.loopA !== null && this.player.loopB !== null;
+        this.elements.exportBtn.disabled = this.isExporting || !hasRegion;
+    }
+
+    /**
+     * Read the export options
+     * @returns {Object} Rate, pitch factor, repetitions and format
+     */
+    getOptions() {
+        return {
+            rate: this.elements.applySpeed.checked ? this.player.playbackRate : 1,
+            pitchFactor: this.elements.applyPitch.checked ? this.player.getPitchFactor() : 1,
+            repeats: clamp(parseInt(this.elements.repeats.value, 10) || 1, 1, 50),
+            format: this.elements.format.value
+        };
+    }
+
+    /**
+     * Render the current region and download it
+     */
+    async exportLoop() {
+        const { loopA, loopB } = this.player;
+        if (this.isExporting || loopA === null || loopB === null) return;
+
+        const options = this.getOptions();
+        const outputDuration = (loopB - loopA) * options.repeats / options.rate;
+        if (outputDuration > this.maxOutputDuration) {
+            showToast('The export would be too long; use fewer repetitions or a faster speed', 'error', 4000);
+            return;
+        }
+
+        this.isExporting = true;
+        addLoadingState(this.elements.exportBtn);
+        this.elements.exportBtn.textContent = 'Exporting...';
+
+        try {
+            const source = await this.getSourceBuffer();
+            const rendered = await this.render(source, loopA, loopB, options);
+
+            const type = options.format === 'compressed' && this.compressedType ? this.compressedType : null;
+            if (type) {
+                showToast(`Encoding ${formatTime(rendered.duration)} of audio...`, 'info', 3000);
+            }
+
+            const blob = type ? await this.encodeCompressed(rendered, type.mimeType) : this.encodeWav(rendered);
+            downloadBlob(blob, `${this.getFileName(loopA, loopB, options)}.${type ? type.extension : 'wav'}`);
+            showToast('Loop exported', 'success', 2000);
+        } catch (error) {
+            console.error('Loop export failed:', error);
+            showToast(`Could not export the loop: ${error.message}`, 'error', 4000);
+        } finally {
+            this.isExporting = false;
+            removeLoadingState(this.elements.exportBtn);
+            this.elements.exportBtn.textContent = 'Export';
+            this.updateButton();
+        }
+    }
+
+    /**
+     * Get the decoded audio of the loaded track
+     * @returns {Promise<AudioBuffer>} Decoded audio
+     */
+    async getSourceBuffer() {
+        if (this.player.bufferEngine) {
+            return this.player.bufferEngine.buffer;
+        }
+
+        const context = this.player.getAudioContext();
+        if (!context) {
+            throw new Error('Web Audio is not supported');
+        }
+
+        const file = this.player.currentFile;
+        if (!file && isHlsUrl(this.player.currentUrl)) {
+            throw new Error('HLS streams cannot be exported');
+        }
+
+        const data = file ? await file.arrayBuffer() : await (await fetch(this.player.currentUrl)).arrayBuffer();
+        return context.decodeAudioData(data);
+    }
+
+    /**
+     * Render repetitions of a region with speed and pitch applied
+     * @param {AudioBuffer} buffer - Source audio
+     * @param {number} start - Region start in seconds
+     * @param {number} end - Region end in seconds
+     * @param {Object} options - Rate, pitch factor and repetitions
+     * @returns {Promise<AudioBuffer>} Rendered audio
+     */
+    async render(buffer, start, end, options) {
+        const { rate, pitchFactor, repeats } = options;
+        const sampleRate = buffer.sampleRate;
+        const passDuration = (end - start) / rate;
+        const outputLength = Math.ceil(passDuration * repeats * sampleRate);
+
+        // Render the shifter's latency too, and trim it afterwards
+        const factor = pitchFactor / rate;
+        const latency = Math.round(PitchShifter.getLatency(factor, sampleRate) * sampleRate);
+
+        const context = new OfflineAudioContext(buffer.numberOfChannels, outputLength + latency, sampleRate);
+        const shifter = new PitchShifter(context, context.destination);
+        if (!(await shifter.setFactor(factor))) {
+            throw new Error('speed and pitch changes need AudioWorklet support');
+        }
+
+        for (let i = 0; i < repeats; i++) {
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.playbackRate.value = rate;
+            source.connect(shifter.input);
+            source.start(i * passDuration, start, end - start);
+        }
+
+        const rendered = await context.startRendering();
+        return latency > 0 ? this.trimStart(rendered, latency, outputLength) : rendered;
+    }
+
+    /**
+     * Drop samples from the start of a buffer
+     * @param {AudioBuffer} buffer - Rendered audio
+     * @param {number} offset - Samples to drop
+     * @param {number} length - Samples to keep
+     * @returns {AudioBuffer} Trimmed copy
+     */
+    trimStart(buffer, offset, length) {
+        const trimmed = new AudioBuffer({
+            length,
+            numberOfChannels: buffer.numberOfChannels,
+            sampleRate: buffer.sampleRate
+        });
+
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            trimmed.copyToChannel(buffer.getChannelData(c).subarray(offset, offset + length), c);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Encode audio as 16-bit PCM WAV
+     * @param {AudioBuffer} buffer - Audio to encode
+     * @returns {Blob} WAV file
+     */
+    encodeWav(buffer) {
+        const channels = buffer.numberOfChannels;
+        const blockAlign = channels * 2;
+        const dataSize = buffer.length * blockAlign;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const data = [];
+        for (let c = 0; c < channels; c++) {
+            data.push(buffer.getChannelData(c));
+        }
+
+        let offset = 44;
+        for (let i = 0; i < buffer.length; i++) {
+            for (let c = 0; c < channels; c++) {
+                const sample = clamp(data[c][i], -1, 1);
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
+        }
+
+        return new Blob([view], { type: 'audio/wav' });
+    }
+
+    /**
+     * Encode audio by recording it through MediaRecorder in real time
+     * @param {AudioBuffer} buffer - Audio to encode
+     * @param {string} mimeType - Recorder MIME type
+     * @returns {Promise<Blob>} Encoded file
+     */
+    async encodeCompressed(buffer, mimeType) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const context = new AudioContextClass({ sampleRate: buffer.sampleRate });
+
+        try {
+            const destination = context.createMediaStreamDestination();
+            const source = context.createBufferSource();
+            source.buffer = buffer;
+            source.connect(destination);
+
+            const recorder = new MediaRecorder(destination.stream, { mimeType });
+            const chunks = [];
+            recorder.addEventListener('dataavailable', (e) => chunks.push(e.data));
+
+            const stopped = new Promise((resolve, reject) => {
+                recorder.addEventListener('stop', resolve);
+                recorder.addEventListener('error', (e) => reject(e.error || new Error('recording failed')));
+            });
+
+            source.addEventListener('ended', () => recorder.stop());
+            await context.resume();
+            recorder.start();
+            source.start();
+            await stopped;
+
+            return new Blob(chunks, { type: mimeType });
+        } finally {
+            context.close();
+        }
+    }
+
+    /**
+     * Build a file name from the track title and region
+     * @param {number} start - Region start in seconds
+     * @param {number} end - Region end in seconds
+     * @param {Object} options - Export options
+     * @returns {string} File name without extension
+     */
+    getFileName(start, end, options) {
+        const title = this.elements.trackTitle.textContent.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'loop';
+        const stamp = (time) => {
+            const minutes = Math.floor(time / 60);
+            const seconds = (time % 60).toFixed(1).padStart(4, '0');
+            return `${minutes.toString().padStart(2, '0')}m${seconds}s`;
+        };
+
+        const parts = [`${title} ${stamp(start)}-${stamp(end)}`];
+        if (options.rate !== 1) {
+            parts.push(`${options.rate}x`);
+        }
+        if (options.pitchFactor !== 1) {
+            const { semitones, cents } = this.player.transpose;
+            parts.push(`${semitones > 0 ? '+' : ''}${semitones}st${cents ? `${cents > 0 ? '+' : ''}${cents}ct` : ''}`);
+        }
+        if (options.repeats > 1) {
+            parts.push(`${options.repeats} times`);
+        }
+
+        return parts.join(' ');
+    }
+}
@@ -0,0 +1,365 @@
+// Loop library - Named A-B regions saved per track
+
+class LoopLibrary {
+    constructor(player) {
+        this.player = player;
+        this.trackKey = null;
+        this.regions = [];
+        this.view = null;
+        this.storageKey = 'abplayer:loops';
+
+        // Colors assigned to new regions in turn
+        this.colors = ['#6366f1', '#10b981', '#f59e0b', '#ec4899', '#06b6d4', '#8b5cf6', '#ef4444', '#84cc16'];
+
+        // Get DOM elements
+        this.elements = {
+            nameInput: document.getElementById('loopNameInput'),
+            saveBtn: document.getElementById('saveLoopBtn'),
+            list: document.getElementById('loopList'),
+            bands: document.getElementById('regionBands')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.render();
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.saveBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.saveBtn);
+            this.saveCurrentLoop();
+        });
+
+        this.elements.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.saveCurrentLoop();
+            }
+        });
+
+        // Delegate clicks inside the list
+        this.elements.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.loop-item');
+            if (!item) return;
+
+            if (e.target.closest('.loop-item-delete')) {
+                this.removeRegion(item.dataset.id);
+            } else if (!e.target.closest('.loop-item-color')) {
+                this.activateRegion(item.dataset.id);
+            }
+        });
+
+        this.elements.list.addEventListener('change', (e) => {
+            if (e.target.classList.contains('loop-item-color')) {
+                const item = e.target.closest('.loop-item');
+                this.updateRegion(item.dataset.id, { color: e.target.value });
+            }
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loaded', (data) => {
+            this.loadTrack(this.getTrackKey(data.file));
+            this.setEnabled(true);
+        });
+
+        this.player.on('durationchange', () => this.renderBands());
+        this.player.on('viewchange', (view) => {
+            this.view = view;
+            this.renderBands();
+        });
+        this.player.on('loopaset', () => this.updateActiveState());
+        this.player.on('loopbset', () => this.updateActiveState());
+        this.player.on('loopclear', () => this.updateActiveState());
+    }
+
+    /**
+     * Build the storage key for a track
+     * @param {File|null} file - Loaded file, null for URL sources
+     * @returns {string} Track key
+     */
+    getTrackKey(file) {
+        if (file) {
+            return `file:${file.name}:${file.size}`;
+        }
+        return `url:${this.player.currentUrl}`;
+    }
+
+    /**
+     * Load saved regions for a track
+     * @param {string} trackKey - Track key
+     */
+    loadTrack(trackKey) {
+        this.trackKey = trackKey;
+        this.regions = this.readStorage()[trackKey] || [];
+        this.render();
+    }
+
+    /**
+     * Save the current A-B loop as a named region
+     * @returns {Object|null} Saved region
+     */
+    saveCurrentLoop() {
+        const { loopA, loopB, playbackRate } = this.player.getState();
+
+        if (!this.trackKey) {
+            showToast('No audio file loaded', 'error', 2000);
+            return null;
+        }
+
+        if (loopA === null || loopB === null) {
+            showToast('Set A and B points first', 'error', 2000);
+            return null;
+        }
+
+        const name = this.elements.nameInput.value.trim() || `Loop ${this.regions.length + 1}`;
+        const region = {
+            id: generateId(),
+            name,
+            start: loopA,
+            end: loopB,
+            speed: playbackRate,
+            color: this.colors[this.regions.length % this.colors.length]
+        };
+
+        this.regions.push(region);
+        this.regions.sort((a, b) => a.start - b.start);
+        this.persist();
+        this.render();
+
+        this.elements.nameInput.value = '';
+        showToast(`Saved "${name}"`, 'success', 1500);
+        return region;
+    }
+
+    /**
+     * Add imported regions, skipping any already saved
+     * @param {Object[]} regions - Regions with name, start and end, optionally speed and color
+     * @returns {number} Number of regions added
+     */
+    importRegions(regions) {
+        const duration = this.player.duration || Infinity;
+        const isSaved = (start, end) => this.regions.some(region =>
+            Math.abs(region.start - start) < 0.001 && Math.abs(region.end - end) < 0.001);
+        let added = 0;
+
+        regions.forEach(item => {
+            // Markers past the end of this track, or open-ended on an unknown duration, are dropped
+            const start = clamp(item.start, 0, duration);
+            const end = clamp(item.end, 0, duration);
+            if (!isFinite(end) || end <= start || isSaved(start, end)) return;
+
+            this.regions.push({
+                id: generateId(),
+                name: (item.name || `Loop ${this.regions.length + 1}`).slice(0, 40),
+                start,
+                end,
+                speed: item.speed || 1,
+                color: item.color || this.colors[this.regions.length % this.colors.length]
+            });
+            added++;
+        });
+
+        if (added > 0) {
+            this.regions.sort((a, b) => a.start - b.start);
+            this.persist();
+            this.render();
+        }
+
+        return added;
+    }
+
+    /**
+     * Make a saved region the active A-B loop
+     * @param {string} id - Region ID
+     */
+    activateRegion(id) {
+        const region = this.regions.find(item => item.id === id);
+        if (!region) return;
+
+        this.player.setLoopPoints(region.start, region.end);
+        this.player.setPlaybackRate(region.speed);
+        this.player.seek(region.start);
+
+        // Switching the loop on last lets a lead-in start from A
+        if (!this.player.isLooping) {
+            this.player.toggleLoop();
+        }
+
+        showToast(`Looping "${region.name}" at ${region.speed}x`, 'info', 1500);
+    }
+
+    /**
+     * Update a saved region
+     * @param {string} id - Region ID
+     * @param {Object} changes - Properties to change
+     */
+    updateRegion(id, changes) {
+        const region = this.regions.find(item => item.id === id);
+        if (!region) return;
+
+        Object.assign(region, changes);
+        this.persist();
+        this.render();
+    }
+
+    /**
+     * Delete a saved region
+     * @param {string} id - Region ID
+     */
+    removeRegion(id) {
+        this.regions = this.regions.filter(item => item.id !== id);
+        this.persist();
+        this.render();
+    }
+
+    /**
+     * Find the region matching the active loop points
+     * @returns {Object|null} Active region
+     */
+    getActiveRegion() {
+        const { loopA, loopB } = this.player;
+        return this.regions.find(region => region.start === loopA && region.end === loopB) || null;
+    }
+
+    /**
+     * Render the region list and progress bar bands
+     */
+    render() {
+        this.renderList();
+        this.renderBands();
+    }
+
+    /**
+     * Render the region list
+     */
+    renderList() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        if (this.regions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'loop-list-empty';
+            empty.textContent = 'No saved loops';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.regions.forEach(region => {
+            const item = document.createElement('li');
+            item.className = 'loop-item';
+            item.dataset.id = region.id;
+            item.title = 'Click to loop this region';
+
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.className = 'loop-item-color';
+            color.value = region.color;
+            color.title = 'Region color';
+
+            const name = document.createElement('span');
+            name.className = 'loop-item-name';
+            name.textContent = region.name;
+
+            const range = document.createElement('span');
+            range.className = 'loop-item-range';
+            range.textContent = `${formatTime(region.start)} – ${formatTime(region.end)} · ${region.speed}x`;
+
+            const remove = document.createElement('button');
+            remove.className = 'loop-item-delete';
+            remove.title = 'Delete region';
+            remove.textContent = '✕';
+
+            item.append(color, name, range, remove);
+            list.appendChild(item);
+        });
+
+        this.updateActiveState();
+    }
+
+    /**
+     * Render the shaded region bands on the progress bar
+     */
+    renderBands() {
+        const duration = this.player.duration;
+        this.elements.bands.innerHTML = '';
+
+        if (!duration) return;
+
+        const view = this.view || { start: 0, end: duration };
+
+        this.regions.forEach(region => {
+            // Clip each band to the visible part of the timeline
+            const left = clamp(getViewPercentage(region.start, view), 0, 100);
+            const right = clamp(getViewPercentage(region.end, view), 0, 100);
+            if (right <= left) return;
+
+            const band = document.createElement('div');
+            band.className = 'region-band';
+            band.style.left = `${left}%`;
+            band.style.width = `${right - left}%`;
+            band.style.backgroundColor = region.color;
+            band.title = region.name;
+            this.elements.bands.appendChild(band);
+        });
+    }
+
+    /**
+     * Highlight the region that matches the active loop
+     */
+    updateActiveState() {
+        const active = this.getActiveRegion();
+
+        this.elements.list.querySelectorAll('.loop-item').forEach(item => {
+            item.classList.toggle('active', !!active && item.dataset.id === active.id);
+        });
+    }
+
+    /**
+     * Enable or disable the library controls
+     * @param {boolean} enabled - Whether controls are enabled
+     */
+    setEnabled(enabled) {
+        this.elements.nameInput.disabled = !enabled;
+        this.elements.saveBtn.disabled = !enabled;
+    }
+
+    /**
+     * Read all saved regions from storage
+     * @returns {Object} Regions keyed by track
+     */
+    readStorage() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Could not read saved loops:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Write the current track's regions to storage
+     */
+    persist() {
+        if (!this.trackKey) return;
+
+        const data = this.readStorage();
+        if (this.regions.length > 0) {
+            data[this.trackKey] = this.regions;
+        } else {
+            delete data[this.trackKey];
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        } catch (error) {
+            console.warn('Could not save loops:', error);
+            showToast('Could not save loops', 'error', 2000);
+        }
+    }
+}
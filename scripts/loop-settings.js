@@ -0,0 +1,209 @@
+// Loop settings - Options applied to every A-B loop iteration
+
+class LoopSettings {
+    constructor(player) {
+        this.player = player;
+        this.storageKey = 'abplayer:loopSettings';
+
+        // Get DOM elements
+        this.elements = {
+            fadeMode: document.getElementById('loopFadeMode'),
+            fadeLength: document.getElementById('loopFadeLength'),
+            fadeLengthValue: document.getElementById('loopFadeLengthValue'),
+            leadInMode: document.getElementById('loopLeadInMode'),
+            preroll: document.getElementById('loopPreroll'),
+            countInClicks: document.getElementById('loopCountInClicks'),
+            countInBpm: document.getElementById('loopCountInBpm'),
+            repeatCount: document.getElementById('loopRepeatCount'),
+            gap: document.getElementById('loopGap'),
+            endAction: document.getElementById('loopEndAction'),
+            snapToggle: document.getElementById('loopSnapToggle'),
+            snapTarget: document.getElementById('loopSnapTarget'),
+            snapWindow: document.getElementById('loopSnapWindow')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.restore();
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.fadeMode.addEventListener('change', () => this.applyFade());
+
+        this.elements.fadeLength.addEventListener('input', () => {
+            this.updateFadeLengthLabel();
+        });
+
+        this.elements.fadeLength.addEventListener('change', () => this.applyFade());
+
+        ['leadInMode', 'preroll', 'countInClicks', 'countInBpm'].forEach(name => {
+            this.elements[name].addEventListener('change', () => this.applyLeadIn());
+        });
+
+        ['repeatCount', 'gap', 'endAction'].forEach(name => {
+            this.elements[name].addEventListener('change', () => this.applyPolicy());
+        });
+
+        ['snapToggle', 'snapTarget', 'snapWindow'].forEach(name => {
+            this.elements[name].addEventListener('change', () => this.applySnap());
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        // Lead-in can also be changed from the keyboard
+        this.player.on('leadinchange', (leadIn) => this.updateLeadInControls(leadIn));
+
+        // Snapping can also be toggled from the keyboard
+        this.player.on('loopsnapchange', (snap) => this.updateSnapControls(snap));
+    }
+
+    /**
+     * Send the fade settings to the player
+     */
+    applyFade() {
+        const mode = this.elements.fadeMode.value;
+        const duration = parseInt(this.elements.fadeLength.value, 10) / 1000;
+
+        this.player.setLoopFade(mode, duration);
+        this.elements.fadeLength.disabled = mode === 'off';
+        this.updateFadeLengthLabel();
+        this.save();
+    }
+
+    /**
+     * Send the lead-in settings to the player
+     */
+    applyLeadIn() {
+        this.player.setLoopLeadIn({
+            mode: this.elements.leadInMode.value,
+            preroll: parseFloat(this.elements.preroll.value) || 0,
+            clicks: parseInt(this.elements.countInClicks.value, 10) || 1,
+            bpm: parseFloat(this.elements.countInBpm.value) || 120
+        });
+    }
+
+    /**
+     * Send the iteration policy to the player
+     */
+    applyPolicy() {
+        this.player.setLoopPolicy({
+            repeatCount: parseInt(this.elements.repeatCount.value, 10) || 0,
+            gap: parseFloat(this.elements.gap.value) || 0,
+            endAction: this.elements.endAction.value
+        });
+
+        const { repeatCount, gap } = this.player.loopPolicy;
+        this.elements.repeatCount.value = repeatCount;
+        this.elements.gap.value = gap;
+        this.elements.endAction.disabled = repeatCount === 0;
+        this.save();
+    }
+
+    /**
+     * Send the snap settings to the player
+     */
+    applySnap() {
+        this.player.setLoopSnap({
+            enabled: this.elements.snapToggle.checked,
+            window: (parseInt(this.elements.snapWindow.value, 10) || 150) / 1000,
+            target: this.elements.snapTarget.value
+        });
+    }
+
+    /**
+     * Reflect the player's lead-in settings in the form
+     * @param {Object} leadIn - Lead-in settings
+     */
+    updateLeadInControls(leadIn) {
+        this.elements.leadInMode.value = leadIn.mode;
+        this.elements.preroll.value = leadIn.preroll;
+        this.elements.countInClicks.value = leadIn.clicks;
+        this.elements.countInBpm.value = leadIn.bpm;
+
+        this.elements.preroll.disabled = leadIn.mode !== 'preroll';
+        this.elements.countInClicks.disabled = leadIn.mode !== 'countin';
+        this.elements.countInBpm.disabled = leadIn.mode !== 'countin';
+        this.save();
+    }
+
+    /**
+     * Reflect the player's snap settings in the form
+     * @param {Object} snap - Snap settings
+     */
+    updateSnapControls(snap) {
+        this.elements.snapToggle.checked = snap.enabled;
+        this.elements.snapTarget.value = snap.target;
+        this.elements.snapWindow.value = Math.round(snap.window * 1000);
+        this.elements.snapTarget.disabled = !snap.enabled;
+        this.elements.snapWindow.disabled = !snap.enabled || snap.target !== 'onsets';
+        this.save();
+    }
+
+    /**
+     * Update the fade length readout
+     */
+    updateFadeLengthLabel() {
+        this.elements.fadeLengthValue.textContent = `${this.elements.fadeLength.value} ms`;
+    }
+
+    /**
+     * Restore saved settings
+     */
+    restore() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+
+            if (settings.fadeMode) {
+                this.elements.fadeMode.value = settings.fadeMode;
+            }
+            if (settings.fadeLength) {
+                this.elements.fadeLength.value = settings.fadeLength;
+            }
+            if (settings.leadIn) {
+                this.updateLeadInControls({ ...this.player.loopLeadIn, ...settings.leadIn });
+            }
+            if (settings.policy) {
+                this.elements.repeatCount.value = settings.policy.repeatCount;
+                this.elements.gap.value = settings.policy.gap;
+                this.elements.endAction.value = settings.policy.endAction;
+            }
+            if (settings.snap) {
+                this.elements.snapToggle.checked = settings.snap.enabled;
+                this.elements.snapTarget.value = settings.snap.target || 'onsets';
+                this.elements.snapWindow.value = Math.round(settings.snap.window * 1000);
+            }
+        } catch (error) {
+            console.warn('Could not read loop settings:', error);
+        }
+
+        this.applyFade();
+        this.applyLeadIn();
+        this.applyPolicy();
+        this.applySnap();
+    }
+
+    /**
+     * Save settings
+     */
+    save() {
+        const settings = {
+            fadeMode: this.elements.fadeMode.value,
+            fadeLength: parseInt(this.elements.fadeLength.value, 10),
+            leadIn: this.player.loopLeadIn,
+            policy: this.player.loopPolicy,
+            snap: this.player.loopSnap
+        };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('Could not save loop settings:', error);
+        }
+    }
+}
@@ -0,0 +1,362 @@
+// MarkerFormats - Reads and writes loop markers as JSON, Audacity labels, CUE sheets and plain lists
+
+class MarkerFormats {
+    constructor() {
+        this.cueFramesPerSecond = 75;
+
+        // Export formats with their file suffixes
+        this.formats = {
+            json: { label: 'JSON', suffix: '.markers.json', type: 'application/json' },
+            audacity: { label: 'Audacity labels', suffix: '.labels.txt', type: 'text/plain' },
+            cue: { label: 'CUE sheet', suffix: '.cue', type: 'application/x-cue' },
+            text: { label: 'Timestamp list', suffix: '.markers.txt', type: 'text/plain' }
+        };
+    }
+
+    /**
+     * Read markers from a file or pasted text
+     * @param {string} text - File contents or pasted text
+     * @param {string} fileName - File name, used to pick the format ('' for pasted text)
+     * @returns {Object} Regions sorted by start, the A-B loop if the file has one,
+     *                   and the number of lines that could not be read
+     */
+    parse(text, fileName = '') {
+        const content = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+        const extension = fileName ? getFileExtension(fileName) : '';
+
+        // Lists may also start with a bracket, e.g. "[0:00] Intro"
+        let data = null;
+        if (extension === 'json' || /^[[{]/.test(content)) {
+            try {
+                data = JSON.parse(content);
+            } catch (error) {
+                if (extension === 'json') throw error;
+            }
+        }
+
+        let result;
+        if (data !== null) {
+            result = this.parseJson(data);
+        } else if (extension === 'cue' || /^\s*TRACK\s+\d+/im.test(content)) {
+            result = this.parseCue(content);
+        } else if (/^\d+(?:\.\d+)?\t\d+(?:\.\d+)?(?:\t|$)/m.test(content)) {
+            result = this.parseAudacity(content);
+        } else {
+            result = this.parseList(content);
+        }
+
+        result.regions = this.resolveEnds(result.regions);
+        return result;
+    }
+
+    /**
+     * Give markers without an end the start of the next one
+     * @param {Object[]} regions - Regions, some with a null end
+     * @returns {Object[]} Sorted regions; the last open one ends at Infinity
+     */
+    resolveEnds(regions) {
+        const sorted = regions.slice().sort((a, b) => a.start - b.start);
+
+        return sorted.map((region, index) => {
+            if (region.end !== null) return region;
+
+            const next = sorted.slice(index + 1).find(item => item.start > region.start);
+            return { ...region, end: next ? next.start : Infinity };
+        });
+    }
+
+    /**
+     * Parse our own JSON export, or a bare array of regions
+     * @param {Object|Array} data - Parsed file contents
+     * @returns {Object} Parse result
+     */
+    parseJson(data) {
+        const items = Array.isArray(data) ? data : data.regions || [];
+        const regions = [];
+        let skipped = 0;
+
+        items.forEach(item => {
+            const start = this.readTime(item && item.start);
+            const end = this.readTime(item && item.end);
+            if (start === null) {
+                skipped++;
+                return;
+            }
+
+            const region = { name: typeof item.name === 'string' ? item.name.trim() : '', start, end };
+            if (typeof item.speed === 'number' && item.speed > 0) {
+                region.speed = item.speed;
+            }
+            if (/^#[0-9a-f]{6}$/i.test(item.color)) {
+                region.color = item.color;
+            }
+            regions.push(region);
+        });
+
+        let loop = null;
+        if (data.loop) {
+            const a = this.readTime(data.loop.a);
+            const b = this.readTime(data.loop.b);
+            if (a !== null && b !== null && a !== b) {
+                loop = { a: Math.min(a, b), b: Math.max(a, b) };
+            }
+        }
+
+        return { regions, loop, skipped };
+    }
+
+    /**
+     * Parse an Audacity label track export (start, end and label separated by tabs)
+     * @param {string} content - File contents
+     * @returns {Object} Parse result
+     */
+    parseAudacity(content) {
+        const regions = [];
+        let skipped = 0;
+
+        content.split('\n').forEach(row => {
+            // Spectral selections add a "\" line with the frequency range
+            if (!row.trim() || row.startsWith('\\')) return;
+
+            const [startText, endText, ...label] = row.split('\t');
+            const start = parseFloat(startText);
+            const end = parseFloat(endText);
+            if (isNaN(start) || isNaN(end)) {
+                skipped++;
+                return;
+            }
+
+            // Point labels have no length and run until the next label
+            regions.push({ name: label.join('\t').trim(), start, end: end > start ? end : null });
+        });
+
+        return { regions, loop: null, skipped };
+    }
+
+    /**
+     * Parse a CUE sheet; each track runs until the next one starts
+     * @param {string} content - File contents
+     * @returns {Object} Parse result
+     */
+    parseCue(content) {
+        const regions = [];
+        let track = null;
+        let skipped = 0;
+
+        const finish = () => {
+            if (!track) return;
+            if (track.start === null) {
+                skipped++;
+            } else {
+                regions.push(track);
+            }
+            track = null;
+        };
+
+        content.split('\n').forEach(row => {
+            const line = row.trim();
+            const command = line.split(/\s+/)[0].toUpperCase();
+
+            if (command === 'TRACK') {
+                finish();
+                track = { name: '', start: null, end: null };
+            } else if (track && command === 'TITLE') {
+                track.name = this.readCueString(line.slice(5));
+            } else if (track && command === 'INDEX') {
+                // INDEX 00 is the pregap; the track itself starts at INDEX 01
+                const match = line.match(/^INDEX\s+(\d+)\s+(\S+)$/i);
+                if (match && parseInt(match[1], 10) === 1) {
+                    track.start = this.readCueTime(match[2]);
+                }
+            } else if (track && command === 'REM') {
+                // Written by our export so loops with gaps survive a round trip
+                const match = line.match(/^REM\s+END\s+(\S+)$/i);
+                if (match) {
+                    track.end = this.readCueTime(match[1]);
+                }
+            }
+        });
+        finish();
+
+        return { regions, loop: null, skipped };
+    }
+
+    /**
+     * Parse a list of timestamps, one marker per line, such as
+     * "1:23-1:45 Chorus", "01:02:03.5 – 01:02:10 Solo" or "2:10 Bridge"
+     * @param {string} content - Pasted text
+     * @returns {Object} Parse result
+     */
+    parseList(content) {
+        const time = '\\d+(?::\\d{1,2}){1,2}(?:[.,]\\d+)?';
+        const pattern = new RegExp(
+            `^(?:[-*•]\\s*)?[[(]?(${time})(?:\\s*(?:-|–|—|to)\\s*(${time}))?[\\])]?\\s*[-–—:|.)]?\\s*(.*)$`,
+            'i'
+        );
+        const regions = [];
+        let skipped = 0;
+
+        content.split('\n').forEach(row => {
+            const line = row.trim();
+            if (!line) return;
+
+            const match = line.match(pattern);
+            const start = match ? parseTime(match[1]) : null;
+            if (start === null) {
+                skipped++;
+                return;
+            }
+
+            const end = match[2] ? parseTime(match[2]) : null;
+            regions.push({
+                name: match[3].trim(),
+                start: end !== null ? Math.min(start, end) : start,
+                end: end !== null && end !== start ? Math.max(start, end) : null
+            });
+        });
+
+        return { regions, loop: null, skipped };
+    }
+
+    /**
+     * Write markers in one of the export formats
+     * @param {string} format - 'json', 'audacity', 'cue' or 'text'
+     * @param {Object} data - Track file name, regions and the A-B loop
+     * @returns {string} File contents
+     */
+    serialize(format, data) {
+        switch (format) {
+            case 'json':
+                return this.serializeJson(data);
+            case 'audacity':
+                return this.serializeAudacity(data);
+            case 'cue':
+                return this.serializeCue(data);
+            default:
+                return this.serializeList(data);
+        }
+    }
+
+    /**
+     * @param {Object} data - Export data
+     * @returns {string} JSON with every region property and the A-B loop
+     */
+    serializeJson({ fileName, regions, loop }) {
+        return JSON.stringify({
+            format: 'ab-player-markers',
+            version: 1,
+            track: fileName,
+            loop,
+            regions: regions.map(({ name, start, end, speed, color }) => ({ name, start, end, speed, color }))
+        }, null, 2) + '\n';
+    }
+
+    /**
+     * @param {Object} data - Export data
+     * @returns {string} Audacity label track text
+     */
+    serializeAudacity({ regions }) {
+        return regions
+            .map(region => `${region.start.toFixed(6)}\t${region.end.toFixed(6)}\t${region.name}\n`)
+            .join('');
+    }
+
+    /**
+     * @param {Object} data - Export data
+     * @returns {string} CUE sheet with a track per region
+     */
+    serializeCue({ fileName, regions }) {
+        const extension = getFileExtension(fileName);
+        const type = extension === 'mp3' ? 'MP3' : (extension === 'aif' || extension === 'aiff' ? 'AIFF' : 'WAVE');
+        const rows = [`FILE "${fileName.replace(/"/g, "'")}" ${type}`];
+
+        regions.forEach((region, index) => {
+            rows.push(
+                `  TRACK ${String(index + 1).padStart(2, '0')} AUDIO`,
+                `    TITLE "${region.name.replace(/"/g, "'")}"`,
+                `    REM END ${this.formatCueTime(region.end)}`,
+                `    INDEX 01 ${this.formatCueTime(region.start)}`
+            );
+        });
+
+        return rows.join('\n') + '\n';
+    }
+
+    /**
+     * @param {Object} data - Export data
+     * @returns {string} One "start-end name" line per region
+     */
+    serializeList({ regions }) {
+        return regions
+            .map(region => `${this.formatTimestamp(region.start)}-${this.formatTimestamp(region.end)} ${region.name}\n`)
+            .join('');
+    }
+
+    /**
+     * Format seconds as M:SS or H:MM:SS, with milliseconds only when needed
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Timestamp
+     */
+    formatTimestamp(seconds) {
+        const totalMs = Math.round(seconds * 1000);
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor(totalMs / 60000) % 60;
+        const secs = Math.floor(totalMs / 1000) % 60;
+        const ms = totalMs % 1000;
+
+        const clock = hours > 0
+            ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`
+            : `${minutes}:${secs.toString().padStart(2, '0')}`;
+        return ms ? `${clock}.${ms.toString().padStart(3, '0')}` : clock;
+    }
+
+    /**
+     * Format seconds as a CUE MM:SS:FF time (75 frames per second)
+     * @param {number} seconds - Time in seconds
+     * @returns {string} CUE time
+     */
+    formatCueTime(seconds) {
+        const frames = Math.round(seconds * this.cueFramesPerSecond);
+        const minutes = Math.floor(frames / (60 * this.cueFramesPerSecond));
+        const secs = Math.floor(frames / this.cueFramesPerSecond) % 60;
+        const rest = frames % this.cueFramesPerSecond;
+        return [minutes, secs, rest].map(part => part.toString().padStart(2, '0')).join(':');
+    }
+
+    /**
+     * Read a CUE MM:SS:FF time
+     * @param {string} text - CUE time
+     * @returns {number|null} Seconds, null if it is not a CUE time
+     */
+    readCueTime(text) {
+        const match = text.match(/^(\d+):(\d{1,2}):(\d{1,2})$/);
+        if (!match) return null;
+
+        return parseInt(match[1], 10) * 60 +
+               parseInt(match[2], 10) +
+               parseInt(match[3], 10) / this.cueFramesPerSecond;
+    }
+
+    /**
+     * Read a CUE string argument, quoted or not
+     * @param {string} text - Text after the command
+     * @returns {string} Value
+     */
+    readCueString(text) {
+        const value = text.trim();
+        const quoted = value.match(/^"(.*)"$/);
+        return quoted ? quoted[1] : value;
+    }
+
+    /**
+     * Read a time given in seconds or as a time string
+     * @param {number|string} value - Time value
+     * @returns {number|null} Seconds, null if missing or invalid
+     */
+    readTime(value) {
+        if (typeof value === 'number') {
+            return isFinite(value) && value >= 0 ? value : null;
+        }
+        return typeof value === 'string' ? parseTime(value) : null;
+    }
+}
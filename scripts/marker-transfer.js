@@ -0,0 +1,189 @@
+// MarkerTransfer - Import and export of the loop and saved regions
+
+class MarkerTransfer {
+    constructor(player, loopLibrary) {
+        this.player = player;
+        this.loopLibrary = loopLibrary;
+        this.formats = new MarkerFormats();
+
+        // Get DOM elements
+        this.elements = {
+            fileInput: document.getElementById('markerFile'),
+            openBtn: document.getElementById('importMarkerFileBtn'),
+            text: document.getElementById('markerText'),
+            importTextBtn: document.getElementById('importMarkerTextBtn'),
+            format: document.getElementById('markerFormat'),
+            downloadBtn: document.getElementById('downloadMarkersBtn'),
+            copyBtn: document.getElementById('copyMarkersBtn')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.setEnabled(false);
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.openBtn.addEventListener('click', () => this.elements.fileInput.click());
+
+        this.elements.fileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.importText(await file.text(), file.name);
+            }
+        });
+
+        this.elements.importTextBtn.addEventListener('click', () => {
+            if (this.importText(this.elements.text.value)) {
+                this.elements.text.value = '';
+            }
+        });
+
+        this.elements.downloadBtn.addEventListener('click', () => this.download(this.elements.format.value));
+        this.elements.copyBtn.addEventListener('click', () => this.copy(this.elements.format.value));
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => this.setEnabled(false));
+        this.player.on('loaded', () => this.setEnabled(true));
+    }
+
+    /**
+     * Import markers into the current track's saved regions
+     * @param {string} text - File contents or pasted text
+     * @param {string} fileName - File name, '' for pasted text
+     * @returns {boolean} Whether anything was imported
+     */
+    importText(text, fileName = '') {
+        const source = fileName || 'the pasted text';
+
+        if (!this.loopLibrary.trackKey) {
+            showToast('Load an audio file first', 'error', 2000);
+            return false;
+        }
+
+        let result;
+        try {
+            result = this.formats.parse(text, fileName);
+        } catch (error) {
+            console.warn('Could not read markers:', error);
+            showToast(`Could not read markers from ${source}`, 'error', 3000);
+            return false;
+        }
+
+        const added = this.loopLibrary.importRegions(result.regions);
+        const loop = this.applyLoop(result.loop);
+
+        if (added === 0 && !loop) {
+            const reason = result.regions.length > 0 ? 'all already saved or past the end' : 'no timestamps found';
+            showToast(`Nothing imported from ${source} (${reason})`, 'error', 3000);
+            return false;
+        }
+
+        const parts = [`Imported ${added} marker${added === 1 ? '' : 's'}`];
+        if (loop) {
+            parts.push('and the A-B loop');
+        }
+        if (result.skipped > 0) {
+            parts.push(`(skipped ${result.skipped} unreadable line${result.skipped === 1 ? '' : 's'})`);
+        }
+        showToast(parts.join(' '), 'success', 2500);
+        return true;
+    }
+
+    /**
+     * Restore an imported A-B loop
+     * @param {Object|null} loop - Loop points
+     * @returns {boolean} Whether the loop was set
+     */
+    applyLoop(loop) {
+        if (!loop) return false;
+
+        const duration = this.player.duration || Infinity;
+        const a = clamp(loop.a, 0, duration);
+        const b = clamp(loop.b, 0, duration);
+        if (b <= a) return false;
+
+        this.player.setLoopPoints(a, b);
+        return true;
+    }
+
+    /**
+     * Collect what to export: the saved regions, or the A-B loop if none are saved
+     * @returns {Object|null} Export data, null if there is nothing to export
+     */
+    getExportData() {
+        const { loopA, loopB, playbackRate } = this.player.getState();
+        const loop = loopA !== null && loopB !== null ? { a: loopA, b: loopB } : null;
+        let regions = this.loopLibrary.regions;
+
+        if (regions.length === 0 && loop) {
+            regions = [{ name: 'A-B loop', start: loopA, end: loopB, speed: playbackRate, color: this.loopLibrary.colors[0] }];
+        }
+        if (regions.length === 0) return null;
+
+        return { fileName: this.getFileName(), regions, loop };
+    }
+
+    /**
+     * Name of the loaded track's file
+     * @returns {string} File name
+     */
+    getFileName() {
+        const file = this.player.currentFile;
+        return file ? file.name : getUrlFileName(this.player.currentUrl);
+    }
+
+    /**
+     * Download the markers in a format
+     * @param {string} format - Export format
+     */
+    download(format) {
+        const data = this.getExportData();
+        if (!data) {
+            showToast('Save a loop or set A and B first', 'error', 2000);
+            return;
+        }
+
+        const { suffix, type } = this.formats.formats[format];
+        const base = data.fileName.replace(/\.[^.]+$/, '').replace(/[\\/:*?"<>|]+/g, '_');
+        const blob = new Blob([this.formats.serialize(format, data)], { type });
+        downloadBlob(blob, `${base}${suffix}`);
+    }
+
+    /**
+     * Copy the markers in a format, e.g. to paste into a chat
+     * @param {string} format - Export format
+     */
+    async copy(format) {
+        const data = this.getExportData();
+        if (!data) {
+            showToast('Save a loop or set A and B first', 'error', 2000);
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(this.formats.serialize(format, data));
+            showToast(`Copied ${data.regions.length} marker${data.regions.length === 1 ? '' : 's'} as ${this.formats.formats[format].label}`, 'success', 1500);
+        } catch (error) {
+            console.warn('Could not copy markers:', error);
+            showToast('Could not copy to the clipboard', 'error', 2000);
+        }
+    }
+
+    /**
+     * Enable or disable the import and export controls
+     * @param {boolean} enabled - Whether controls are enabled
+     */
+    setEnabled(enabled) {
+        ['openBtn', 'importTextBtn', 'downloadBtn', 'copyBtn'].forEach(key => {
+            this.elements[key].disabled = !enabled;
+        });
+    }
+}
@@ -0,0 +1,297 @@
+// MediaSessionControls - Lock screen, media overlay and hardware media key integration
+
+/**
+ * Publishes the track title, cover art and position to the Media Session API
+ * and answers its actions. While an A-B loop is active, previous and next
+ * track jump to A and to the next saved region instead of changing tracks.
+ */
+class MediaSessionControls {
+    constructor(player, playlist, loopLibrary) {
+        this.player = player;
+        this.playlist = playlist;
+        this.loopLibrary = loopLibrary;
+        this.session = 'mediaSession' in navigator ? navigator.mediaSession : null;
+        this.artworkUrl = null;
+        this.maxTagSize = 16 * 1024 * 1024; // Larger ID3 tags are not read for cover art
+
+        if (!this.session) return;
+
+        this.setupActionHandlers();
+        this.setupPlayerEventListeners();
+    }
+
+    /**
+     * Answer media keys, headset buttons and the OS media overlay
+     */
+    setupActionHandlers() {
+        const handlers = {
+            play: () => this.player.play(),
+            pause: () => this.player.pause(),
+            seekbackward: (details) => this.player.seekBy(-(details.seekOffset || this.player.seekStep)),
+            seekforward: (details) => this.player.seekBy(details.seekOffset || this.player.seekStep),
+            seekto: (details) => this.player.seek(details.seekTime),
+            previoustrack: () => this.previous(),
+            nexttrack: () => this.next()
+        };
+
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                this.session.setActionHandler(action, (details) => {
+                    if (this.player.getState().hasFile) {
+                        handler(details);
+                    }
+                });
+            } catch (error) {
+                // Browsers throw for actions they do not support
+                console.warn(`Media Session action "${action}" is not supported`);
+            }
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => {
+            this.session.metadata = null;
+            this.session.playbackState = 'none';
+            this.releaseArtwork();
+        });
+
+        this.player.on('loaded', (data) => {
+            this.updateMetadata(data.file);
+            this.updatePositionState();
+        });
+
+        this.player.on('play', () => {
+            this.session.playbackState = 'playing';
+            this.updatePositionState();
+        });
+
+        this.player.on('pause', () => {
+            this.session.playbackState = 'paused';
+            this.updatePositionState();
+        });
+
+        ['seeked', 'looped', 'ratechange', 'durationchange', 'ended'].forEach(event => {
+            this.player.on(event, () => this.updatePositionState());
+        });
+    }
+
+    /**
+     * Go back: to A while looping, otherwise to the previous track
+     */
+    previous() {
+        if (this.isLoopActive()) {
+            this.player.seek(this.player.loopA);
+        } else {
+            this.playlist.previous();
+        }
+    }
+
+    /**
+     * Go forward: to the next saved region while looping, otherwise to the next track
+     */
+    next() {
+        if (!this.isLoopActive()) {
+            this.playlist.next();
+            return;
+        }
+
+        const regions = this.loopLibrary.regions.slice().sort((a, b) => a.start - b.start);
+        const region = regions.find(item => item.start > this.player.loopA);
+        if (region) {
+            this.loopLibrary.activateRegion(region.id);
+        } else {
+            showToast('No saved region after this loop', 'info', 1500);
+        }
+    }
+
+    /**
+     * Whether an A-B loop is switched on
+     * @returns {boolean} True while looping
+     */
+    isLoopActive() {
+        return this.player.isLooping && this.player.loopA !== null && this.player.loopB !== null;
+    }
+
+    /**
+     * Publish the title and, for files with embedded cover art, the artwork
+     * @param {File|null} file - Loaded file, null for URL sources
+     */
+    async updateMetadata(file) {
+        const fileName = file ? file.name : getUrlFileName(this.player.currentUrl);
+        const metadata = { title: fileName.replace(/\.[^/.]+$/, '') };
+
+        this.session.metadata = new MediaMetadata(metadata);
+
+        const cover = file ? await this.readCoverArt(file) : null;
+        if (!cover || file !== this.player.currentFile) return;
+
+        this.artworkUrl = URL.createObjectURL(cover);
+        this.session.metadata = new MediaMetadata({
+            ...metadata,
+            artwork: [{ src: this.artworkUrl, type: cover.type }]
+        });
+    }
+
+    /**
+     * Keep the OS position and scrubber in step with the player
+     */
+    updatePositionState() {
+        if (!this.session.setPositionState) return;
+
+        const duration = this.player.duration;
+        try {
+            // Streams without a known length have no position to show
+            if (!duration || !isFinite(duration)) {
+                this.session.setPositionState();
+                return;
+            }
+
+            this.session.setPositionState({
+                duration,
+                playbackRate: this.player.playbackRate,
+                position: clamp(this.player.engine.currentTime, 0, duration)
+            });
+        } catch (error) {
+            console.warn('Could not update the media position:', error);
+        }
+    }
+
+    /**
+     * Read the cover picture from a file's ID3v2 tag
+     * @param {File} file - Audio file
+     * @returns {Promise<Blob|null>} Picture, null if the file has none
+     */
+    async readCoverArt(file) {
+        try {
+            const header = new Uint8Array(await file.slice(0, 10).arrayBuffer());
+            if (header.length < 10 || String.fromCharCode(header[0], header[1], header[2]) !== 'ID3') {
+                return null;
+            }
+
+            const size = this.readSynchsafe(header, 6);
+            if (size > this.maxTagSize) return null;
+
+            const tag = new Uint8Array(await file.slice(10, 10 + size).arrayBuffer());
+            return this.findPicture(tag, header[3], header[5]);
+        } catch (error) {
+            console.warn('Could not read cover art:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Find the front cover, or else the first picture, among the tag's frames
+     * @param {Uint8Array} tag - Tag data after the header
+     * @param {number} version - ID3v2 major version (2, 3 or 4)
+     * @param {number} flags - Tag header flags
+     * @returns {Blob|null} Picture
+     */
+    findPicture(tag, version, flags) {
+        const idLength = version === 2 ? 3 : 4;
+        const headerLength = version === 2 ? 6 : 10;
+        let offset = 0;
+        let picture = null;
+
+        // Skip the extended header
+        if ((flags & 0x40) && version > 2) {
+            offset = version === 4 ? this.readSynchsafe(tag, 0) : this.readUint32(tag, 0) + 4;
+        }
+
+        while (offset + headerLength <= tag.length && tag[offset] !== 0) {
+            const id = String.fromCharCode(...tag.subarray(offset, offset + idLength));
+            const size = version === 2 ? (tag[offset + 3] << 16) | (tag[offset + 4] << 8) | tag[offset + 5] :
+                version === 4 ? this.readSynchsafe(tag, offset + 4) : this.readUint32(tag, offset + 4);
+            const body = tag.subarray(offset + headerLength, offset + headerLength + size);
+
+            if (id === 'APIC' || id === 'PIC') {
+                const found = this.readPictureFrame(body, id === 'PIC');
+                if (found && (!picture || found.isFrontCover)) {
+                    picture = found;
+                }
+                if (picture && picture.isFrontCover) break;
+            }
+
+            offset += headerLength + size;
+        }
+
+        return picture ? new Blob([picture.data], { type: picture.type }) : null;
+    }
+
+    /**
+     * Read an APIC (or ID3v2.2 PIC) frame
+     * @param {Uint8Array} body - Frame body
+     * @param {boolean} isLegacy - Whether it is a v2.2 PIC frame
+     * @returns {Object|null} Image data, MIME type and whether it is the front cover
+     */
+    readPictureFrame(body, isLegacy) {
+        const encoding = body[0];
+        let offset = 1;
+        let type;
+
+        if (isLegacy) {
+            const format = String.fromCharCode(...body.subarray(1, 4)).toLowerCase();
+            type = format === 'png' ? 'image/png' : 'image/jpeg';
+            offset = 4;
+        } else {
+            const end = body.indexOf(0, offset);
+            if (end === -1) return null;
+            type = String.fromCharCode(...body.subarray(offset, end)).toLowerCase() || 'image/jpeg';
+            offset = end + 1;
+        }
+
+        const pictureType = body[offset];
+        offset++;
+
+        // The description ends with one null byte, or two in UTF-16
+        if (encoding === 1 || encoding === 2) {
+            while (offset + 1 < body.length && (body[offset] !== 0 || body[offset + 1] !== 0)) {
+                offset += 2;
+            }
+            offset += 2;
+        } else {
+            const end = body.indexOf(0, offset);
+            offset = end === -1 ? body.length : end + 1;
+        }
+
+        const data = body.subarray(offset);
+        if (data.length === 0) return null;
+
+        // Some taggers write "jpg", or leave out the image/ prefix
+        const format = type.replace(/^image\//, '');
+        return { data, type: `image/${format === 'jpg' ? 'jpeg' : format}`, isFrontCover: pictureType === 3 };
+    }
+
+    /**
+     * Read a synchsafe integer (7 bits per byte)
+     * @param {Uint8Array} bytes - Data
+     * @param {number} offset - Position of the four bytes
+     * @returns {number} Value
+     */
+    readSynchsafe(bytes, offset) {
+        return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) |
+               ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+    }
+
+    /**
+     * Read a big-endian 32-bit integer
+     * @param {Uint8Array} bytes - Data
+     * @param {number} offset - Position of the four bytes
+     * @returns {number} Value
+     */
+    readUint32(bytes, offset) {
+        return ((bytes[offset] << 24) >>> 0) + ((bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]);
+    }
+
+    /**
+     * Revoke the previous track's artwork URL
+     */
+    releaseArtwork() {
+        if (this.artworkUrl) {
+            URL.revokeObjectURL(this.artworkUrl);
+            this.artworkUrl = null;
+        }
+    }
+}
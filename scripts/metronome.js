@@ -0,0 +1,85 @@
+// Metronome - Synthesized clicks scheduled on an AudioContext
+
+class Metronome {
+    constructor(context, destination) {
+        this.context = context;
+        this.destination = destination;
+        this.sources = [];
+        this.clickBuffers = {};
+    }
+
+    /**
+     * Schedule a count-in
+     * @param {number} when - Context time of the first click
+     * @param {number} count - Number of clicks
+     * @param {number} bpm - Tempo in beats per minute
+     * @returns {number} Context time of the beat after the last click
+     */
+    scheduleCountIn(when, count, bpm) {
+        const interval = 60 / bpm;
+
+        for (let i = 0; i < count; i++) {
+            this.scheduleClick(when + i * interval, i === 0);
+        }
+
+        return when + count * interval;
+    }
+
+    /**
+     * Schedule a single click
+     * @param {number} when - Context time
+     * @param {boolean} accent - Whether to play the accented click
+     */
+    scheduleClick(when, accent = false) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.getClickBuffer(accent);
+        source.connect(this.destination);
+        source.onended = () => {
+            source.disconnect();
+            this.sources = this.sources.filter(item => item !== source);
+        };
+        source.start(when);
+        this.sources.push(source);
+    }
+
+    /**
+     * Cancel all scheduled clicks
+     */
+    stop() {
+        this.sources.forEach(source => {
+            try {
+                source.stop();
+            } catch (error) {
+                // Already stopped
+            }
+            source.disconnect();
+        });
+        this.sources = [];
+    }
+
+    /**
+     * Get (and cache) a short decaying sine click
+     * @param {boolean} accent - Higher pitched click for the first beat
+     * @returns {AudioBuffer} Click buffer
+     */
+    getClickBuffer(accent) {
+        const key = accent ? 'accent' : 'normal';
+
+        if (!this.clickBuffers[key]) {
+            const sampleRate = this.context.sampleRate;
+            const length = Math.floor(sampleRate * 0.04);
+            const buffer = this.context.createBuffer(1, length, sampleRate);
+            const data = buffer.getChannelData(0);
+            const frequency = accent ? 1500 : 1000;
+
+            for (let i = 0; i < length; i++) {
+                const t = i / sampleRate;
+                data[i] = Math.sin(2 * Math.PI * frequency * t) * Math.exp(-t * 120) * 0.8;
+            }
+
+            this.clickBuffers[key] = buffer;
+        }
+
+        return this.clickBuffers[key];
+    }
+}
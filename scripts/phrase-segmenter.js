@@ -0,0 +1,358 @@
+// Phrase segmenter - Splits the loaded file into phrases at pauses
+
+class PhraseSegmenter {
+    constructor(player) {
+        this.player = player;
+        this.storageKey = 'abplayer:phrases';
+        this.settings = { enabled: true, threshold: -35, minGap: 0.3 };
+        this.minPhrase = 0.15; // Shorter bursts (clicks, breaths) are dropped
+        this.padding = 0.08; // Seconds kept either side of each phrase
+        this.peaks = null;
+        this.segments = [];
+        this.view = null;
+
+        // Get DOM elements
+        this.elements = {
+            enabled: document.getElementById('phraseEnabled'),
+            threshold: document.getElementById('phraseThreshold'),
+            minGap: document.getElementById('phraseMinGap'),
+            status: document.getElementById('phraseStatus'),
+            prevBtn: document.getElementById('prevPhraseBtn'),
+            loopBtn: document.getElementById('loopPhraseBtn'),
+            nextBtn: document.getElementById('nextPhraseBtn'),
+            marks: document.getElementById('phraseMarks')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.restore();
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        ['enabled', 'threshold', 'minGap'].forEach(name => {
+            this.elements[name].addEventListener('change', () => this.applySettings());
+        });
+
+        this.elements.prevBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.prevBtn);
+            this.step(-1);
+        });
+
+        this.elements.loopBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.loopBtn);
+            this.loopCurrent();
+        });
+
+        this.elements.nextBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.nextBtn);
+            this.step(1);
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => {
+            this.peaks = null;
+            this.setSegments([]);
+            if (this.settings.enabled) {
+                this.updateStatus('Finding pauses...');
+            }
+        });
+
+        // Pauses are found in the waveform peaks, so cached files are instant
+        this.player.on('peaksready', (peaks) => {
+            this.peaks = peaks;
+            this.analyze();
+        });
+
+        this.player.on('durationchange', () => this.renderMarks());
+        this.player.on('viewchange', (view) => {
+            this.view = view;
+            this.renderMarks();
+        });
+    }
+
+    /**
+     * Read the form and split the file again
+     */
+    applySettings() {
+        this.settings = {
+            enabled: this.elements.enabled.checked,
+            threshold: clamp(parseFloat(this.elements.threshold.value) || -35, -80, -10),
+            minGap: clamp((parseInt(this.elements.minGap.value, 10) || 300) / 1000, 0.05, 3)
+        };
+
+        this.elements.threshold.value = this.settings.threshold;
+        this.elements.minGap.value = Math.round(this.settings.minGap * 1000);
+        this.elements.threshold.disabled = !this.settings.enabled;
+        this.elements.minGap.disabled = !this.settings.enabled;
+        this.save();
+        this.analyze();
+    }
+
+    /**
+     * Split the loaded file with the current settings
+     */
+    analyze() {
+        if (!this.settings.enabled) {
+            this.setSegments([]);
+            this.updateStatus('Phrase detection is off');
+            return;
+        }
+
+        if (!this.peaks) {
+            this.setSegments([]);
+            this.updateStatus(this.player.getState().hasFile ? 'No waveform to find pauses in' : 'Open a file to find phrases');
+            return;
+        }
+
+        const segments = this.findSegments(this.peaks);
+        this.setSegments(segments);
+        this.updateStatus(segments.length === 1 ? '1 phrase' : `${segments.length} phrases`);
+    }
+
+    /**
+     * Find the sounding stretches between pauses
+     * @param {Object} peaks - Waveform peaks (interleaved min/max pairs)
+     * @returns {Object[]} Segments with start and end in seconds
+     */
+    findSegments(peaks) {
+        const { data, peak, peaksPerSecond } = peaks;
+        if (!peak) return [];
+
+        // The threshold is relative to the loudest point, so quiet recordings work too
+        const threshold = peak * Math.pow(10, this.settings.threshold / 20);
+        const minGapFrames = Math.max(1, Math.round(this.settings.minGap * peaksPerSecond));
+        const padding = Math.min(this.padding, this.settings.minGap / 2);
+        const duration = this.player.duration || peaks.duration;
+        const count = data.length / 2;
+        const segments = [];
+
+        const addSegment = (startFrame, endFrame) => {
+            const start = startFrame / peaksPerSecond;
+            const end = endFrame / peaksPerSecond;
+            if (end - start < this.minPhrase) return;
+
+            segments.push({
+                start: Math.max(0, start - padding),
+                end: Math.min(duration, end + padding)
+            });
+        };
+
+        let soundStart = null;
+        let lastSound = -1;
+
+        for (let i = 0; i < count; i++) {
+            const level = Math.max(-data[i * 2], data[i * 2 + 1]);
+            if (level < threshold) continue;
+
+            if (soundStart === null) {
+                soundStart = i;
+            } else if (i - lastSound - 1 >= minGapFrames) {
+                addSegment(soundStart, lastSound + 1);
+                soundStart = i;
+            }
+            lastSound = i;
+        }
+
+        if (soundStart !== null) {
+            addSegment(soundStart, lastSound + 1);
+        }
+
+        return segments;
+    }
+
+    /**
+     * Replace the segments and redraw them
+     * @param {Object[]} segments - Segments with start and end in seconds
+     */
+    setSegments(segments) {
+        this.segments = segments;
+        this.renderMarks();
+        this.updateButtons();
+    }
+
+    /**
+     * Index of the last segment starting at or before a time
+     * @param {number} time - Time in seconds
+     * @returns {number} Segment index, -1 before the first segment
+     */
+    getSegmentIndex(time) {
+        let index = -1;
+
+        for (let i = 0; i < this.segments.length; i++) {
+            if (this.segments[i].start > time + 0.01) break;
+            index = i;
+        }
+
+        return index;
+    }
+
+    /**
+     * Index of the segment the active loop covers
+     * @returns {number} Segment index, -1 if the loop is not on a segment
+     */
+    getLoopedIndex() {
+        const { loopA, loopB, isLooping } = this.player;
+        if (!isLooping) return -1;
+
+        return this.segments.findIndex(segment => segment.start === loopA && segment.end === loopB);
+    }
+
+    /**
+     * Go to the next or previous phrase; while a phrase loops, loop that one instead
+     * @param {number} direction - 1 for the next phrase, -1 for the previous one
+     */
+    step(direction) {
+        if (!this.hasSegments()) return;
+
+        const looped = this.getLoopedIndex();
+        const time = this.player.currentTime;
+        let index;
+
+        if (looped !== -1) {
+            index = looped + direction;
+        } else {
+            const current = this.getSegmentIndex(time);
+
+            // From a pause, "previous" is the phrase just heard
+            const inPause = current >= 0 && time > this.segments[current].end;
+            index = direction > 0 ? current + 1 : (inPause ? current : current - 1);
+        }
+
+        if (index < 0 || index >= this.segments.length) {
+            showToast(direction > 0 ? 'Last phrase' : 'First phrase', 'info', 1000);
+            return;
+        }
+
+        if (looped !== -1) {
+            this.loopSegment(index);
+        } else {
+            this.player.seek(this.segments[index].start);
+            showToast(`Phrase ${index + 1} of ${this.segments.length}`, 'info', 1000);
+        }
+    }
+
+    /**
+     * Loop the phrase at the playhead, or the one just heard during a pause
+     */
+    loopCurrent() {
+        if (!this.hasSegments()) return;
+
+        const index = Math.max(0, this.getSegmentIndex(this.player.currentTime));
+        this.loopSegment(index);
+    }
+
+    /**
+     * Make a segment the active A-B loop
+     * @param {number} index - Segment index
+     */
+    loopSegment(index) {
+        const segment = this.segments[index];
+
+        this.player.setLoopPoints(segment.start, segment.end);
+        this.player.seek(segment.start);
+
+        // Switching the loop on last lets a lead-in start from A
+        if (!this.player.isLooping) {
+            this.player.toggleLoop();
+        }
+
+        showToast(`Looping phrase ${index + 1} of ${this.segments.length}`, 'info', 1000);
+    }
+
+    /**
+     * Check that there are phrases to move between, telling the user if not
+     * @returns {boolean} True if segments were found
+     */
+    hasSegments() {
+        if (this.segments.length > 0) return true;
+
+        if (!this.player.getState().hasFile) {
+            showToast('No audio file loaded', 'error', 2000);
+        } else {
+            showToast(this.settings.enabled ? 'No phrases found' : 'Phrase detection is off', 'info', 1500);
+        }
+        return false;
+    }
+
+    /**
+     * Draw the segments along the bottom of the progress bar
+     */
+    renderMarks() {
+        const duration = this.player.duration;
+        this.elements.marks.innerHTML = '';
+
+        if (!duration) return;
+
+        const view = this.view || { start: 0, end: duration };
+
+        this.segments.forEach((segment, index) => {
+            if (segment.end <= view.start || segment.start >= view.end) return;
+
+            const left = clamp(getViewPercentage(segment.start, view), 0, 100);
+            const right = clamp(getViewPercentage(segment.end, view), 0, 100);
+
+            const mark = document.createElement('div');
+            mark.className = 'phrase-mark';
+            mark.style.left = `${left}%`;
+            mark.style.width = `${right - left}%`;
+            mark.title = `Phrase ${index + 1}`;
+            this.elements.marks.appendChild(mark);
+        });
+    }
+
+    /**
+     * Enable the phrase buttons while there are segments
+     */
+    updateButtons() {
+        const disabled = this.segments.length === 0;
+
+        this.elements.prevBtn.disabled = disabled;
+        this.elements.loopBtn.disabled = disabled;
+        this.elements.nextBtn.disabled = disabled;
+    }
+
+    /**
+     * Show the analysis status
+     * @param {string} text - Status text
+     */
+    updateStatus(text) {
+        this.elements.status.textContent = text;
+    }
+
+    /**
+     * Restore saved settings
+     */
+    restore() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(this.storageKey));
+
+            if (settings) {
+                this.elements.enabled.checked = settings.enabled;
+                this.elements.threshold.value = settings.threshold;
+                this.elements.minGap.value = Math.round(settings.minGap * 1000);
+            }
+        } catch (error) {
+            console.warn('Could not read phrase settings:', error);
+        }
+
+        this.applySettings();
+    }
+
+    /**
+     * Save settings
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save phrase settings:', error);
+        }
+    }
+}
@@ -0,0 +1,118 @@
+// Pitch controls - Transpose and fine tuning next to the speed selector
+
+class PitchControls {
+    constructor(player) {
+        this.player = player;
+
+        // Get DOM elements
+        this.elements = {
+            downBtn: document.getElementById('transposeDownBtn'),
+            upBtn: document.getElementById('transposeUpBtn'),
+            value: document.getElementById('transposeValue'),
+            cents: document.getElementById('fineTuneInput'),
+            resetBtn: document.getElementById('resetPitchBtn')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.updateDisplay(this.player.transpose);
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.downBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.downBtn);
+            this.shift(-1, 0);
+        });
+
+        this.elements.upBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.upBtn);
+            this.shift(1, 0);
+        });
+
+        this.elements.cents.addEventListener('change', () => {
+            const cents = parseInt(this.elements.cents.value, 10) || 0;
+            this.apply(this.player.transpose.semitones, cents);
+        });
+
+        this.elements.resetBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.resetBtn);
+            this.reset();
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('transposechange', (transpose) => this.updateDisplay(transpose));
+
+        this.player.on('loaded', () => {
+            const { downBtn, upBtn, cents, resetBtn } = this.elements;
+            [downBtn, upBtn, cents, resetBtn].forEach(element => {
+                element.disabled = false;
+            });
+        });
+    }
+
+    /**
+     * Change the transpose by a step
+     * @param {number} semitones - Semitones to add
+     * @param {number} cents - Cents to add
+     */
+    shift(semitones, cents) {
+        const transpose = this.player.transpose;
+        this.apply(transpose.semitones + semitones, transpose.cents + cents);
+    }
+
+    /**
+     * Go back to the original pitch
+     */
+    reset() {
+        this.apply(0, 0);
+    }
+
+    /**
+     * Send a transpose to the player
+     * @param {number} semitones - Semitones
+     * @param {number} cents - Cents
+     */
+    async apply(semitones, cents) {
+        if (await this.player.setTranspose(semitones, cents)) {
+            showToast(`Pitch: ${this.describe(this.player.transpose)}`, 'info', 1500);
+        } else {
+            showToast('Pitch shifting is not available here', 'error', 3000);
+        }
+    }
+
+    /**
+     * Show the current transpose
+     * @param {Object} transpose - Semitones and cents
+     */
+    updateDisplay(transpose) {
+        const sign = transpose.semitones > 0 ? '+' : '';
+        this.elements.value.textContent = `${sign}${transpose.semitones} st`;
+        this.elements.cents.value = transpose.cents;
+        this.elements.value.classList.toggle('active', transpose.semitones !== 0 || transpose.cents !== 0);
+    }
+
+    /**
+     * Describe a transpose for messages
+     * @param {Object} transpose - Semitones and cents
+     * @returns {string} Description such as "+2 st -15 ct"
+     */
+    describe(transpose) {
+        if (transpose.semitones === 0 && transpose.cents === 0) {
+            return 'original';
+        }
+
+        const format = (value, unit) => `${value > 0 ? '+' : ''}${value} ${unit}`;
+        const parts = [format(transpose.semitones, 'st')];
+        if (transpose.cents !== 0) {
+            parts.push(format(transpose.cents, 'ct'));
+        }
+        return parts.join(' ');
+    }
+}
@@ -0,0 +1,139 @@
+// PitchShifter - Output stage that transposes audio without changing speed
+
+class PitchShifter {
+    constructor(context, destination) {
+        this.context = context;
+        this.destination = destination;
+        this.factor = 1;
+        this.node = null;
+        this.loading = null;
+        this.moduleUrl = 'scripts/worklets/pitch-shifter-processor.js';
+
+        // Engines connect here; the shifter is bypassed at factor 1
+        this.input = context.createGain();
+        this.input.connect(destination);
+    }
+
+    /**
+     * Load the worklet processor and create its node
+     * @returns {Promise<boolean>} True if the shifter is available
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                if (!this.context.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+                    return false;
+                }
+
+                try {
+                    await this.context.audioWorklet.addModule(this.moduleUrl);
+                    const { oversampling } = PitchShifter.frameSettings;
+                    const fftSize = PitchShifter.getFftSize(this.factor);
+                    this.node = new AudioWorkletNode(this.context, 'pitch-shifter', {
+                        outputChannelCount: [2],
+                        parameterData: { pitchFactor: this.factor, fftSize },
+                        processorOptions: { fftSize, oversampling }
+                    });
+                    this.node.connect(this.destination);
+                    this.route();
+                    return true;
+                } catch (error) {
+                    console.warn('Could not load pitch shifter:', error);
+                    return false;
+                }
+            })();
+        }
+
+        return this.loading;
+    }
+
+    /**
+     * Set the pitch factor (2 is an octave up, 0.5 an octave down)
+     * @param {number} factor - Pitch factor
+     * @returns {Promise<boolean>} True if the factor can be applied
+     */
+    async setFactor(factor) {
+        this.factor = factor;
+
+        if (factor !== 1 && !(await this.load())) {
+            return false;
+        }
+
+        if (this.node) {
+            const time = this.context.currentTime;
+            this.node.parameters.get('pitchFactor').setValueAtTime(this.factor, time);
+            this.node.parameters.get('fftSize').setValueAtTime(PitchShifter.getFftSize(this.factor), time);
+            this.route();
+        }
+
+        return true;
+    }
+
+    /**
+     * Phase vocoder frame sizes and overlap, passed on to the processor
+     * @returns {Object} Smallest and largest FFT size, frames per hop
+     */
+    static get frameSettings() {
+        return { minFftSize: 2048, maxFftSize: 32768, oversampling: 4 };
+    }
+
+    /**
+     * Frame size for a pitch factor. Large factors come from slowed-down
+     * playback, whose spectrum is squeezed into the low bins, so the frame
+     * grows with the factor to keep the resolution of the original recording.
+     * @param {number} factor - Pitch factor
+     * @returns {number} FFT size
+     */
+    static getFftSize(factor) {
+        const { minFftSize, maxFftSize } = PitchShifter.frameSettings;
+
+        let fftSize = minFftSize;
+        while (fftSize < maxFftSize && fftSize * 2 <= minFftSize * factor) {
+            fftSize *= 2;
+        }
+        return fftSize;
+    }
+
+    /**
+     * Delay the worklet adds at a factor: one frame, since each frame is
+     * processed while the next hop is collected
+     * @param {number} factor - Pitch factor
+     * @param {number} sampleRate - Context sample rate
+     * @returns {number} Latency in seconds
+     */
+    static getLatency(factor, sampleRate) {
+        if (factor === 1) return 0;
+
+        return PitchShifter.getFftSize(factor) / sampleRate;
+    }
+
+    /**
+     * Delay the shifter adds at its current factor
+     * @returns {number} Latency in seconds, 0 while bypassed
+     */
+    get latency() {
+        return this.node ? PitchShifter.getLatency(this.factor, this.context.sampleRate) : 0;
+    }
+
+    /**
+     * Send the input through the worklet only while it shifts
+     */
+    route() {
+        const shifting = this.factor !== 1;
+
+        this.input.disconnect();
+        this.input.connect(shifting ? this.node : this.destination);
+    }
+
+    /**
+     * Cleanup resources
+     */
+    destroy() {
+        this.input.disconnect();
+
+        if (this.node) {
+            this.node.disconnect();
+            this.node = null;
+        }
+    }
+}
@@ -0,0 +1,437 @@
+// Playlist - Queue of tracks, each keeping its own loop points
+
+class Playlist {
+    constructor(player, loadTrack) {
+        this.player = player;
+        this.loadTrack = loadTrack;
+        this.tracks = [];
+        this.currentId = null;
+        this.dragId = null;
+        this.autoAdvance = false;
+        this.storageKey = 'abplayer:playlist';
+
+        // Get DOM elements
+        this.elements = {
+            list: document.getElementById('playlistList'),
+            status: document.getElementById('playlistStatus'),
+            prevBtn: document.getElementById('prevTrackBtn'),
+            nextBtn: document.getElementById('nextTrackBtn'),
+            autoAdvance: document.getElementById('autoAdvanceToggle'),
+            clearBtn: document.getElementById('clearPlaylistBtn')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.restore();
+        this.render();
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.prevBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.prevBtn);
+            this.previous();
+        });
+
+        this.elements.nextBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.nextBtn);
+            this.next();
+        });
+
+        this.elements.clearBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.clearBtn);
+            this.clear();
+        });
+
+        this.elements.autoAdvance.addEventListener('change', () => {
+            this.autoAdvance = this.elements.autoAdvance.checked;
+            this.save();
+        });
+
+        // Delegate clicks inside the list
+        this.elements.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.playlist-item');
+            if (!item) return;
+
+            const action = e.target.closest('[data-action]');
+            if (action) {
+                this.handleItemAction(item.dataset.id, action.dataset.action);
+            } else if (item.dataset.id !== this.currentId) {
+                this.select(item.dataset.id, this.player.isPlaying);
+            }
+        });
+
+        // Drag items to reorder them
+        this.elements.list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.playlist-item');
+            if (!item) return;
+
+            this.dragId = item.dataset.id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.id);
+            item.classList.add('dragging');
+        });
+
+        this.elements.list.addEventListener('dragover', (e) => {
+            if (!this.dragId) return;
+
+            e.preventDefault();
+            this.elements.list.querySelectorAll('.drop-target').forEach(item => item.classList.remove('drop-target'));
+
+            const item = e.target.closest('.playlist-item');
+            if (item && item.dataset.id !== this.dragId) {
+                item.classList.add('drop-target');
+            }
+        });
+
+        this.elements.list.addEventListener('drop', (e) => {
+            const item = e.target.closest('.playlist-item');
+            if (this.dragId && item) {
+                this.moveTo(this.dragId, this.getIndex(item.dataset.id));
+            }
+        });
+
+        this.elements.list.addEventListener('dragend', () => {
+            this.dragId = null;
+            this.renderList();
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('ended', () => {
+            if (this.autoAdvance && this.hasNext()) {
+                this.next(true);
+            }
+        });
+    }
+
+    /**
+     * Queue files, starting the first one if nothing is loaded yet
+     * @param {FileList|File[]} files - Files to add
+     * @returns {number} Number of audio files added
+     */
+    addFiles(files) {
+        const added = Array.from(files).filter(isAudioFile).map(file => this.createTrack(file));
+
+        if (added.length === 0) {
+            return 0;
+        }
+
+        this.tracks.push(...added);
+        this.render();
+
+        if (!this.currentId) {
+            this.select(added[0].id);
+        }
+
+        return added.length;
+    }
+
+    /**
+     * Queue a single file and load it straight away
+     * @param {File} file - File to open
+     * @returns {Promise<boolean>} True if the file loaded
+     */
+    open(file) {
+        const track = this.createTrack(file);
+        this.tracks.push(track);
+        return this.select(track.id);
+    }
+
+    /**
+     * Load a track, keeping the loop points of the one being left
+     * @param {string} id - Track ID
+     * @param {boolean} autoplay - Start playback once loaded
+     * @returns {Promise<boolean>} True if the track loaded and is still current
+     */
+    async select(id, autoplay = false) {
+        const track = this.getTrack(id);
+        if (!track) return false;
+
+        this.storeLoop();
+        this.currentId = id;
+        this.render();
+
+        if (!(await this.loadTrack(track.file)) || this.currentId !== id) {
+            return false;
+        }
+
+        this.restoreLoop(track);
+
+        if (autoplay) {
+            this.player.play();
+        }
+
+        return true;
+    }
+
+    /**
+     * Leave the current track, e.g. when audio is opened from a link instead
+     */
+    deselect() {
+        this.storeLoop();
+        this.currentId = null;
+        this.render();
+    }
+
+    /**
+     * Go to the next track
+     * @param {boolean} autoplay - Start playback once loaded
+     */
+    next(autoplay = this.player.isPlaying) {
+        if (!this.hasNext()) {
+            showToast('Last track in the playlist', 'info', 1500);
+            return;
+        }
+
+        const index = this.getIndex(this.currentId);
+        this.select(this.tracks[index + 1].id, autoplay);
+    }
+
+    /**
+     * Go to the previous track
+     * @param {boolean} autoplay - Start playback once loaded
+     */
+    previous(autoplay = this.player.isPlaying) {
+        if (!this.hasPrevious()) {
+            showToast('First track in the playlist', 'info', 1500);
+            return;
+        }
+
+        const index = this.getIndex(this.currentId);
+        this.select(this.tracks[index - 1].id, autoplay);
+    }
+
+    /**
+     * Whether a track follows the current one
+     * @returns {boolean} True if there is a next track
+     */
+    hasNext() {
+        const index = this.getIndex(this.currentId);
+        return index !== -1 && index < this.tracks.length - 1;
+    }
+
+    /**
+     * Whether a track precedes the current one
+     * @returns {boolean} True if there is a previous track
+     */
+    hasPrevious() {
+        return this.getIndex(this.currentId) > 0;
+    }
+
+    /**
+     * Handle a button inside a playlist item
+     * @param {string} id - Track ID
+     * @param {string} action - 'up', 'down' or 'remove'
+     */
+    handleItemAction(id, action) {
+        const index = this.getIndex(id);
+
+        if (action === 'up') {
+            this.moveTo(id, index - 1);
+        } else if (action === 'down') {
+            this.moveTo(id, index + 1);
+        } else if (action === 'remove') {
+            this.remove(id);
+        }
+    }
+
+    /**
+     * Move a track to a new position
+     * @param {string} id - Track ID
+     * @param {number} index - New index
+     */
+    moveTo(id, index) {
+        const from = this.getIndex(id);
+        if (from === -1 || index < 0 || index >= this.tracks.length || index === from) return;
+
+        const [track] = this.tracks.splice(from, 1);
+        this.tracks.splice(index, 0, track);
+        this.render();
+    }
+
+    /**
+     * Remove a track from the playlist (the loaded audio keeps playing)
+     * @param {string} id - Track ID
+     */
+    remove(id) {
+        this.tracks = this.tracks.filter(track => track.id !== id);
+
+        if (id === this.currentId) {
+            this.currentId = null;
+        }
+
+        this.render();
+    }
+
+    /**
+     * Remove every track
+     */
+    clear() {
+        this.tracks = [];
+        this.currentId = null;
+        this.render();
+    }
+
+    /**
+     * Remember the player's loop on the current track
+     */
+    storeLoop() {
+        const track = this.getTrack(this.currentId);
+        if (!track) return;
+
+        const { loopA, loopB, isLooping } = this.player.getState();
+        track.loop = loopA !== null && loopB !== null ? { loopA, loopB, isLooping } : null;
+    }
+
+    /**
+     * Give a freshly loaded track its loop back
+     * @param {Object} track - Playlist track
+     */
+    restoreLoop(track) {
+        if (!track.loop) return;
+
+        this.player.setLoopPoints(track.loop.loopA, track.loop.loopB);
+
+        if (track.loop.isLooping && !this.player.isLooping) {
+            this.player.toggleLoop();
+        }
+    }
+
+    /**
+     * Create a playlist track for a file
+     * @param {File} file - Audio file
+     * @returns {Object} Track
+     */
+    createTrack(file) {
+        return {
+            id: generateId(),
+            file,
+            name: file.name,
+            loop: null
+        };
+    }
+
+    /**
+     * Find a track
+     * @param {string} id - Track ID
+     * @returns {Object|null} Track or null
+     */
+    getTrack(id) {
+        return this.tracks.find(track => track.id === id) || null;
+    }
+
+    /**
+     * Position of a track in the playlist
+     * @param {string} id - Track ID
+     * @returns {number} Index, -1 if not found
+     */
+    getIndex(id) {
+        return this.tracks.findIndex(track => track.id === id);
+    }
+
+    /**
+     * Render the list and navigation state
+     */
+    render() {
+        this.renderList();
+
+        const index = this.getIndex(this.currentId);
+        const count = this.tracks.length;
+
+        if (count === 0) {
+            this.elements.status.textContent = 'No tracks';
+        } else if (index === -1) {
+            this.elements.status.textContent = `${count} track${count === 1 ? '' : 's'}`;
+        } else {
+            this.elements.status.textContent = `Track ${index + 1} of ${count}`;
+        }
+
+        this.elements.prevBtn.disabled = !this.hasPrevious();
+        this.elements.nextBtn.disabled = !this.hasNext();
+        this.elements.clearBtn.disabled = count === 0;
+    }
+
+    /**
+     * Render the track list
+     */
+    renderList() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        if (this.tracks.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'loop-list-empty';
+            empty.textContent = 'Choose or drop several files to queue them';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.tracks.forEach((track, index) => {
+            const item = document.createElement('li');
+            item.className = 'playlist-item';
+            item.classList.toggle('active', track.id === this.currentId);
+            item.dataset.id = track.id;
+            item.draggable = true;
+            item.title = 'Click to play, drag to reorder';
+
+            const number = document.createElement('span');
+            number.className = 'playlist-item-number';
+            number.textContent = index + 1;
+
+            const name = document.createElement('span');
+            name.className = 'loop-item-name';
+            name.textContent = track.name;
+
+            item.append(number, name);
+
+            if (track.loop) {
+                const loop = document.createElement('span');
+                loop.className = 'loop-item-range';
+                loop.textContent = `${formatTime(track.loop.loopA)} – ${formatTime(track.loop.loopB)}`;
+                item.appendChild(loop);
+            }
+
+            [['up', '↑', 'Move up'], ['down', '↓', 'Move down'], ['remove', '✕', 'Remove']].forEach(([action, label, title]) => {
+                const button = document.createElement('button');
+                button.className = 'playlist-item-btn';
+                button.dataset.action = action;
+                button.title = title;
+                button.textContent = label;
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Restore saved settings
+     */
+    restore() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            this.autoAdvance = !!settings.autoAdvance;
+        } catch (error) {
+            console.warn('Could not read playlist settings:', error);
+        }
+
+        this.elements.autoAdvance.checked = this.autoAdvance;
+    }
+
+    /**
+     * Save settings
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ autoAdvance: this.autoAdvance }));
+        } catch (error) {
+            console.warn('Could not save playlist settings:', error);
+        }
+    }
+}
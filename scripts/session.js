@@ -0,0 +1,270 @@
+// Session - Saves the open file and playback state so a later visit can resume
+
+class SessionManager {
+    constructor(player, store, loadFile, loadUrl) {
+        this.player = player;
+        this.store = store;
+        this.loadFile = loadFile;
+        this.loadUrl = loadUrl;
+        this.storeName = 'session';
+        this.maxFileSize = 200 * 1024 * 1024; // Larger files are only kept as handles
+        this.handles = new WeakMap();
+        this.hasMedia = false;
+        this.hasOpened = false; // Something was opened since the page loaded
+        this.isEnabled = true;
+        this.saved = null;
+
+        // Get DOM elements
+        this.elements = {
+            banner: document.getElementById('resumeBanner'),
+            text: document.getElementById('resumeText'),
+            resumeBtn: document.getElementById('resumeBtn'),
+            dismissBtn: document.getElementById('dismissResumeBtn')
+        };
+
+        this.saveStateThrottled = throttle(() => this.saveState(), 2000);
+        this.handlePageHide = () => this.saveState();
+        this.handleVisibilityChange = () => {
+            if (document.hidden) {
+                this.saveState();
+            }
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.checkSavedSession();
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.resumeBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.resumeBtn);
+            this.resume();
+        });
+
+        this.elements.dismissBtn.addEventListener('click', () => this.hideBanner());
+
+        window.addEventListener('pagehide', this.handlePageHide);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => {
+            this.hasMedia = false;
+            this.hasOpened = true;
+            this.hideBanner();
+        });
+
+        this.player.on('loaded', (data) => {
+            this.hasMedia = true;
+            this.saveMedia(data.file);
+        });
+
+        ['ratechange', 'loopaset', 'loopbset', 'loopclear', 'looptoggle', 'pause', 'seeked'].forEach(event => {
+            this.player.on(event, () => this.saveState());
+        });
+
+        this.player.on('timeupdate', () => this.saveStateThrottled());
+    }
+
+    /**
+     * Remember the file system handle a file was opened from
+     * @param {File} file - Opened file
+     * @param {FileSystemFileHandle} handle - Its handle
+     */
+    registerHandle(file, handle) {
+        this.handles.set(file, handle);
+    }
+
+    /**
+     * Store the loaded file, as a handle where possible, or its address
+     * @param {File|null} file - Loaded file, null for URL sources
+     */
+    async saveMedia(file) {
+        if (!this.isEnabled) return;
+
+        const handle = file && this.handles.get(file);
+        let media = null;
+
+        if (!file) {
+            const url = this.player.currentUrl;
+            media = url ? { kind: 'url', url, name: getUrlFileName(url) } : null;
+        } else if (handle) {
+            media = { kind: 'handle', handle, name: file.name };
+        } else if (file.size <= this.maxFileSize) {
+            media = { kind: 'file', file, name: file.name };
+        }
+
+        try {
+            if (media) {
+                await this.store.put(this.storeName, 'media', media);
+            } else {
+                await this.store.delete(this.storeName, 'media');
+            }
+            this.saveState();
+        } catch (error) {
+            console.warn('Could not save session file:', error);
+        }
+    }
+
+    /**
+     * Store the playback position, speed and loop
+     */
+    async saveState() {
+        if (!this.isEnabled || !this.hasMedia) return;
+
+        const state = this.player.getState();
+
+        try {
+            await this.store.put(this.storeName, 'state', {
+                currentTime: state.currentTime,
+                playbackRate: state.playbackRate,
+                loopA: state.loopA,
+                loopB: state.loopB,
+                isLooping: state.isLooping,
+                savedAt: Date.now()
+            });
+        } catch (error) {
+            console.warn('Could not save session state:', error);
+        }
+    }
+
+    /**
+     * Offer to resume if a previous session was saved
+     */
+    async checkSavedSession() {
+        try {
+            const [media, state] = await Promise.all([
+                this.store.get(this.storeName, 'media'),
+                this.store.get(this.storeName, 'state')
+            ]);
+
+            // Something was opened, or is opening from a link, while reading the store
+            if (!media || this.hasOpened) return;
+
+            this.saved = { media, state: state || null };
+            this.showBanner();
+        } catch (error) {
+            console.warn('Could not read saved session:', error);
+        }
+    }
+
+    /**
+     * Reopen the saved file and apply its state
+     */
+    async resume() {
+        if (!this.saved) return;
+
+        const { media, state } = this.saved;
+        this.hideBanner();
+
+        // The player reports why an address failed to load
+        if (media.kind === 'url') {
+            if (!(await this.loadUrl(media.url))) return;
+        } else {
+            let file;
+            try {
+                file = await this.getSavedFile(media);
+            } catch (error) {
+                console.warn('Could not reopen saved file:', error);
+                showToast(`Could not reopen ${media.name}`, 'error', 4000);
+                return;
+            }
+
+            if (!(await this.loadFile(file))) return;
+        }
+
+        if (state) {
+            this.applyState(state);
+        }
+
+        this.saved = null;
+        showToast(`Resumed ${media.name}`, 'success', 2000);
+    }
+
+    /**
+     * Get the file behind a saved media record
+     * @param {Object} media - Saved media record
+     * @returns {Promise<File>} File
+     */
+    async getSavedFile(media) {
+        if (media.kind === 'file') {
+            return media.file;
+        }
+
+        const handle = media.handle;
+        const options = { mode: 'read' };
+        if ((await handle.queryPermission(options)) !== 'granted' &&
+            (await handle.requestPermission(options)) !== 'granted') {
+            throw new Error('Permission to read the file was denied');
+        }
+
+        const file = await handle.getFile();
+        this.registerHandle(file, handle);
+        return file;
+    }
+
+    /**
+     * Apply saved playback state to the freshly loaded file
+     * @param {Object} state - Saved state
+     */
+    applyState(state) {
+        this.player.setPlaybackRate(state.playbackRate);
+
+        // Slow speeds only become available once the file is decoded
+        if (this.player.playbackRate !== state.playbackRate) {
+            const file = this.player.currentFile;
+            const onRangeChange = (range) => {
+                this.player.off('speedrangechange', onRangeChange);
+                if (this.player.currentFile === file && state.playbackRate >= range.min) {
+                    this.player.setPlaybackRate(state.playbackRate);
+                }
+            };
+            this.player.on('speedrangechange', onRangeChange);
+        }
+
+        if (state.loopA !== null && state.loopB !== null) {
+            this.player.setLoopPoints(state.loopA, state.loopB);
+
+            if (state.isLooping && !this.player.isLooping) {
+                this.player.toggleLoop();
+            }
+        }
+
+        this.player.seek(state.currentTime);
+    }
+
+    /**
+     * Show the resume offer
+     */
+    showBanner() {
+        const { media, state } = this.saved;
+        const position = state ? ` at ${formatTime(state.currentTime)}` : '';
+
+        this.elements.text.textContent = `Resume where you left off: ${media.name}${position}`;
+        this.elements.banner.hidden = false;
+    }
+
+    /**
+     * Hide the resume offer
+     */
+    hideBanner() {
+        this.elements.banner.hidden = true;
+    }
+
+    /**
+     * Save a final state and stop saving
+     */
+    destroy() {
+        this.saveState();
+        this.isEnabled = false;
+
+        window.removeEventListener('pagehide', this.handlePageHide);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+}
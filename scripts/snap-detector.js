@@ -0,0 +1,198 @@
+// SnapDetector - Finds onsets, silences and zero crossings near a time
+
+/**
+ * Looks for a better place for a loop point close to where it was set.
+ *
+ * Candidates are searched in order of usefulness: note or word onsets
+ * (a sharp rise in short-term energy), the edges of silent stretches, and
+ * finally zero crossings, which at least keep the boundary click-free.
+ * Onsets and silence edges are themselves moved to the closest zero
+ * crossing.
+ */
+class SnapDetector {
+    constructor() {
+        this.frameSize = 0.01; // Seconds per energy frame
+        this.hopSize = 0.005; // Seconds between energy frames
+        this.history = 4; // Frames an onset is compared against
+        this.onsetRise = 9; // dB above the preceding frames that counts as an onset
+        this.silenceLevel = -45; // dBFS below which a frame counts as silent
+        this.zeroCrossingWindow = 0.002; // Seconds searched for a crossing near an onset
+        this.lookAhead = 0.25; // Share of the window searched after the time, as taps land late
+    }
+
+    /**
+     * Find the snap point for a time
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {number} time - Time the point was set at
+     * @param {number} window - Seconds to search before the time
+     * @returns {Object} Snapped time and what it snapped to ('onset', 'silence', 'zero crossing' or 'none')
+     */
+    find(buffer, time, window) {
+        const sampleRate = buffer.sampleRate;
+        const earliest = time - window;
+        const latest = time + window * this.lookAhead;
+        const lead = (this.history + 1) * this.hopSize;
+        const from = Math.max(0, Math.floor((earliest - lead) * sampleRate));
+        const to = Math.min(buffer.length, Math.ceil((latest + this.frameSize) * sampleRate));
+        if (to - from < 2) {
+            return { time, kind: 'none' };
+        }
+
+        const samples = this.getMono(buffer, from, to);
+        const frames = this.getFrameLevels(samples, sampleRate);
+        const toTime = (frame) => (from + frame * Math.round(this.hopSize * sampleRate)) / sampleRate;
+        const inWindow = (candidate) => candidate >= earliest && candidate <= latest;
+
+        const searches = [
+            // A frame first rises when its last hop reaches the onset
+            ['onset', this.findOnsets(frames).map(frame => toTime(frame) + this.frameSize - this.hopSize)],
+            ['silence', this.findSilenceEdges(frames).map(frame => toTime(frame) + this.frameSize / 2)]
+        ];
+
+        for (const [kind, candidates] of searches) {
+            const nearest = this.nearest(candidates.filter(inWindow), time);
+            if (nearest !== null) {
+                const refined = this.findZeroCrossing(samples, sampleRate, from, nearest, this.zeroCrossingWindow);
+                return { time: refined !== null ? refined : nearest, kind };
+            }
+        }
+
+        const crossing = this.findZeroCrossing(samples, sampleRate, from, time, window * this.lookAhead);
+        return crossing !== null ? { time: crossing, kind: 'zero crossing' } : { time, kind: 'none' };
+    }
+
+    /**
+     * Mix a range of the buffer down to one channel
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {number} from - First sample
+     * @param {number} to - Sample after the last
+     * @returns {Float32Array} Mono samples
+     */
+    getMono(buffer, from, to) {
+        const mono = new Float32Array(to - from);
+
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = from; i < to; i++) {
+                mono[i - from] += data[i] / buffer.numberOfChannels;
+            }
+        }
+
+        return mono;
+    }
+
+    /**
+     * Short-term level of overlapping frames
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate
+     * @returns {number[]} Level of each frame in dBFS
+     */
+    getFrameLevels(samples, sampleRate) {
+        const frameLength = Math.round(this.frameSize * sampleRate);
+        const hopLength = Math.round(this.hopSize * sampleRate);
+        const levels = [];
+
+        for (let start = 0; start + frameLength <= samples.length; start += hopLength) {
+            let sum = 0;
+            for (let i = start; i < start + frameLength; i++) {
+                sum += samples[i] * samples[i];
+            }
+            levels.push(10 * Math.log10(sum / frameLength + 1e-10));
+        }
+
+        return levels;
+    }
+
+    /**
+     * Frames where the level jumps above the preceding frames
+     * @param {number[]} levels - Frame levels in dBFS
+     * @returns {number[]} Frame indices of onsets
+     */
+    findOnsets(levels) {
+        const onsets = [];
+        let rising = false;
+
+        for (let i = this.history; i < levels.length; i++) {
+            let previous = 0;
+            for (let j = i - this.history; j < i; j++) {
+                previous += levels[j];
+            }
+            previous /= this.history;
+
+            const isOnset = levels[i] > this.silenceLevel && levels[i] - previous >= this.onsetRise;
+
+            // Only the first frame of each rise marks the onset
+            if (isOnset && !rising) {
+                onsets.push(i);
+            }
+            rising = isOnset;
+        }
+
+        return onsets;
+    }
+
+    /**
+     * Frames where sound starts or stops
+     * @param {number[]} levels - Frame levels in dBFS
+     * @returns {number[]} Frame indices after each change
+     */
+    findSilenceEdges(levels) {
+        const edges = [];
+
+        for (let i = 1; i < levels.length; i++) {
+            const wasSilent = levels[i - 1] < this.silenceLevel;
+            const isSilent = levels[i] < this.silenceLevel;
+            if (wasSilent !== isSilent) {
+                edges.push(i);
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Nearest upward or downward zero crossing to a time
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate
+     * @param {number} offset - Buffer index of the first sample
+     * @param {number} time - Time to search around
+     * @param {number} window - Seconds to search either side
+     * @returns {number|null} Time of the crossing, null if none
+     */
+    findZeroCrossing(samples, sampleRate, offset, time, window) {
+        const center = Math.round(time * sampleRate) - offset;
+        const reach = Math.round(window * sampleRate);
+
+        for (let distance = 0; distance <= reach; distance++) {
+            for (const index of [center - distance, center + distance]) {
+                if (index < 1 || index >= samples.length) continue;
+
+                const before = samples[index - 1];
+                const after = samples[index];
+                if ((before <= 0 && after > 0) || (before >= 0 && after < 0)) {
+                    return (offset + index) / sampleRate;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Candidate closest to a time
+     * @param {number[]} candidates - Candidate times
+     * @param {number} time - Target time
+     * @returns {number|null} Closest candidate, null if there are none
+     */
+    nearest(candidates, time) {
+        let best = null;
+
+        candidates.forEach(candidate => {
+            if (best === null || Math.abs(candidate - time) < Math.abs(best - time)) {
+                best = candidate;
+            }
+        });
+
+        return best;
+    }
+}
@@ -0,0 +1,105 @@
+// Speed trainer - UI for ramping the tempo across loop iterations
+
+class SpeedTrainer {
+    constructor(player) {
+        this.player = player;
+
+        // Get DOM elements
+        this.elements = {
+            startSpeed: document.getElementById('trainerStartSpeed'),
+            targetSpeed: document.getElementById('trainerTargetSpeed'),
+            step: document.getElementById('trainerStep'),
+            loopsPerStep: document.getElementById('trainerLoopsPerStep'),
+            atTarget: document.getElementById('trainerAtTarget'),
+            toggleBtn: document.getElementById('trainerToggleBtn'),
+            status: document.getElementById('trainerStatus')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.updateStatus(null);
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.toggleBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.toggleBtn);
+            this.toggle();
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('trainerchange', (state) => this.updateStatus(state));
+
+        this.player.on('loaded', () => {
+            this.elements.toggleBtn.disabled = false;
+        });
+    }
+
+    /**
+     * Start or stop the trainer
+     */
+    toggle() {
+        if (this.player.trainer) {
+            this.player.stopTrainer();
+            showToast('Speed trainer stopped', 'info', 1500);
+        } else {
+            this.start();
+        }
+    }
+
+    /**
+     * Start the trainer with the form settings
+     */
+    start() {
+        const options = {
+            startSpeed: parseFloat(this.elements.startSpeed.value),
+            targetSpeed: parseFloat(this.elements.targetSpeed.value),
+            step: parseFloat(this.elements.step.value),
+            loopsPerStep: parseInt(this.elements.loopsPerStep.value, 10),
+            atTarget: this.elements.atTarget.value
+        };
+
+        if ([options.startSpeed, options.targetSpeed, options.step, options.loopsPerStep].some(isNaN) ||
+            options.step <= 0 || options.loopsPerStep < 1) {
+            showToast('Check the trainer settings', 'error', 2000);
+            return;
+        }
+
+        if (!this.player.startTrainer(options)) {
+            showToast('Set A and B points first', 'error', 2000);
+            return;
+        }
+
+        showToast(`Speed trainer: ${options.startSpeed}x → ${options.targetSpeed}x`, 'success', 2000);
+    }
+
+    /**
+     * Show trainer progress
+     * @param {Object|null} state - Trainer state from the player
+     */
+    updateStatus(state) {
+        const { toggleBtn, status } = this.elements;
+
+        toggleBtn.textContent = state ? 'Stop Trainer' : 'Start Trainer';
+        toggleBtn.classList.toggle('loop-active', !!state);
+
+        if (!state) {
+            status.textContent = '';
+            status.classList.remove('visible');
+            return;
+        }
+
+        if (state.finished) {
+            status.textContent = `Target ${state.targetSpeed}x reached`;
+        } else {
+            status.textContent = `Step ${state.step}/${state.totalSteps} · ${state.speed}x · loop ${state.loop}/${state.loopsPerStep}`;
+        }
+        status.classList.add('visible');
+    }
+}
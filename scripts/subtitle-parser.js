@@ -0,0 +1,115 @@
+// SubtitleParser - Reads SRT, WebVTT and LRC files into timed lines
+
+class SubtitleParser {
+    /**
+     * Parse a subtitle or lyrics file
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, used to pick the format
+     * @returns {Object[]} Lines with start and end in seconds and text, sorted by start
+     */
+    parse(text, fileName) {
+        const content = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const extension = getFileExtension(fileName);
+
+        let lines;
+        if (extension === 'lrc' || (extension !== 'srt' && extension !== 'vtt' && !content.includes('-->'))) {
+            lines = this.parseLrc(content);
+        } else {
+            lines = this.parseCues(content);
+        }
+
+        return lines.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Parse SRT or WebVTT cues
+     * @param {string} content - File contents
+     * @returns {Object[]} Lines
+     */
+    parseCues(content) {
+        const lines = [];
+
+        // Blocks without a timing line (the WEBVTT header, NOTE, STYLE) are skipped
+        content.split(/\n\s*\n/).forEach(block => {
+            const rows = block.split('\n');
+            const timing = rows.findIndex(row => row.includes('-->'));
+            if (timing === -1) return;
+
+            const match = rows[timing].match(/^\s*(\S+)\s+-->\s+(\S+)/);
+            const start = match ? parseTime(match[1]) : null;
+            const end = match ? parseTime(match[2]) : null;
+            const text = this.cleanText(rows.slice(timing + 1).join('\n'));
+
+            if (start !== null && end !== null && text) {
+                lines.push({ start, end: Math.max(start, end), text });
+            }
+        });
+
+        return lines;
+    }
+
+    /**
+     * Parse LRC lyrics; each line lasts until the next one starts
+     * @param {string} content - File contents
+     * @returns {Object[]} Lines
+     */
+    parseLrc(content) {
+        const stamps = [];
+        let offset = 0;
+
+        content.split('\n').forEach(row => {
+            const meta = row.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+            if (meta) {
+                offset = parseInt(meta[1], 10) / 1000;
+                return;
+            }
+
+            // A line can carry several time tags when it repeats
+            const times = [];
+            let rest = row.trim();
+            let tag;
+            while ((tag = rest.match(/^\[(\d+:\d{1,2}(?:[.:]\d{1,3})?)\]/))) {
+                // Some files separate hundredths with a colon ([mm:ss:xx])
+                times.push(parseTime(tag[1].replace(/^(\d+:\d{1,2}):/, '$1.')));
+                rest = rest.slice(tag[0].length);
+            }
+
+            const text = this.cleanText(rest);
+            times.forEach(time => stamps.push({ time, text }));
+        });
+
+        stamps.sort((a, b) => a.time - b.time);
+
+        // A positive offset makes the lyrics appear sooner
+        const lines = [];
+        stamps.forEach((stamp, index) => {
+            if (!stamp.text) return;
+
+            const next = stamps[index + 1];
+            lines.push({
+                start: Math.max(0, stamp.time - offset),
+                end: next ? Math.max(0, next.time - offset) : Infinity,
+                text: stamp.text
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Strip markup from cue text
+     * @param {string} text - Raw cue text
+     * @returns {string} Plain text
+     */
+    cleanText(text) {
+        return text
+            .replace(/<[^>]*>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/[ \t]+/g, ' ')
+            .trim();
+    }
+}
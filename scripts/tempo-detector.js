@@ -0,0 +1,149 @@
+// TempoDetector - Estimates the tempo and beat grid of a track from its peaks
+
+/**
+ * Works on the waveform peaks rather than the audio, so a cached waveform is
+ * all it needs. Rises in the peak level are taken as onsets; the tempo is the
+ * beat period whose autocorrelation of that onset curve is strongest, biased
+ * towards moderate tempos to avoid half/double errors, then refined together
+ * with the beat phase. The downbeat is the beat of the bar with the strongest
+ * onsets.
+ */
+class TempoDetector {
+    constructor() {
+        this.minBpm = 60;
+        this.maxBpm = 200;
+        this.preferredBpm = 120; // Centre of the tempo weighting
+        this.maxDuration = 10 * 60; // Seconds analysed from the start of the track
+    }
+
+    /**
+     * Estimate the beat grid
+     * @param {Object} peaks - Waveform peaks (interleaved min/max pairs)
+     * @param {number} beatsPerBar - Beats in a bar
+     * @returns {Object|null} BPM and the time of a downbeat, null without rhythm to go on
+     */
+    detect(peaks, beatsPerBar) {
+        const fps = peaks.peaksPerSecond;
+        const onsets = this.getOnsetStrength(peaks);
+        const minLag = Math.ceil(fps * 60 / this.maxBpm);
+        const maxLag = Math.floor(fps * 60 / this.minBpm);
+        if (onsets.length < maxLag * 4) return null;
+
+        const lag = this.findBestLag(onsets, minLag, maxLag, fps);
+        if (lag === null) return null;
+
+        const { period, phase } = this.refine(onsets, lag);
+        const downbeat = this.findDownbeat(onsets, period, phase, beatsPerBar);
+        const barLength = period * beatsPerBar / fps;
+
+        return {
+            bpm: Math.round(60 * fps / period * 10) / 10,
+            offset: (downbeat / fps) % barLength
+        };
+    }
+
+    /**
+     * Onset strength per frame: how much the level in dB rises
+     * @param {Object} peaks - Waveform peaks
+     * @returns {Float32Array} Onset strength
+     */
+    getOnsetStrength(peaks) {
+        const { data, peaksPerSecond } = peaks;
+        const count = Math.min(data.length / 2, Math.round(this.maxDuration * peaksPerSecond));
+        const onsets = new Float32Array(count);
+        let previous = null;
+
+        for (let i = 0; i < count; i++) {
+            const level = 20 * Math.log10(Math.max(-data[i * 2], data[i * 2 + 1]) + 1e-5);
+            if (previous !== null) {
+                onsets[i] = Math.max(0, level - previous);
+            }
+            previous = level;
+        }
+
+        return onsets;
+    }
+
+    /**
+     * Beat period in frames with the strongest weighted autocorrelation
+     * @param {Float32Array} onsets - Onset strength
+     * @param {number} minLag - Shortest period in frames
+     * @param {number} maxLag - Longest period in frames
+     * @param {number} fps - Frames per second
+     * @returns {number|null} Period in frames (fractional), null if there is no rhythm
+     */
+    findBestLag(onsets, minLag, maxLag, fps) {
+        const scores = [];
+
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = 0; i + lag < onsets.length; i++) {
+                sum += onsets[i] * onsets[i + lag];
+            }
+
+            const octaves = Math.log2(60 * fps / lag / this.preferredBpm);
+            scores[lag] = sum / (onsets.length - lag) * Math.exp(-0.5 * octaves * octaves);
+        }
+
+        let best = null;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (scores[lag] > 0 && (best === null || scores[lag] > scores[best])) {
+                best = lag;
+            }
+        }
+        if (best === null) return null;
+
+        // Parabolic interpolation between neighbouring lags
+        const [left, middle, right] = [scores[best - 1], scores[best], scores[best + 1]];
+        const curvature = left - 2 * middle + right;
+        return curvature < 0 ? best + 0.5 * (left - right) / curvature : best;
+    }
+
+    /**
+     * Fine-tune the period and find the beat phase by fitting a grid to the onsets
+     * @param {Float32Array} onsets - Onset strength
+     * @param {number} lag - Approximate period in frames
+     * @returns {Object} Period and phase in frames
+     */
+    refine(onsets, lag) {
+        let best = { period: lag, phase: 0, score: -1 };
+
+        for (let period = lag - 1; period <= lag + 1; period += 0.05) {
+            for (let phase = 0; phase < period; phase++) {
+                let score = 0;
+                let beats = 0;
+
+                for (let t = phase; t < onsets.length; t += period) {
+                    score += onsets[Math.round(t)] || 0;
+                    beats++;
+                }
+
+                score /= beats;
+                if (score > best.score) {
+                    best = { period, phase, score };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Frame of the beat that most often starts a bar
+     * @param {Float32Array} onsets - Onset strength
+     * @param {number} period - Beat period in frames
+     * @param {number} phase - Frame of the first beat
+     * @param {number} beatsPerBar - Beats in a bar
+     * @returns {number} Frame of a downbeat
+     */
+    findDownbeat(onsets, period, phase, beatsPerBar) {
+        const sums = new Array(beatsPerBar).fill(0);
+
+        for (let beat = 0, t = phase; t < onsets.length; beat++, t += period) {
+            sums[beat % beatsPerBar] += onsets[Math.round(t)] || 0;
+        }
+
+        const first = sums.indexOf(Math.max(...sums));
+        return phase + first * period;
+    }
+}
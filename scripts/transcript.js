@@ -0,0 +1,336 @@
+// Transcript - Subtitles or lyrics synchronized with playback
+
+class Transcript {
+    constructor(player) {
+        this.player = player;
+        this.parser = new SubtitleParser();
+        this.transcripts = new Map(); // Keyed by the audio file name without extension
+        this.current = null; // { name, lines, offset } for the loaded track
+        this.activeIndex = -1;
+
+        // Get DOM elements
+        this.elements = {
+            fileInput: document.getElementById('transcriptFile'),
+            loadBtn: document.getElementById('loadTranscriptBtn'),
+            name: document.getElementById('transcriptName'),
+            offset: document.getElementById('transcriptOffset'),
+            clearBtn: document.getElementById('clearTranscriptBtn'),
+            list: document.getElementById('transcriptList')
+        };
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.render();
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.loadBtn.addEventListener('click', () => this.elements.fileInput.click());
+
+        this.elements.fileInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadFiles(Array.from(e.target.files));
+            }
+            e.target.value = '';
+        });
+
+        this.elements.offset.addEventListener('change', () => {
+            if (!this.current) return;
+
+            this.current.offset = clamp(parseFloat(this.elements.offset.value) || 0, -600, 600);
+            this.elements.offset.value = this.current.offset;
+            this.renderTimes();
+            this.updateActiveLine();
+        });
+
+        this.elements.clearBtn.addEventListener('click', () => {
+            const key = this.getTrackName();
+            if (key !== null) {
+                this.transcripts.delete(key);
+            }
+            this.setCurrent(null);
+        });
+
+        // Delegate clicks inside the list
+        this.elements.list.addEventListener('click', (e) => {
+            const item = e.target.closest('.transcript-line');
+            if (item) {
+                this.selectLine(parseInt(item.dataset.index, 10));
+            }
+        });
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => this.setCurrent(null));
+
+        this.player.on('loaded', () => {
+            const key = this.getTrackName();
+            this.setCurrent(key !== null ? this.transcripts.get(key) || null : null);
+        });
+
+        this.player.on('timeupdate', () => this.updateActiveLine());
+        this.player.on('seeked', () => this.updateActiveLine());
+    }
+
+    /**
+     * Read subtitle files and attach each one to its track: the queued audio
+     * file of the same name, otherwise the track that is playing
+     * @param {File[]} files - Subtitle files
+     * @param {File[]} mediaFiles - Audio files added along with them
+     */
+    async loadFiles(files, mediaFiles = []) {
+        for (const file of files) {
+            let lines;
+            try {
+                lines = this.parser.parse(await file.text(), file.name);
+            } catch (error) {
+                console.warn('Could not read subtitles:', error);
+                showToast(`Could not read ${file.name}`, 'error', 3000);
+                continue;
+            }
+
+            if (lines.length === 0) {
+                showToast(`No timed lines found in ${file.name}`, 'error', 3000);
+                continue;
+            }
+
+            const name = this.getBaseName(file.name);
+            const trackName = this.getTrackName();
+            const matchesQueued = mediaFiles.some(media => this.getBaseName(media.name) === name);
+            const key = matchesQueued || trackName === null ? name : trackName;
+            const transcript = { name: file.name, lines, offset: 0 };
+
+            this.transcripts.set(key, transcript);
+            if (key === trackName) {
+                this.setCurrent(transcript);
+            }
+
+            showToast(`Loaded ${lines.length} lines from ${file.name}`, 'success', 2000);
+        }
+    }
+
+    /**
+     * Show a transcript, or none
+     * @param {Object|null} transcript - Transcript to show
+     */
+    setCurrent(transcript) {
+        this.current = transcript;
+        this.activeIndex = -1;
+        this.render();
+        this.updateActiveLine();
+    }
+
+    /**
+     * Name of the loaded file, or of the file a URL points to, without its extension
+     * @returns {string|null} Track name, null if nothing is loaded
+     */
+    getTrackName() {
+        const file = this.player.currentFile;
+        if (file) {
+            return this.getBaseName(file.name);
+        }
+        return this.player.currentUrl ? this.getBaseName(getUrlFileName(this.player.currentUrl)) : null;
+    }
+
+    /**
+     * File name without its extension
+     * @param {string} fileName - File name
+     * @returns {string} Base name
+     */
+    getBaseName(fileName) {
+        return fileName.replace(/\.[^.]+$/, '');
+    }
+
+    /**
+     * Start and end of a line on the track's timeline, with the offset applied
+     * @param {number} index - Line index
+     * @returns {Object} Start and end in seconds
+     */
+    getLineTimes(index) {
+        const line = this.current.lines[index];
+        const duration = this.player.duration || Infinity;
+
+        return {
+            start: clamp(line.start + this.current.offset, 0, duration),
+            end: clamp(line.end + this.current.offset, 0, duration)
+        };
+    }
+
+    /**
+     * Index of the last line starting at or before a time
+     * @param {number} time - Time in seconds
+     * @returns {number} Line index, -1 before the first line
+     */
+    getLineIndex(time) {
+        const lines = this.current.lines;
+        const target = time - this.current.offset;
+        let low = 0;
+        let high = lines.length - 1;
+        let index = -1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (lines[middle].start <= target + 0.01) {
+                index = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Index of the line the active loop covers
+     * @returns {number} Line index, -1 if the loop is not on a line
+     */
+    getLoopedIndex() {
+        const { loopA, loopB, isLooping } = this.player;
+        if (!isLooping || !this.current) return -1;
+
+        return this.current.lines.findIndex((line, index) => {
+            const { start, end } = this.getLineTimes(index);
+            return start === loopA && end === loopB;
+        });
+    }
+
+    /**
+     * Seek to a line; while a line loops, loop the chosen one instead
+     * @param {number} index - Line index
+     */
+    selectLine(index) {
+        if (this.getLoopedIndex() !== -1) {
+            this.loopLine(index);
+        } else {
+            this.player.seek(this.getLineTimes(index).start);
+        }
+    }
+
+    /**
+     * Loop the line at the playhead, or the last one heard between lines
+     */
+    loopCurrentLine() {
+        if (!this.current) {
+            showToast('No subtitles loaded', 'error', 2000);
+            return;
+        }
+
+        const index = Math.max(0, this.getLineIndex(this.player.currentTime));
+        this.loopLine(index);
+    }
+
+    /**
+     * Make a line the active A-B loop
+     * @param {number} index - Line index
+     */
+    loopLine(index) {
+        const { start, end } = this.getLineTimes(index);
+        if (end <= start) {
+            showToast('This line has no length to loop', 'error', 1500);
+            return;
+        }
+
+        this.player.setLoopPoints(start, end);
+        this.player.seek(start);
+
+        // Switching the loop on last lets a lead-in start from A
+        if (!this.player.isLooping) {
+            this.player.toggleLoop();
+        }
+
+        showToast(`Looping line ${index + 1}`, 'info', 1000);
+    }
+
+    /**
+     * Highlight the line being played and keep it in view
+     */
+    updateActiveLine() {
+        if (!this.current) return;
+
+        const time = this.player.currentTime;
+        let index = this.getLineIndex(time);
+        if (index !== -1 && time >= this.getLineTimes(index).end) {
+            index = -1;
+        }
+        if (index === this.activeIndex) return;
+
+        const items = this.elements.list.children;
+        if (this.activeIndex !== -1 && items[this.activeIndex]) {
+            items[this.activeIndex].classList.remove('active');
+        }
+
+        this.activeIndex = index;
+        if (index !== -1 && items[index]) {
+            items[index].classList.add('active');
+            this.scrollToLine(items[index]);
+        }
+    }
+
+    /**
+     * Scroll the list, not the page, so a line sits near the top third
+     * @param {HTMLElement} item - Line element
+     */
+    scrollToLine(item) {
+        const list = this.elements.list;
+        const target = item.offsetTop - list.clientHeight / 3;
+        list.scrollTo({ top: Math.max(0, target), behavior: 'smooth' });
+    }
+
+    /**
+     * Render the panel
+     */
+    render() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        this.elements.name.textContent = this.current ? this.current.name : 'No subtitles';
+        this.elements.offset.value = this.current ? this.current.offset : 0;
+        this.elements.offset.disabled = !this.current;
+        this.elements.clearBtn.disabled = !this.current;
+
+        if (!this.current) {
+            const empty = document.createElement('li');
+            empty.className = 'loop-list-empty';
+            empty.textContent = 'Load an SRT, VTT or LRC file to follow along';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.current.lines.forEach((line, index) => {
+            const item = document.createElement('li');
+            item.className = 'transcript-line';
+            item.dataset.index = index;
+            item.title = 'Click to play from this line';
+
+            const time = document.createElement('span');
+            time.className = 'transcript-time';
+
+            const text = document.createElement('span');
+            text.className = 'transcript-text';
+            text.textContent = line.text;
+
+            item.append(time, text);
+            list.appendChild(item);
+        });
+
+        this.renderTimes();
+    }
+
+    /**
+     * Show each line's start time with the offset applied
+     */
+    renderTimes() {
+        Array.from(this.elements.list.children).forEach((item, index) => {
+            const time = item.querySelector('.transcript-time');
+            if (time) {
+                time.textContent = formatTime(this.getLineTimes(index).start);
+            }
+        });
+    }
+}
@@ -16,17 +16,40 @@ function formatTime(seconds) {
 }
 
 /**
- * Parse time string (MM:SS) to seconds
- * @param {string} timeString - Time string in MM:SS format
- * @returns {number} Time in seconds
+ * Format time in seconds to MM:SS.mmm format
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time string with milliseconds
  */
-function parseTime(timeString) {
-    const parts = timeString.split(':');
-    if (parts.length !== 2) return 0;
+function formatTimePrecise(seconds) {
+    if (isNaN(seconds) || !isFinite(seconds)) {
+        return '00:00.000';
+    }
     
-    const minutes = parseInt(parts[0], 10) || 0;
-    const seconds = parseInt(parts[1], 10) || 0;
-    return minutes * 60 + seconds;
+    const totalMs = Math.round(seconds * 1000);
+    const minutes = Math.floor(totalMs / 60000);
+    const secs = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
+}
+
+/**
+ * Parse a time string to seconds: SS, MM:SS or H:MM:SS, each with optional
+ * fractional seconds (.mmm, or ,mmm as in SRT)
+ * @param {string} timeString - Time string
+ * @returns {number|null} Time in seconds, null if it is not a time
+ */
+function parseTime(timeString) {
+    const match = String(timeString).trim().match(/^(?:(?:(\d+):)?(\d+):)?(\d+)(?:[.,](\d+))?$/);
+    if (!match) return null;
+
+    const [, hours, minutes, seconds, fraction] = match;
+    if (minutes !== undefined && (seconds.length > 2 || parseInt(seconds, 10) > 59)) return null;
+    if (hours !== undefined && (minutes.length > 2 || parseInt(minutes, 10) > 59)) return null;
+
+    return (parseInt(hours, 10) || 0) * 3600 +
+           (parseInt(minutes, 10) || 0) * 60 +
+           parseInt(seconds, 10) +
+           (fraction ? parseFloat(`0.${fraction}`) : 0);
 }
 
 /**
@@ -50,7 +73,69 @@ function getFileExtension(filename) {
 }
 
 /**
- * Check if file is a supported audio format
+ * Get the file name at the end of a URL
+ * @param {string} url - URL
+ * @returns {string} Decoded file name, 'audio' if the URL has none
+ */
+function getUrlFileName(url) {
+    const name = (url || '').split(/[?#]/)[0].split('/').pop();
+    try {
+        return decodeURIComponent(name) || 'audio';
+    } catch (error) {
+        return name || 'audio';
+    }
+}
+
+/**
+ * Validate an audio address typed or linked by the user; relative paths
+ * resolve against the page, so files on the same server can be opened
+ * @param {string} value - Address
+ * @returns {Object} Absolute URL, or an error message
+ */
+function parseAudioUrl(value) {
+    const text = (value || '').trim();
+    if (!text) {
+        return { url: null, error: 'Enter the address of an audio file' };
+    }
+
+    let url;
+    try {
+        url = new URL(text, window.location.href);
+    } catch (error) {
+        return { url: null, error: `"${text}" is not a valid address` };
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { url: null, error: 'Only http and https addresses can be opened' };
+    }
+
+    return { url: url.href, error: null };
+}
+
+/**
+ * Check if a URL points to an HLS playlist
+ * @param {string} url - URL
+ * @returns {boolean} True for .m3u8 addresses
+ */
+function isHlsUrl(url) {
+    return getFileExtension((url || '').split(/[?#]/)[0]) === 'm3u8';
+}
+
+/**
+ * Create an error for a source that could not be loaded
+ * @param {string} reason - 'unsupported', 'cors', 'network', 'notfound' or 'http'
+ * @param {string} message - Message for the user
+ * @returns {Error} Error named MediaLoadError
+ */
+function createLoadError(reason, message) {
+    const error = new Error(message);
+    error.name = 'MediaLoadError';
+    error.reason = reason;
+    return error;
+}
+
+/**
+ * Check if file is a supported audio format, or a video whose sound can be played
  * @param {File} file - File object
  * @returns {boolean} True if supported
  */
@@ -63,17 +148,76 @@ function isAudioFile(file) {
         'audio/m4a',
         'audio/aac',
         'audio/flac',
-        'audio/webm'
+        'audio/webm',
+        'video/mp4',
+        'video/webm',
+        'video/quicktime'
     ];
     
     const supportedExtensions = [
-        'mp3', 'wav', 'ogg', 'm4a', 'aac', 'flac', 'webm'
+        'mp3', 'wav', 'ogg', 'm4a', 'aac', 'flac', 'webm', 'mp4', 'm4v', 'mov'
     ];
     
     return supportedTypes.includes(file.type) || 
            supportedExtensions.includes(getFileExtension(file.name));
 }
 
+/**
+ * Check if file is a subtitle or lyrics file
+ * @param {File} file - File object
+ * @returns {boolean} True for SRT, WebVTT and LRC files
+ */
+function isSubtitleFile(file) {
+    return ['srt', 'vtt', 'lrc'].includes(getFileExtension(file.name));
+}
+
+/**
+ * Collect the files of a drop, including the contents of dropped folders
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<File[]>} Dropped files, folder contents sorted by name
+ */
+async function getDroppedFiles(dataTransfer) {
+    // Entries must be read before the drop event returns
+    const entries = Array.from(dataTransfer.items || [])
+        .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+        .filter(Boolean);
+    
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files);
+    }
+    
+    const files = [];
+    const readEntry = async (entry) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            return;
+        }
+        
+        if (entry.isDirectory) {
+            const reader = entry.createReader();
+            const children = [];
+            let batch;
+            
+            // readEntries returns the folder in batches until it is empty
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                children.push(...batch);
+            } while (batch.length > 0);
+            
+            children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+            for (const child of children) {
+                await readEntry(child);
+            }
+        }
+    };
+    
+    for (const entry of entries) {
+        await readEntry(entry);
+    }
+    
+    return files;
+}
+
 /**
  * Debounce function calls
  * @param {Function} func - Function to debounce
@@ -137,6 +281,43 @@ function getPercentageFromMouse(event, element) {
     return percentage;
 }
 
+/**
+ * Calculate the time under the mouse on a timeline showing part of the track
+ * @param {MouseEvent|Touch} event - Mouse event or touch point
+ * @param {HTMLElement} element - Timeline element
+ * @param {Object} view - Visible window with start and end in seconds
+ * @returns {number} Time in seconds
+ */
+function getTimeFromMouse(event, element, view) {
+    return view.start + getPercentageFromMouse(event, element) * (view.end - view.start);
+}
+
+/**
+ * Position of a time on a timeline showing part of the track
+ * @param {number} time - Time in seconds
+ * @param {Object} view - Visible window with start and end in seconds
+ * @returns {number} Percentage (0-100, outside that range when not visible)
+ */
+function getViewPercentage(time, view) {
+    const length = view.end - view.start;
+    return length > 0 ? ((time - view.start) / length) * 100 : 0;
+}
+
+/**
+ * Describe where a loop point was snapped to, for a toast
+ * @param {Object|null} snap - Snap result from setLoopA() or setLoopB()
+ * @returns {string} Description starting with a comma, empty when not snapping
+ */
+function describeSnap(snap) {
+    if (!snap) return '';
+    if (snap.kind === 'unavailable') return ' (snapping needs the decoded file)';
+    if (snap.kind === 'none') return ', nothing to snap to';
+    
+    const ms = Math.round(snap.offset * 1000);
+    const sign = ms > 0 ? '+' : ms < 0 ? '−' : '±';
+    return `, snapped to ${snap.kind} (${sign}${Math.abs(ms)} ms)`;
+}
+
 /**
  * Show toast notification
  * @param {string} message - Message to display
@@ -258,6 +439,24 @@ function removeLoadingState(element) {
     element.disabled = false;
 }
 
+/**
+ * Offer a blob as a download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Download name
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
 /**
  * Generate unique ID
  * @returns {string} Unique ID
@@ -0,0 +1,122 @@
+// VideoPane - Shows the picture of video files above the player, with a mirror toggle
+
+/**
+ * The player's media element is the video itself, so speed, loops and
+ * seeking drive the picture without any syncing. The pane is shown only
+ * for sources that have a video track; its height and the mirror setting
+ * are remembered between visits.
+ */
+class VideoPane {
+    constructor(player) {
+        this.player = player;
+        this.storageKey = 'abplayer:videoPane';
+        this.mirrored = false;
+        this.hasVideo = false;
+
+        // Get DOM elements
+        this.elements = {
+            pane: document.getElementById('videoPane'),
+            video: document.getElementById('mediaElement'),
+            mirrorBtn: document.getElementById('mirrorVideoBtn')
+        };
+
+        this.saveDebounced = debounce(() => this.save(), 300);
+
+        this.setupEventListeners();
+        this.setupPlayerEventListeners();
+        this.restore();
+    }
+
+    /**
+     * Set up UI event listeners
+     */
+    setupEventListeners() {
+        this.elements.mirrorBtn.addEventListener('click', (e) => {
+            createRipple(e, this.elements.mirrorBtn);
+            this.toggleMirror();
+        });
+
+        // The pane is resized with its corner handle (CSS resize)
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => {
+                if (this.hasVideo) {
+                    this.saveDebounced();
+                }
+            }).observe(this.elements.pane);
+        }
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => this.setVisible(false));
+        this.player.on('loaded', () => this.setVisible(this.player.hasVideo()));
+    }
+
+    /**
+     * Show or hide the pane
+     * @param {boolean} visible - Whether the loaded source has a picture
+     */
+    setVisible(visible) {
+        this.hasVideo = visible;
+        this.elements.pane.hidden = !visible;
+    }
+
+    /**
+     * Flip the picture horizontally, e.g. to follow choreography facing the screen
+     */
+    toggleMirror() {
+        if (!this.hasVideo) {
+            showToast('Mirroring needs a video file', 'error', 2000);
+            return;
+        }
+
+        this.setMirrored(!this.mirrored);
+        this.save();
+        showToast(this.mirrored ? 'Video mirrored' : 'Video not mirrored', 'info', 1500);
+    }
+
+    /**
+     * Apply the mirror setting
+     * @param {boolean} mirrored - Whether the picture is flipped
+     */
+    setMirrored(mirrored) {
+        this.mirrored = mirrored;
+        this.elements.video.classList.toggle('mirrored', mirrored);
+        this.elements.mirrorBtn.classList.toggle('loop-active', mirrored);
+        this.elements.mirrorBtn.setAttribute('aria-pressed', String(mirrored));
+    }
+
+    /**
+     * Restore the saved height and mirror setting
+     */
+    restore() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+
+            if (settings.height) {
+                this.elements.pane.style.height = `${settings.height}px`;
+            }
+            this.setMirrored(!!settings.mirrored);
+        } catch (error) {
+            console.warn('Could not read video settings:', error);
+        }
+    }
+
+    /**
+     * Save the height and mirror setting
+     */
+    save() {
+        const settings = {
+            height: Math.round(this.elements.pane.getBoundingClientRect().height) || null,
+            mirrored: this.mirrored
+        };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('Could not save video settings:', error);
+        }
+    }
+}
@@ -0,0 +1,326 @@
+// Waveform - Peak waveform drawn behind the progress bar
+
+class Waveform {
+    constructor(player, store) {
+        this.player = player;
+        this.store = store;
+        this.storeName = 'peaks';
+        this.workerUrl = 'scripts/workers/peaks-worker.js';
+        this.peaksPerSecond = 100;
+        this.maxDuration = 3 * 60 * 60; // Longer files are not drawn
+        this.maxCached = 50;
+        this.peaks = null;
+        this.view = null;
+        this.drawFrame = null;
+        this.worker = null;
+        this.rejectWorker = null;
+        this.pendingDecode = null;
+        this.blockDuration = 30; // Seconds of the player's buffer sent to the worker at a time
+        this.loadId = 0;
+
+        // Get DOM elements
+        this.elements = {
+            canvas: document.getElementById('waveformCanvas'),
+            progressBar: document.getElementById('progressBar')
+        };
+
+        this.setupPlayerEventListeners();
+    }
+
+    /**
+     * Set up player event listeners
+     */
+    setupPlayerEventListeners() {
+        this.player.on('loadstart', () => this.clear());
+
+        this.player.on('viewchange', (view) => {
+            this.view = view;
+            this.scheduleDraw();
+        });
+
+        // The player does not decode videos, so the worker reads their audio
+        // track; containers it cannot read (e.g. WebM) get no waveform
+        this.player.on('loaded', (data) => {
+            if (data.file && data.duration <= this.maxDuration) {
+                const decoded = this.player.canDecode(data.file) ? this.waitForDecode(data.file) : null;
+                this.load(data.file, decoded);
+            } else {
+                this.player.emit('peaksready', null);
+            }
+        });
+
+        this.player.on('decoded', (data) => {
+            if (this.pendingDecode && this.pendingDecode.file === data.file) {
+                this.pendingDecode.resolve(data.buffer);
+                this.pendingDecode = null;
+            }
+        });
+    }
+
+    /**
+     * Wait for the player to finish decoding a file
+     * @param {File} file - Loaded file
+     * @returns {Promise<AudioBuffer|null>} Decoded audio, null if decoding failed
+     */
+    waitForDecode(file) {
+        this.cancelDecodeWait();
+        return new Promise(resolve => {
+            this.pendingDecode = { file, resolve };
+        });
+    }
+
+    /**
+     * Stop waiting for the player's decoded audio
+     */
+    cancelDecodeWait() {
+        if (this.pendingDecode) {
+            this.pendingDecode.resolve(null);
+            this.pendingDecode = null;
+        }
+    }
+
+    /**
+     * Show the waveform of a file, from the cache or freshly computed
+     * @param {File} file - Loaded file
+     * @param {Promise<AudioBuffer|null>|null} decoded - The player's decoded audio, if it decodes the file
+     */
+    async load(file, decoded) {
+        const loadId = ++this.loadId;
+        const key = `file:${file.name}:${file.size}:${file.lastModified}`;
+
+        try {
+            let peaks = await this.readCache(key);
+
+            if (!peaks) {
+                const buffer = decoded ? await decoded : null;
+                if (loadId !== this.loadId) return;
+
+                peaks = await this.computePeaks(file, buffer);
+                this.writeCache(key, peaks);
+            }
+
+            // Another file was loaded meanwhile
+            if (loadId !== this.loadId) return;
+
+            this.peaks = peaks;
+            this.elements.progressBar.classList.add('has-waveform');
+            this.draw();
+            this.player.emit('peaksready', peaks);
+        } catch (error) {
+            if (loadId === this.loadId) {
+                console.warn('Could not draw waveform:', error);
+                this.player.emit('peaksready', null);
+            }
+        }
+    }
+
+    /**
+     * Reduce a file to peaks in a worker
+     * @param {File} file - Audio file
+     * @param {AudioBuffer|null} buffer - The player's decoded audio
+     * @returns {Promise<Object>} Peaks
+     */
+    computePeaks(file, buffer) {
+        // Reuse the player's samples rather than decoding the file a second time
+        if (buffer) {
+            return this.runWorker(worker => this.sendBuffer(worker, buffer));
+        }
+
+        // Files the player does not decode are decoded by the worker itself
+        return this.runWorker(worker => worker.postMessage({
+            type: 'decode',
+            file,
+            peaksPerSecond: this.peaksPerSecond
+        }));
+    }
+
+    /**
+     * Copy decoded audio to the worker a block at a time
+     * @param {Worker} worker - Peaks worker
+     * @param {AudioBuffer} buffer - Decoded audio
+     */
+    async sendBuffer(worker, buffer) {
+        const blockSize = Math.round(buffer.sampleRate * this.blockDuration);
+
+        worker.postMessage({ type: 'start', sampleRate: buffer.sampleRate, peaksPerSecond: this.peaksPerSecond });
+
+        for (let start = 0; start < buffer.length; start += blockSize) {
+            // The job was cancelled
+            if (this.worker !== worker) return;
+
+            const channels = [];
+            for (let c = 0; c < buffer.numberOfChannels; c++) {
+                channels.push(buffer.getChannelData(c).slice(start, start + blockSize));
+            }
+            worker.postMessage({ type: 'chunk', channels }, channels.map(channel => channel.buffer));
+
+            // Keep the page responsive between blocks
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        worker.postMessage({ type: 'end' });
+    }
+
+    /**
+     * Run the peaks worker, replacing any job still running
+     * @param {Function} send - Hands the job to the worker, may be async
+     * @returns {Promise<Object>} Worker result
+     */
+    runWorker(send) {
+        this.stopWorker();
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.workerUrl);
+            this.worker = worker;
+            this.rejectWorker = reject;
+
+            worker.addEventListener('message', (e) => {
+                this.rejectWorker = null;
+                this.stopWorker();
+
+                if (e.data.error) {
+                    reject(new Error(e.data.error));
+                } else {
+                    resolve(e.data);
+                }
+            });
+
+            worker.addEventListener('error', (e) => {
+                this.stopWorker(new Error(e.message || 'Peaks worker failed'));
+            });
+
+            Promise.resolve(send(worker)).catch(error => {
+                if (this.worker === worker) {
+                    this.stopWorker(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Terminate the running worker, failing its job
+     * @param {Error} error - Reason given to the job
+     */
+    stopWorker(error = new Error('Waveform job cancelled')) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        if (this.rejectWorker) {
+            this.rejectWorker(error);
+            this.rejectWorker = null;
+        }
+    }
+
+    /**
+     * Read cached peaks
+     * @param {string} key - File key
+     * @returns {Promise<Object|null>} Peaks or null
+     */
+    async readCache(key) {
+        try {
+            const peaks = await this.store.get(this.storeName, key);
+            if (peaks) {
+                this.touchCache(key);
+            }
+            return peaks || null;
+        } catch (error) {
+            console.warn('Could not read waveform cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Cache peaks
+     * @param {string} key - File key
+     * @param {Object} peaks - Peaks
+     */
+    async writeCache(key, peaks) {
+        try {
+            await this.store.put(this.storeName, key, peaks);
+            await this.touchCache(key);
+        } catch (error) {
+            console.warn('Could not cache waveform:', error);
+        }
+    }
+
+    /**
+     * Mark a cache entry as recently used, evicting the oldest ones
+     * @param {string} key - File key
+     */
+    async touchCache(key) {
+        const index = (await this.store.get(this.storeName, 'index')) || [];
+        const keys = [key, ...index.filter(item => item !== key)];
+        const stale = keys.splice(this.maxCached);
+
+        await this.store.put(this.storeName, 'index', keys);
+        await Promise.all(stale.map(item => this.store.delete(this.storeName, item)));
+    }
+
+    /**
+     * Draw on the next animation frame, once however often the view changes
+     */
+    scheduleDraw() {
+        if (this.drawFrame) return;
+
+        this.drawFrame = requestAnimationFrame(() => {
+            this.drawFrame = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * Draw the visible part of the peaks to fit the canvas
+     */
+    draw() {
+        const canvas = this.elements.canvas;
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(canvas.clientWidth * ratio);
+        canvas.height = Math.round(canvas.clientHeight * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.peaks || canvas.width === 0) return;
+
+        const { data, peak, peaksPerSecond } = this.peaks;
+        const count = data.length / 2;
+        const duration = this.player.duration || this.peaks.duration;
+        const view = this.view || { start: 0, end: duration };
+        const firstPeak = view.start * peaksPerSecond;
+        const peaksPerPixel = (view.end - view.start) * peaksPerSecond / canvas.width;
+        const middle = canvas.height / 2;
+        const scale = peak > 0 ? 0.95 / peak : 1;
+
+        ctx.fillStyle = 'rgba(203, 213, 225, 0.55)';
+
+        for (let x = 0; x < canvas.width; x++) {
+            const from = Math.floor(firstPeak + x * peaksPerPixel);
+            const to = Math.min(Math.max(from + 1, Math.floor(firstPeak + (x + 1) * peaksPerPixel)), count);
+            let min = 0;
+            let max = 0;
+
+            for (let i = from; i < to; i++) {
+                min = Math.min(min, data[i * 2]);
+                max = Math.max(max, data[i * 2 + 1]);
+            }
+
+            const top = middle - max * scale * middle;
+            const height = Math.max(1, (max - min) * scale * middle);
+            ctx.fillRect(x, top, 1, height);
+        }
+    }
+
+    /**
+     * Remove the waveform
+     */
+    clear() {
+        this.loadId++;
+        this.stopWorker();
+        this.cancelDecodeWait();
+        this.peaks = null;
+        this.view = null;
+        this.elements.progressBar.classList.remove('has-waveform');
+        this.draw();
+    }
+}
@@ -0,0 +1,604 @@
+// Audio demuxer - Decodes WAV, MP3 and M4A files inside a worker, a block at a time
+
+/**
+ * WAV is converted directly; MP3 frames and M4A samples are split out of
+ * their container and decoded with WebCodecs. Files are read in slices, so
+ * memory use does not grow with their length. Encoder delay is trimmed when
+ * the file records it, keeping the samples aligned with playback.
+ */
+
+const readBlockSize = 4 * 1024 * 1024;
+
+/**
+ * Decode a file, handing over the samples block by block
+ * @param {File} file - Audio file
+ * @param {Function} onAudio - Receives planar Float32Array channels and the sample rate
+ * @returns {Promise<void>} Resolves once the whole file is decoded
+ */
+async function decodeFile(file, onAudio) {
+    const head = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+    const tag = (offset) => String.fromCharCode(...head.subarray(offset, offset + 4));
+
+    if (tag(0) === 'RIFF' && tag(8) === 'WAVE') {
+        return decodeWav(file, onAudio);
+    }
+    // Older QuickTime movies start without an ftyp box
+    if (['ftyp', 'moov', 'wide', 'free', 'mdat'].includes(tag(4))) {
+        return decodeMp4(file, onAudio);
+    }
+    if (tag(0).startsWith('ID3') || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) {
+        return decodeMp3(file, onAudio);
+    }
+
+    throw new Error(`Cannot decode ${file.name} in a worker`);
+}
+
+/**
+ * Drop the first samples of a stream, e.g. encoder delay
+ * @param {Function} onAudio - Receives the remaining samples
+ * @param {number} count - Samples per channel to drop
+ * @returns {Function} Wrapped receiver
+ */
+function trimStart(onAudio, count) {
+    let remaining = count;
+
+    return (channels, sampleRate) => {
+        if (remaining > 0) {
+            const skip = Math.min(remaining, channels[0].length);
+            remaining -= skip;
+            channels = channels.map(samples => samples.subarray(skip));
+        }
+        if (channels[0].length > 0) {
+            onAudio(channels, sampleRate);
+        }
+    };
+}
+
+// WAV
+
+/**
+ * Convert PCM or float WAV data to samples
+ * @param {File} file - WAV file
+ * @param {Function} onAudio - Receives samples
+ */
+async function decodeWav(file, onAudio) {
+    let format = null;
+    let dataOffset = -1;
+    let dataSize = 0;
+    let offset = 12;
+
+    // Walk the chunk headers; LIST, bext or iXML chunks before the data can be large
+    while (offset + 8 <= file.size) {
+        const header = new DataView(await file.slice(offset, offset + 8).arrayBuffer());
+        const id = String.fromCharCode(...new Uint8Array(header.buffer, 0, 4));
+        const size = header.getUint32(4, true);
+
+        if (id === 'fmt ') {
+            const chunk = new DataView(await file.slice(offset + 8, offset + 8 + Math.min(size, 40)).arrayBuffer());
+            format = {
+                code: chunk.getUint16(0, true),
+                channels: chunk.getUint16(2, true),
+                sampleRate: chunk.getUint32(4, true),
+                bits: chunk.getUint16(14, true)
+            };
+            // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+            if (format.code === 0xfffe && size >= 26) {
+                format.code = chunk.getUint16(24, true);
+            }
+        } else if (id === 'data') {
+            dataOffset = offset + 8;
+            dataSize = Math.min(size, file.size - dataOffset);
+            break;
+        }
+
+        offset += 8 + size + (size & 1);
+    }
+
+    if (!format || dataOffset === -1) {
+        throw new Error('Invalid WAV file');
+    }
+
+    const readSample = getWavSampleReader(format);
+    const bytesPerSample = format.bits / 8;
+    const frameSize = bytesPerSample * format.channels;
+    const framesPerBlock = Math.floor(readBlockSize / frameSize);
+
+    for (let start = 0; start < dataSize; start += framesPerBlock * frameSize) {
+        const end = Math.min(dataSize, start + framesPerBlock * frameSize);
+        const view = new DataView(await file.slice(dataOffset + start, dataOffset + end).arrayBuffer());
+        const frames = Math.floor(view.byteLength / frameSize);
+        const channels = Array.from({ length: format.channels }, () => new Float32Array(frames));
+
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < format.channels; c++) {
+                channels[c][i] = readSample(view, i * frameSize + c * bytesPerSample);
+            }
+        }
+
+        onAudio(channels, format.sampleRate);
+    }
+}
+
+/**
+ * Sample reader for a WAV sample format
+ * @param {Object} format - Format code and bits per sample
+ * @returns {Function} Reads one sample as -1..1 from a DataView offset
+ */
+function getWavSampleReader(format) {
+    if (format.code === 3 && format.bits === 32) {
+        return (view, offset) => view.getFloat32(offset, true);
+    }
+    if (format.code === 3 && format.bits === 64) {
+        return (view, offset) => view.getFloat64(offset, true);
+    }
+    if (format.code === 1) {
+        switch (format.bits) {
+            case 8:
+                return (view, offset) => (view.getUint8(offset) - 128) / 128;
+            case 16:
+                return (view, offset) => view.getInt16(offset, true) / 32768;
+            case 24:
+                return (view, offset) => ((view.getInt8(offset + 2) << 16) |
+                    (view.getUint8(offset + 1) << 8) | view.getUint8(offset)) / 8388608;
+            case 32:
+                return (view, offset) => view.getInt32(offset, true) / 2147483648;
+        }
+    }
+
+    throw new Error(`Unsupported WAV format ${format.code} (${format.bits} bit)`);
+}
+
+// MP3
+
+const mp3Bitrates = {
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const mp3SampleRates = {
+    1: [44100, 48000, 32000],
+    2: [22050, 24000, 16000],
+    2.5: [11025, 12000, 8000]
+};
+
+/**
+ * Read an MPEG audio Layer III frame header
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - Position of the header
+ * @returns {Object|null} Frame details, null if there is no valid header here
+ */
+function readMp3Header(bytes, offset) {
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+
+    const version = [2.5, null, 2, 1][(bytes[offset + 1] >> 3) & 3];
+    const layer = (bytes[offset + 1] >> 1) & 3;
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const rateIndex = (bytes[offset + 2] >> 2) & 3;
+    if (!version || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+    const bitrate = mp3Bitrates[version === 1 ? 1 : 2][bitrateIndex] * 1000;
+    const sampleRate = mp3SampleRates[version][rateIndex];
+    const padding = (bytes[offset + 2] >> 1) & 1;
+    const channels = bytes[offset + 3] >> 6 === 3 ? 1 : 2;
+    const samples = version === 1 ? 1152 : 576;
+
+    return {
+        length: Math.floor(samples / 8 * bitrate / sampleRate) + padding,
+        sampleRate,
+        channels,
+        samples,
+        sideInfoSize: version === 1 ? (channels === 1 ? 17 : 32) : (channels === 1 ? 9 : 17)
+    };
+}
+
+/**
+ * Encoder delay from a LAME tag in the first frame
+ * @param {Uint8Array} frame - First frame
+ * @param {Object} header - Its header
+ * @returns {number|null} Delay in samples, null if the frame is not a Xing/Info frame
+ */
+function readLameDelay(frame, header) {
+    const offset = 4 + header.sideInfoSize;
+    const id = String.fromCharCode(...frame.subarray(offset, offset + 4));
+    if (id !== 'Xing' && id !== 'Info') return null;
+
+    // Skip the optional frame count, byte count, seek table and quality fields
+    const flags = frame[offset + 7];
+    let lame = offset + 8;
+    if (flags & 1) lame += 4;
+    if (flags & 2) lame += 4;
+    if (flags & 4) lame += 100;
+    if (flags & 8) lame += 4;
+
+    if (String.fromCharCode(...frame.subarray(lame, lame + 4)) !== 'LAME' || lame + 24 > frame.length) {
+        return 0;
+    }
+    return (frame[lame + 21] << 4) | (frame[lame + 22] >> 4);
+}
+
+/**
+ * Split an MP3 file into frames and decode them
+ * @param {File} file - MP3 file
+ * @param {Function} onAudio - Receives samples
+ */
+async function decodeMp3(file, onAudio) {
+    let position = 0;
+
+    // Skip an ID3v2 tag
+    const head = new Uint8Array(await file.slice(0, 10).arrayBuffer());
+    if (String.fromCharCode(head[0], head[1], head[2]) === 'ID3') {
+        const size = ((head[6] & 0x7f) << 21) | ((head[7] & 0x7f) << 14) | ((head[8] & 0x7f) << 7) | (head[9] & 0x7f);
+        position = 10 + size + (head[5] & 0x10 ? 10 : 0);
+    }
+
+    let first = null;
+    async function* frames() {
+        let buffer = new Uint8Array(0);
+        let offset = 0;
+        let timestamp = 0;
+
+        while (true) {
+            // Keep more than a whole frame (at most 1441 bytes) in view
+            if (buffer.length - offset < 4096 && position < file.size) {
+                const next = new Uint8Array(await file.slice(position, position + readBlockSize).arrayBuffer());
+                position += next.length;
+                const merged = new Uint8Array(buffer.length - offset + next.length);
+                merged.set(buffer.subarray(offset));
+                merged.set(next, buffer.length - offset);
+                buffer = merged;
+                offset = 0;
+            }
+
+            if (offset + 4 > buffer.length) return;
+
+            // Skip stray bytes between frames; a frame cut short ends the file
+            const header = readMp3Header(buffer, offset);
+            if (!header) {
+                offset++;
+                continue;
+            }
+            if (offset + header.length > buffer.length) return;
+
+            const frame = buffer.slice(offset, offset + header.length);
+            offset += header.length;
+
+            if (!first) {
+                first = { header, delay: readLameDelay(frame, header) };
+                // The Xing/Info frame holds no audio
+                if (first.delay !== null) continue;
+            }
+
+            yield { data: frame, timestamp, duration: header.samples / header.sampleRate * 1e6 };
+            timestamp += header.samples / header.sampleRate * 1e6;
+        }
+    }
+
+    const iterator = frames();
+    const start = await iterator.next();
+    if (start.done) {
+        throw new Error('No MP3 frames found');
+    }
+
+    // Decoders add 529 samples of their own delay on top of the encoder's
+    const { header, delay } = first;
+    const receiver = delay ? trimStart(onAudio, delay + 529) : onAudio;
+
+    async function* all() {
+        yield start.value;
+        yield* iterator;
+    }
+
+    await decodeChunks({ codec: 'mp3', sampleRate: header.sampleRate, numberOfChannels: header.channels }, all(), receiver);
+}
+
+// MP4 / M4A
+
+/**
+ * Find the child boxes of a box
+ * @param {DataView} view - Data holding the boxes
+ * @param {number} start - First child offset
+ * @param {number} end - End of the parent
+ * @returns {Object[]} Boxes with type, body start and end
+ */
+function readBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        const type = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + offset + 4, 4));
+        let header = 8;
+
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header) break;
+
+        boxes.push({ type, start: offset + header, end: Math.min(offset + size, end) });
+        offset += size;
+    }
+
+    return boxes;
+}
+
+/**
+ * Follow a path of box types
+ * @param {DataView} view - Data holding the boxes
+ * @param {Object} box - Box to start from
+ * @param {string[]} path - Child types to descend through
+ * @returns {Object|null} Box at the end of the path
+ */
+function findBox(view, box, path) {
+    let current = box;
+    for (const type of path) {
+        current = readBoxes(view, current.start, current.end).find(child => child.type === type);
+        if (!current) return null;
+    }
+    return current;
+}
+
+/**
+ * Read the moov box of an MP4 file
+ * @param {File} file - MP4 file
+ * @returns {Promise<DataView>} moov contents, box header included
+ */
+async function readMoov(file) {
+    let offset = 0;
+
+    while (offset + 8 <= file.size) {
+        const head = new DataView(await file.slice(offset, offset + 16).arrayBuffer());
+        let size = head.getUint32(0);
+        const type = String.fromCharCode(head.getUint8(4), head.getUint8(5), head.getUint8(6), head.getUint8(7));
+
+        if (size === 1) {
+            size = Number(head.getBigUint64(8));
+        } else if (size === 0) {
+            size = file.size - offset;
+        }
+        if (size < 8) break;
+
+        if (type === 'moov') {
+            return new DataView(await file.slice(offset, offset + size).arrayBuffer());
+        }
+        offset += size;
+    }
+
+    throw new Error('No moov box found');
+}
+
+/**
+ * Read the AudioSpecificConfig from an esds box
+ * @param {DataView} view - Data
+ * @param {Object} esds - esds box
+ * @returns {Object} Object type indication and decoder config bytes
+ */
+function readEsds(view, esds) {
+    let offset = esds.start + 4;
+    let objectType = 0;
+
+    const readDescriptor = () => {
+        const tag = view.getUint8(offset++);
+        let length = 0;
+        for (let i = 0; i < 4; i++) {
+            const byte = view.getUint8(offset++);
+            length = (length << 7) | (byte & 0x7f);
+            if (!(byte & 0x80)) break;
+        }
+        return { tag, length };
+    };
+
+    while (offset < esds.end) {
+        const { tag, length } = readDescriptor();
+
+        if (tag === 0x03) {
+            const flags = view.getUint8(offset + 2);
+            offset += 3;
+            if (flags & 0x80) offset += 2;
+            if (flags & 0x40) offset += view.getUint8(offset) + 1;
+            if (flags & 0x20) offset += 2;
+        } else if (tag === 0x04) {
+            objectType = view.getUint8(offset);
+            offset += 13;
+        } else if (tag === 0x05) {
+            return { objectType, config: new Uint8Array(view.buffer.slice(view.byteOffset + offset, view.byteOffset + offset + length)) };
+        } else {
+            offset += length;
+        }
+    }
+
+    return { objectType, config: null };
+}
+
+/**
+ * Decode the first audio track of an MP4 file
+ * @param {File} file - MP4, M4A or MOV file
+ * @param {Function} onAudio - Receives samples
+ */
+async function decodeMp4(file, onAudio) {
+    const view = await readMoov(file);
+    const moov = { start: 8, end: view.byteLength };
+
+    const track = readBoxes(view, moov.start, moov.end)
+        .filter(box => box.type === 'trak')
+        .find(trak => {
+            const hdlr = findBox(view, trak, ['mdia', 'hdlr']);
+            return hdlr && String.fromCharCode(...new Uint8Array(view.buffer, hdlr.start + 8, 4)) === 'soun';
+        });
+    if (!track) {
+        throw new Error('No audio track found');
+    }
+
+    const stbl = findBox(view, track, ['mdia', 'minf', 'stbl']);
+    const stsd = findBox(view, stbl, ['stsd']);
+    const entry = readBoxes(view, stsd.start + 8, stsd.end)[0];
+    if (!entry || entry.type !== 'mp4a') {
+        throw new Error(`Cannot decode ${entry ? entry.type : 'unknown'} audio in a worker`);
+    }
+
+    // AudioSampleEntry: 8 reserved/reference bytes, version, 6 reserved, channels, bits, 4 reserved, rate.
+    // QuickTime versions 1 and 2 add 16 and 36 bytes before the child boxes.
+    const numberOfChannels = view.getUint16(entry.start + 16);
+    const sampleRate = view.getUint32(entry.start + 24) >>> 16;
+    const entryVersion = view.getUint16(entry.start + 8);
+    const childStart = entry.start + 28 + (entryVersion === 1 ? 16 : entryVersion === 2 ? 36 : 0);
+    const esds = readBoxes(view, childStart, entry.end).find(box => box.type === 'esds');
+    const { objectType, config } = esds ? readEsds(view, esds) : {};
+
+    let decoderConfig;
+    if (objectType === 0x40 && config) {
+        let audioObjectType = config[0] >> 3;
+        if (audioObjectType === 31) {
+            audioObjectType = 32 + (((config[0] & 7) << 3) | (config[1] >> 5));
+        }
+        decoderConfig = { codec: `mp4a.40.${audioObjectType}`, sampleRate, numberOfChannels, description: config };
+    } else if (objectType === 0x69 || objectType === 0x6b) {
+        decoderConfig = { codec: 'mp3', sampleRate, numberOfChannels };
+    } else {
+        throw new Error('Unsupported audio codec in MP4 file');
+    }
+
+    const samples = readSampleTable(view, stbl);
+
+    // An edit list skips the encoder's priming samples
+    let priming = 0;
+    const elst = findBox(view, track, ['edts', 'elst']);
+    if (elst && view.getUint32(elst.start + 4) > 0) {
+        const version = view.getUint8(elst.start);
+        const mediaTime = version === 1 ? Number(view.getBigInt64(elst.start + 16)) : view.getInt32(elst.start + 12);
+        const mdhd = findBox(view, track, ['mdia', 'mdhd']);
+        const timescale = view.getUint32(mdhd.start + (view.getUint8(mdhd.start) === 1 ? 20 : 12));
+        priming = mediaTime > 0 ? Math.round(mediaTime / timescale * sampleRate) : 0;
+    }
+
+    async function* chunks() {
+        let window = null;
+        let windowStart = 0;
+        let timestamp = 0;
+        const frameDuration = 1024 / sampleRate * 1e6;
+
+        for (const sample of samples) {
+            if (!window || sample.offset < windowStart || sample.offset + sample.size > windowStart + window.length) {
+                windowStart = sample.offset;
+                window = new Uint8Array(await file.slice(windowStart, windowStart + Math.max(readBlockSize, sample.size)).arrayBuffer());
+            }
+
+            const start = sample.offset - windowStart;
+            yield { data: window.slice(start, start + sample.size), timestamp, duration: frameDuration };
+            timestamp += frameDuration;
+        }
+    }
+
+    await decodeChunks(decoderConfig, chunks(), priming ? trimStart(onAudio, priming) : onAudio);
+}
+
+/**
+ * Work out the file offset and size of every sample of a track
+ * @param {DataView} view - moov data
+ * @param {Object} stbl - Sample table box
+ * @returns {Object[]} Samples in file order
+ */
+function readSampleTable(view, stbl) {
+    const stsz = findBox(view, stbl, ['stsz']);
+    const stsc = findBox(view, stbl, ['stsc']);
+    const stco = findBox(view, stbl, ['stco']) || findBox(view, stbl, ['co64']);
+    const is64 = !findBox(view, stbl, ['stco']);
+
+    const fixedSize = view.getUint32(stsz.start + 4);
+    const sampleCount = view.getUint32(stsz.start + 8);
+    const sizeOf = (index) => fixedSize || view.getUint32(stsz.start + 12 + index * 4);
+
+    const chunkCount = view.getUint32(stco.start + 4);
+    const chunkOffset = (index) => is64 ?
+        Number(view.getBigUint64(stco.start + 8 + index * 8)) :
+        view.getUint32(stco.start + 8 + index * 4);
+
+    const runs = [];
+    const runCount = view.getUint32(stsc.start + 4);
+    for (let i = 0; i < runCount; i++) {
+        runs.push({
+            firstChunk: view.getUint32(stsc.start + 8 + i * 12) - 1,
+            samplesPerChunk: view.getUint32(stsc.start + 12 + i * 12)
+        });
+    }
+
+    const samples = [];
+    let run = 0;
+    for (let chunk = 0; chunk < chunkCount && samples.length < sampleCount; chunk++) {
+        while (run + 1 < runs.length && runs[run + 1].firstChunk <= chunk) {
+            run++;
+        }
+
+        let offset = chunkOffset(chunk);
+        for (let i = 0; i < runs[run].samplesPerChunk && samples.length < sampleCount; i++) {
+            const size = sizeOf(samples.length);
+            samples.push({ offset, size });
+            offset += size;
+        }
+    }
+
+    return samples;
+}
+
+// WebCodecs
+
+/**
+ * Decode encoded chunks with WebCodecs
+ * @param {Object} config - AudioDecoder configuration
+ * @param {AsyncIterable<Object>} chunks - Data, timestamp and duration (microseconds)
+ * @param {Function} onAudio - Receives samples
+ */
+async function decodeChunks(config, chunks, onAudio) {
+    if (typeof AudioDecoder === 'undefined') {
+        throw new Error('This browser cannot decode audio in a worker');
+    }
+
+    const { supported } = await AudioDecoder.isConfigSupported(config);
+    if (!supported) {
+        throw new Error(`This browser cannot decode ${config.codec} in a worker`);
+    }
+
+    let failure = null;
+    const decoder = new AudioDecoder({
+        output: (audioData) => {
+            try {
+                const channels = [];
+                for (let c = 0; c < audioData.numberOfChannels; c++) {
+                    const plane = new Float32Array(audioData.numberOfFrames);
+                    audioData.copyTo(plane, { planeIndex: c, format: 'f32-planar' });
+                    channels.push(plane);
+                }
+                onAudio(channels, audioData.sampleRate);
+            } finally {
+                audioData.close();
+            }
+        },
+        error: (error) => {
+            failure = error;
+        }
+    });
+
+    decoder.configure(config);
+
+    for await (const chunk of chunks) {
+        if (failure) break;
+        decoder.decode(new EncodedAudioChunk({ type: 'key', ...chunk }));
+
+        // Let the decoder catch up instead of queueing the whole file
+        while (decoder.decodeQueueSize > 32 && !failure) {
+            await new Promise(resolve => setTimeout(resolve, 1));
+        }
+    }
+
+    if (!failure) {
+        await decoder.flush();
+    }
+    if (decoder.state !== 'closed') {
+        decoder.close();
+    }
+    if (failure) {
+        throw failure;
+    }
+}
@@ -0,0 +1,137 @@
+// Peaks worker - Reduces audio to min/max pairs for drawing
+
+importScripts('audio-demuxer.js');
+
+/**
+ * Samples arrive block by block, either decoded here from the file or
+ * copied from the player's own decoded buffer, so the whole track never
+ * has to be held twice.
+ */
+
+/**
+ * Fold blocks of samples into min/max pairs
+ */
+class PeakAccumulator {
+    constructor(sampleRate, peaksPerSecond) {
+        this.sampleRate = sampleRate;
+        this.samplesPerPeak = Math.max(1, Math.round(sampleRate / peaksPerSecond));
+        this.data = new Float32Array(1024);
+        this.count = 0;
+        this.frames = 0;
+        this.peak = 0;
+    }
+
+    /**
+     * Add a block of samples
+     * @param {Float32Array[]} channels - Channel samples
+     */
+    add(channels) {
+        const length = channels[0].length;
+        let position = 0;
+
+        while (position < length) {
+            // Fill the pair that the next sample belongs to
+            const index = Math.floor(this.frames / this.samplesPerPeak);
+            const end = Math.min(length, position + (index + 1) * this.samplesPerPeak - this.frames);
+
+            if (index >= this.count) {
+                this.grow(index + 1);
+                this.count = index + 1;
+            }
+
+            let min = this.data[index * 2];
+            let max = this.data[index * 2 + 1];
+
+            for (const samples of channels) {
+                for (let j = position; j < end; j++) {
+                    const sample = samples[j];
+                    if (sample < min) min = sample;
+                    if (sample > max) max = sample;
+                }
+            }
+
+            this.data[index * 2] = min;
+            this.data[index * 2 + 1] = max;
+            this.peak = Math.max(this.peak, max, -min);
+            this.frames += end - position;
+            position = end;
+        }
+    }
+
+    /**
+     * Make room for more pairs
+     * @param {number} count - Pairs needed
+     */
+    grow(count) {
+        if (count * 2 <= this.data.length) return;
+
+        const data = new Float32Array(Math.max(count * 2, this.data.length * 2));
+        data.set(this.data);
+        this.data = data;
+    }
+
+    /**
+     * The finished peaks
+     * @returns {Object} Interleaved min/max pairs, loudest sample, rate and duration
+     */
+    finish() {
+        return {
+            data: this.data.slice(0, this.count * 2),
+            peak: this.peak,
+            peaksPerSecond: this.sampleRate / this.samplesPerPeak,
+            duration: this.frames / this.sampleRate
+        };
+    }
+}
+
+let accumulator = null;
+
+/**
+ * Send the finished peaks back
+ * @param {PeakAccumulator} source - Accumulated peaks
+ */
+function postPeaks(source) {
+    const result = source.finish();
+    self.postMessage(result, [result.data.buffer]);
+}
+
+/**
+ * Decode a file here and compute its peaks
+ * @param {File} file - Audio file
+ * @param {number} peaksPerSecond - Pairs per second of audio
+ */
+async function decodePeaks(file, peaksPerSecond) {
+    let source = null;
+
+    await decodeFile(file, (channels, sampleRate) => {
+        source = source || new PeakAccumulator(sampleRate, peaksPerSecond);
+        source.add(channels);
+    });
+
+    if (!source) {
+        throw new Error('No audio found');
+    }
+    postPeaks(source);
+}
+
+self.addEventListener('message', (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'start':
+            accumulator = new PeakAccumulator(message.sampleRate, message.peaksPerSecond);
+            break;
+        case 'chunk':
+            accumulator.add(message.channels);
+            break;
+        case 'end':
+            postPeaks(accumulator);
+            accumulator = null;
+            break;
+        case 'decode':
+            decodePeaks(message.file, message.peaksPerSecond).catch(error => {
+                self.postMessage({ error: error.message });
+            });
+            break;
+    }
+});
@@ -0,0 +1,433 @@
+// Pitch shifter processor - Phase vocoder running on the audio rendering thread
+
+/**
+ * Phase vocoder for one frame size.
+ *
+ * Each channel is analysed in overlapping Hann-windowed frames. The true
+ * frequency of every bin is estimated from its phase advance, the bins are
+ * moved to their shifted positions, and the frames are resynthesized with
+ * accumulated phases and overlap-added.
+ *
+ * A frame's work is split into steps of similar cost (each butterfly stage
+ * of both transforms, the spectral shift a slice of bins at a time, and so
+ * on) that are spread over the render quanta of the following hop, so even
+ * the largest frames cost about the same in every quantum. Output lags
+ * input by one frame.
+ */
+class Vocoder {
+    constructor(fftSize, oversampling) {
+        this.fftSize = fftSize;
+        this.oversampling = oversampling;
+        this.hopSize = fftSize / oversampling;
+        this.fifoStart = fftSize - this.hopSize;
+        this.halfSize = fftSize / 2;
+        this.bits = Math.log2(fftSize);
+        this.sliceSize = 256; // Bins analysed or resynthesized per step
+        this.channels = [];
+        this.elapsed = 0;
+
+        this.window = new Float32Array(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            this.window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize);
+        }
+
+        // Overlapping windows applied twice sum to a constant
+        let windowSum = 0;
+        for (let i = 0; i < fftSize; i += this.hopSize) {
+            windowSum += this.window[i] * this.window[i];
+        }
+        this.outputScale = 1 / (fftSize * windowSum);
+
+        this.setupFFT();
+        this.setupSteps();
+    }
+
+    /**
+     * List the steps of a frame, each taking a channel state
+     */
+    setupSteps() {
+        const bins = this.halfSize + 1;
+        this.steps = [state => this.reverseBits(state)];
+
+        for (let stage = 1; stage <= this.bits; stage++) {
+            this.steps.push(state => this.butterflies(state, stage, false));
+        }
+        for (let start = 0; start < bins; start += this.sliceSize) {
+            this.steps.push(state => this.analyse(state, start, Math.min(start + this.sliceSize, bins)));
+        }
+        this.steps.push(state => this.moveBins(state));
+        for (let start = 0; start < bins; start += this.sliceSize) {
+            this.steps.push(state => this.resynthesize(state, start, Math.min(start + this.sliceSize, bins)));
+        }
+        this.steps.push(state => this.reverseBits(state));
+        for (let stage = 1; stage <= this.bits; stage++) {
+            this.steps.push(state => this.butterflies(state, stage, true));
+        }
+        this.steps.push(state => this.overlapAdd(state));
+
+        this.stepCount = this.steps.length;
+    }
+
+    /**
+     * Precompute bit reversal and twiddle tables
+     */
+    setupFFT() {
+        const size = this.fftSize;
+        this.reversed = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let bit = 0; bit < this.bits; bit++) {
+                reversed = (reversed << 1) | ((i >> bit) & 1);
+            }
+            this.reversed[i] = reversed;
+        }
+
+        this.cosTable = new Float32Array(this.halfSize);
+        this.sinTable = new Float32Array(this.halfSize);
+        for (let i = 0; i < this.halfSize; i++) {
+            this.cosTable[i] = Math.cos(2 * Math.PI * i / size);
+            this.sinTable[i] = Math.sin(2 * Math.PI * i / size);
+        }
+    }
+
+    /**
+     * Create the buffers kept for one channel
+     * @returns {Object} Channel state
+     */
+    createChannelState() {
+        return {
+            inputFifo: new Float32Array(this.fftSize),
+            outputFifo: new Float32Array(this.hopSize),
+            outputAccumulator: new Float32Array(this.fftSize + this.hopSize),
+            lastPhase: new Float32Array(this.halfSize + 1),
+            phaseSum: new Float32Array(this.halfSize + 1),
+            real: new Float32Array(this.fftSize),
+            imag: new Float32Array(this.fftSize),
+            analysisMagnitude: new Float32Array(this.halfSize + 1),
+            analysisFrequency: new Float32Array(this.halfSize + 1),
+            synthesisMagnitude: new Float32Array(this.halfSize + 1),
+            synthesisFrequency: new Float32Array(this.halfSize + 1),
+            position: this.fifoStart,
+            step: this.stepCount,
+            factor: 1
+        };
+    }
+
+    /**
+     * Run one render quantum through the vocoder
+     * @param {Float32Array[]} input - Input channels
+     * @param {Float32Array[]} output - Output channels
+     * @param {number} factor - Pitch factor
+     */
+    render(input, output, factor) {
+        for (let c = 0; c < output.length; c++) {
+            if (!this.channels[c]) {
+                this.channels[c] = this.createChannelState();
+            }
+
+            // A disconnected input still needs its tail flushed
+            const source = input[c] || input[0] || null;
+            this.processChannel(this.channels[c], source, output[c], factor);
+        }
+
+        this.elapsed += output[0].length;
+    }
+
+    /**
+     * Run one render quantum of a channel through the vocoder
+     * @param {Object} state - Channel state
+     * @param {Float32Array|null} input - Input samples, null for silence
+     * @param {Float32Array} output - Output samples
+     * @param {number} factor - Pitch factor
+     */
+    processChannel(state, input, output, factor) {
+        for (let i = 0; i < output.length; i++) {
+            state.inputFifo[state.position] = input ? input[i] : 0;
+            output[i] = state.outputFifo[state.position - this.fifoStart];
+            state.position++;
+
+            if (state.position >= this.fftSize) {
+                state.position = this.fifoStart;
+                this.finishFrame(state);
+                this.startFrame(state, factor);
+            }
+        }
+
+        // Enough steps that the frame is done before the next one is full
+        const budget = Math.ceil(this.stepCount * output.length / this.hopSize);
+        for (let n = 0; n < budget && state.step < this.stepCount; n++) {
+            this.steps[state.step++](state);
+        }
+    }
+
+    /**
+     * Take a full analysis frame from the input
+     * @param {Object} state - Channel state
+     * @param {number} factor - Pitch factor
+     */
+    startFrame(state, factor) {
+        const { window, fftSize, hopSize } = this;
+
+        for (let k = 0; k < fftSize; k++) {
+            state.real[k] = state.inputFifo[k] * window[k];
+            state.imag[k] = 0;
+        }
+
+        state.inputFifo.copyWithin(0, hopSize);
+        state.factor = factor;
+        state.step = 0;
+    }
+
+    /**
+     * Complete the previous frame and move its first hop to the output
+     * @param {Object} state - Channel state
+     */
+    finishFrame(state) {
+        while (state.step < this.stepCount) {
+            this.steps[state.step++](state);
+        }
+
+        const accumulator = state.outputAccumulator;
+        state.outputFifo.set(accumulator.subarray(0, this.hopSize));
+        accumulator.copyWithin(0, this.hopSize);
+        accumulator.fill(0, this.fftSize);
+    }
+
+    /**
+     * Put a channel's workspace into bit-reversed order
+     * @param {Object} state - Channel state
+     */
+    reverseBits(state) {
+        const { real, imag } = state;
+        const reversed = this.reversed;
+
+        for (let i = 0; i < this.fftSize; i++) {
+            const j = reversed[i];
+            if (j > i) {
+                let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+                tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+            }
+        }
+    }
+
+    /**
+     * One stage of an in-place radix-2 FFT
+     * @param {Object} state - Channel state
+     * @param {number} stage - Stage, 1 for two-point butterflies
+     * @param {boolean} inverse - True for the (unscaled) inverse transform
+     */
+    butterflies(state, stage, inverse) {
+        const { real, imag } = state;
+        const { cosTable, sinTable, fftSize } = this;
+        const sign = inverse ? 1 : -1;
+        const size = 1 << stage;
+        const half = size / 2;
+        const step = fftSize / size;
+
+        for (let start = 0; start < fftSize; start += size) {
+            for (let k = 0; k < half; k++) {
+                const wr = cosTable[k * step];
+                const wi = sign * sinTable[k * step];
+                const a = start + k;
+                const b = a + half;
+                const tr = real[b] * wr - imag[b] * wi;
+                const ti = real[b] * wi + imag[b] * wr;
+
+                real[b] = real[a] - tr;
+                imag[b] = imag[a] - ti;
+                real[a] += tr;
+                imag[a] += ti;
+            }
+        }
+    }
+
+    /**
+     * Measure the magnitude and true frequency (in bins) of a range of bins
+     * @param {Object} state - Channel state
+     * @param {number} start - First bin
+     * @param {number} end - Bin after the last
+     */
+    analyse(state, start, end) {
+        const { real, imag } = state;
+        const expectedAdvance = 2 * Math.PI / this.oversampling;
+
+        for (let k = start; k < end; k++) {
+            const phase = Math.atan2(imag[k], real[k]);
+            let delta = phase - state.lastPhase[k] - k * expectedAdvance;
+            state.lastPhase[k] = phase;
+
+            // Wrap the phase deviation into -PI..PI
+            delta -= 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+
+            state.analysisMagnitude[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+            state.analysisFrequency[k] = k + delta * this.oversampling / (2 * Math.PI);
+        }
+    }
+
+    /**
+     * Move each bin to its shifted position
+     * @param {Object} state - Channel state
+     */
+    moveBins(state) {
+        const { factor, synthesisMagnitude, synthesisFrequency } = state;
+        const halfSize = this.halfSize;
+
+        synthesisMagnitude.fill(0);
+        synthesisFrequency.fill(0);
+        for (let k = 0; k <= halfSize; k++) {
+            const index = Math.round(k * factor);
+            if (index > halfSize) break;
+
+            synthesisMagnitude[index] += state.analysisMagnitude[k];
+            synthesisFrequency[index] = state.analysisFrequency[k] * factor;
+        }
+    }
+
+    /**
+     * Accumulate phases and rebuild a conjugate-symmetric spectrum for a range of bins
+     * @param {Object} state - Channel state
+     * @param {number} start - First bin
+     * @param {number} end - Bin after the last
+     */
+    resynthesize(state, start, end) {
+        const { real, imag } = state;
+        const { fftSize, halfSize, oversampling } = this;
+        const expectedAdvance = 2 * Math.PI / oversampling;
+
+        for (let k = start; k < end; k++) {
+            const deviation = (state.synthesisFrequency[k] - k) * 2 * Math.PI / oversampling;
+            state.phaseSum[k] = (state.phaseSum[k] + deviation + k * expectedAdvance) % (2 * Math.PI);
+
+            const magnitude = state.synthesisMagnitude[k];
+            real[k] = magnitude * Math.cos(state.phaseSum[k]);
+            imag[k] = magnitude * Math.sin(state.phaseSum[k]);
+
+            if (k > 0 && k < halfSize) {
+                real[fftSize - k] = real[k];
+                imag[fftSize - k] = -imag[k];
+            }
+        }
+    }
+
+    /**
+     * Add a resynthesized frame to the output
+     * @param {Object} state - Channel state
+     */
+    overlapAdd(state) {
+        const { window, outputScale } = this;
+        const accumulator = state.outputAccumulator;
+
+        for (let k = 0; k < this.fftSize; k++) {
+            accumulator[k] += window[k] * state.real[k] * outputScale;
+        }
+    }
+}
+
+/**
+ * Shifts the pitch of its input by a factor without changing its speed.
+ *
+ * The frame size is set by PitchShifter through the fftSize parameter:
+ * large factors come from slowed-down playback, whose spectrum is squeezed
+ * into the low bins, so the frame grows with the factor. When it changes,
+ * the running vocoder keeps playing until a vocoder of the new size has
+ * filled its first frame, and the two are crossfaded.
+ */
+class PitchShifterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [{
+            name: 'pitchFactor',
+            defaultValue: 1,
+            // An octave up at the slowest stretched speed (0.05x) needs 40
+            minValue: 0.01,
+            maxValue: 160,
+            automationRate: 'k-rate'
+        }, {
+            name: 'fftSize',
+            automationRate: 'k-rate'
+        }];
+    }
+
+    constructor(options) {
+        super();
+        const { fftSize, oversampling } = options.processorOptions;
+
+        this.oversampling = oversampling;
+        this.vocoder = new Vocoder(fftSize, oversampling);
+        this.nextVocoder = null;
+        this.nextOutput = [];
+        this.fadeLength = Math.round(sampleRate * 0.05);
+        this.fadePosition = 0;
+    }
+
+    /**
+     * Start moving to another frame size
+     * @param {number} fftSize - Requested FFT size
+     */
+    updateFrameSize(fftSize) {
+        // Switched back before the new size took over
+        if (fftSize === this.vocoder.fftSize) {
+            this.nextVocoder = null;
+            return;
+        }
+
+        if (!this.nextVocoder || this.nextVocoder.fftSize !== fftSize) {
+            this.nextVocoder = new Vocoder(fftSize, this.oversampling);
+            this.fadePosition = 0;
+        }
+    }
+
+    /**
+     * Output buffers for the incoming vocoder
+     * @param {Float32Array[]} output - Output channels to match
+     * @returns {Float32Array[]} Buffers of the same shape
+     */
+    getNextOutput(output) {
+        if (this.nextOutput.length !== output.length || this.nextOutput[0].length !== output[0].length) {
+            this.nextOutput = output.map(channel => new Float32Array(channel.length));
+        }
+        return this.nextOutput;
+    }
+
+    /**
+     * Fade from the running vocoder to the incoming one, once it has filled
+     * @param {Float32Array[]} output - Running vocoder's output, replaced in place
+     * @param {Float32Array[]} incoming - Incoming vocoder's output
+     */
+    crossfade(output, incoming) {
+        if (this.nextVocoder.elapsed < this.nextVocoder.fftSize) return;
+
+        const length = output[0].length;
+        for (let c = 0; c < output.length; c++) {
+            for (let i = 0; i < length; i++) {
+                // Equal power: the two are offset by their latencies, not in phase
+                const angle = Math.min(1, (this.fadePosition + i) / this.fadeLength) * Math.PI / 2;
+                output[c][i] = output[c][i] * Math.cos(angle) + incoming[c][i] * Math.sin(angle);
+            }
+        }
+
+        this.fadePosition += length;
+        if (this.fadePosition >= this.fadeLength) {
+            this.vocoder = this.nextVocoder;
+            this.nextVocoder = null;
+        }
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const factor = parameters.pitchFactor[0];
+
+        this.updateFrameSize(parameters.fftSize[0]);
+        this.vocoder.render(input, output, factor);
+
+        if (this.nextVocoder) {
+            const incoming = this.getNextOutput(output);
+            this.nextVocoder.render(input, incoming, factor);
+            this.crossfade(output, incoming);
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);